@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const apiKeyStore = require('../services/apiKeyStore');
+const rateLimiter = require('../services/rateLimiter');
+
+// Local development only: every request is let through without a key
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+/**
+ * Read the API key from "Authorization: Bearer <key>" or "X-API-Key". GET
+ * requests may also pass ?apiKey=, because EventSource cannot set headers.
+ * @param {Object} req - Express request
+ * @returns {string|null} Presented key
+ */
+function readApiKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+  }
+  if (req.get('x-api-key')) return req.get('x-api-key');
+  if (req.method === 'GET' && typeof req.query.apiKey === 'string') return req.query.apiKey;
+  return null;
+}
+
+function isAdminKey(key) {
+  if (!ADMIN_API_KEY || !key) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(apiKeyStore.hashKey(key), 'hex'),
+    Buffer.from(apiKeyStore.hashKey(ADMIN_API_KEY), 'hex')
+  );
+}
+
+function setRateLimitHeaders(res, result) {
+  res.set('X-RateLimit-Limit', String(result.limit));
+  res.set('X-RateLimit-Remaining', String(result.remaining));
+  res.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+}
+
+function sendUnauthorized(res, error) {
+  res.set('WWW-Authenticate', 'Bearer realm="quiz-generator"');
+  res.status(401).json({
+    success: false,
+    error
+  });
+}
+
+function sendTooManyRequests(res, error, details) {
+  res.set('Retry-After', String(details.retryAfter));
+  res.status(429).json({
+    success: false,
+    error,
+    ...details
+  });
+}
+
+/**
+ * Require a valid API key and apply the key's per-minute request limit.
+ * The key record is attached to req.apiKey. ADMIN_API_KEY authenticates as
+ * an unlimited admin so the first client keys can be created.
+ */
+function authenticate(req, res, next) {
+  if (AUTH_DISABLED) return next();
+
+  const key = readApiKey(req);
+  if (!key) {
+    return sendUnauthorized(res, 'API key required. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>"');
+  }
+
+  if (isAdminKey(key)) {
+    req.apiKey = { id: 'admin', name: 'Admin', role: 'admin', unlimited: true };
+    return next();
+  }
+
+  const record = apiKeyStore.authenticate(key);
+  if (!record) {
+    return sendUnauthorized(res, 'Invalid or revoked API key');
+  }
+
+  const limits = apiKeyStore.getLimits(record);
+  const result = rateLimiter.consume(`${record.id}:requests`, limits.requestsPerMinute);
+  setRateLimitHeaders(res, result);
+
+  if (!result.allowed) {
+    return sendTooManyRequests(res, `Rate limit of ${limits.requestsPerMinute} requests per minute exceeded`, {
+      limit: 'requestsPerMinute',
+      retryAfter: result.retryAfter
+    });
+  }
+
+  req.apiKey = record;
+  next();
+}
+
+/**
+ * Guard for routes that call the LLM: a tighter per-minute limit plus the
+ * key's daily and monthly quotas. Use after authenticate().
+ */
+async function meterLLM(req, res, next) {
+  if (AUTH_DISABLED || !req.apiKey || req.apiKey.unlimited) return next();
+
+  try {
+    const limits = apiKeyStore.getLimits(req.apiKey);
+    const result = rateLimiter.consume(`${req.apiKey.id}:llm`, limits.llmRequestsPerMinute);
+    setRateLimitHeaders(res, result);
+
+    if (!result.allowed) {
+      return sendTooManyRequests(res, `Rate limit of ${limits.llmRequestsPerMinute} AI requests per minute exceeded`, {
+        limit: 'llmRequestsPerMinute',
+        retryAfter: result.retryAfter
+      });
+    }
+
+    const quota = await apiKeyStore.recordLLMRequest(req.apiKey.id);
+    if (!quota.allowed) {
+      return sendTooManyRequests(res, `${quota.quota === 'daily' ? 'Daily' : 'Monthly'} quota of ${quota.limit} AI requests used up`, {
+        limit: `${quota.quota}Quota`,
+        retryAfter: quota.retryAfter,
+        resetAt: quota.resetAt
+      });
+    }
+
+    res.set('X-Quota-Daily-Remaining', String(quota.usage.daily.limit - quota.usage.daily.used));
+    res.set('X-Quota-Monthly-Remaining', String(quota.usage.monthly.limit - quota.usage.monthly.used));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Only admin keys may continue. Use after authenticate().
+ */
+function requireAdmin(req, res, next) {
+  if (AUTH_DISABLED || req.apiKey?.role === 'admin') return next();
+
+  res.status(403).json({
+    success: false,
+    error: 'Admin API key required'
+  });
+}
+
+module.exports = {
+  AUTH_DISABLED,
+  authenticate,
+  meterLLM,
+  requireAdmin
+};
@@ -0,0 +1,74 @@
+const express = require('express');
+const llmCache = require('../services/llmCache');
+
+const router = express.Router();
+
+const CACHE_KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+// Cache statistics
+router.get('/', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await llmCache.stats()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invalidate entries by operation and/or content (as text or hash); all=true clears everything
+router.delete('/', async (req, res, next) => {
+  try {
+    const filters = { ...req.query, ...req.body };
+    const { operation, content, all } = filters;
+    const contentHash = content !== undefined ? llmCache.hashContent(content) : filters.contentHash;
+
+    if (!operation && !contentHash && String(all) !== 'true') {
+      return res.status(400).json({
+        success: false,
+        error: 'Give an operation, content or contentHash, or all=true to clear the whole cache'
+      });
+    }
+
+    const removed = await llmCache.invalidate({ operation, contentHash });
+    console.log(`🧹 Removed ${removed} cached LLM result(s)`);
+
+    res.json({
+      success: true,
+      data: { removed }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invalidate a single entry by its key (returned as metadata.cache.key / cache.key)
+router.delete('/:key', async (req, res, next) => {
+  try {
+    if (!CACHE_KEY_PATTERN.test(req.params.key)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cache key'
+      });
+    }
+
+    const removed = await llmCache.invalidate({ key: req.params.key });
+
+    if (removed === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cache entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { removed }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
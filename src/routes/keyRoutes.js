@@ -0,0 +1,163 @@
+const express = require('express');
+const apiKeyStore = require('../services/apiKeyStore');
+
+const router = express.Router();
+
+/**
+ * Validate limit overrides: positive integers, or null to restore a default
+ * @param {Object} limits - Limits from the request body
+ * @returns {string|null} Error message
+ */
+function validateLimits(limits) {
+  if (limits === undefined) return null;
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return 'Limits must be an object';
+  }
+
+  const unknown = Object.keys(limits).filter(field => !apiKeyStore.LIMIT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return `Unknown limits: ${unknown.join(', ')}. Supported: ${apiKeyStore.LIMIT_FIELDS.join(', ')}`;
+  }
+
+  const invalid = Object.entries(limits)
+    .filter(([, value]) => value !== null && !(Number.isInteger(value) && value > 0))
+    .map(([field]) => field);
+  if (invalid.length > 0) {
+    return `Limits must be positive integers or null: ${invalid.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Create an API key; the key itself is only returned in this response
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, role = 'client', limits } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'A key name is required'
+      });
+    }
+
+    if (!apiKeyStore.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${apiKeyStore.ROLES.join(', ')}`
+      });
+    }
+
+    const limitsError = validateLimits(limits);
+    if (limitsError) {
+      return res.status(400).json({
+        success: false,
+        error: limitsError
+      });
+    }
+
+    const created = await apiKeyStore.create({ name: name.trim(), role, limits });
+    console.log(`🔑 Created ${role} API key "${created.apiKey.name}"`);
+
+    res.status(201).json({
+      success: true,
+      data: created
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List API keys with their limits and current usage
+router.get('/', (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: apiKeyStore.list()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get an API key
+router.get('/:id', (req, res, next) => {
+  try {
+    const apiKey = apiKeyStore.get(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename an API key or change its limits
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const { name, limits } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name must be a non-empty string'
+      });
+    }
+
+    const limitsError = validateLimits(limits);
+    if (limitsError) {
+      return res.status(400).json({
+        success: false,
+        error: limitsError
+      });
+    }
+
+    const apiKey = await apiKeyStore.update(req.params.id, { name: name?.trim(), limits });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyStore.revoke(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
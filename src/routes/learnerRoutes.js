@@ -0,0 +1,219 @@
+const express = require('express');
+const quizGenerator = require('../services/quizGenerator');
+const quizStore = require('../services/quizStore');
+const sourceSetStore = require('../services/sourceSetStore');
+const learnerProfileStore = require('../services/learnerProfileStore');
+const usageTracker = require('../services/usageTracker');
+const { QUESTION_TYPES } = require('../services/quizValidator');
+const { meterLLM } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DEFAULT_PRACTICE_QUESTIONS = 10;
+const DEFAULT_PRACTICE_TOPICS = 3;
+const MAX_PRACTICE_TOPICS = 10;
+
+/**
+ * Difficulty suited to a mastery estimate
+ * @param {number} mastery - Average mastery of the practiced topics, 0-1
+ * @returns {string} easy, medium or hard
+ */
+function difficultyForMastery(mastery) {
+  if (mastery < 0.4) return 'easy';
+  if (mastery < 0.75) return 'medium';
+  return 'hard';
+}
+
+/**
+ * Source material for a practice set: posted content, a source set, or else
+ * the most recent stored quiz the chosen topics were practiced from
+ * @param {Object} body - Request body
+ * @param {Array<Object>} topics - Chosen topics, with their source quiz ids
+ * @returns {Object} { content, sourceSet, quiz } or { status, error }
+ */
+function resolvePracticeSource(body, topics) {
+  if (body.sourceSetId) {
+    const stored = sourceSetStore.get(body.sourceSetId, { includeContent: true });
+    if (!stored) {
+      return { status: 404, error: 'Source set not found' };
+    }
+    return { content: stored.content, sourceSet: { id: stored.id, name: stored.name, files: stored.files } };
+  }
+
+  if (body.content !== undefined && body.content !== null && typeof body.content !== 'string') {
+    return { status: 400, error: 'Content must be a string' };
+  }
+  if (body.content) {
+    return { content: body.content };
+  }
+
+  const quizIds = [...new Set(topics.flatMap(topic => topic.sources))];
+  const quiz = quizIds
+    .map(id => quizStore.get(id, { includeContent: true }))
+    .find(stored => stored && stored.source?.content);
+  if (!quiz) {
+    return { status: 400, error: 'The quizzes these topics came from are gone; send content or sourceSetId' };
+  }
+
+  const storedSet = quiz.metadata?.sourceSet && sourceSetStore.get(quiz.metadata.sourceSet.id, { includeContent: true });
+  return {
+    content: quiz.source.content,
+    sourceSet: storedSet ? { id: storedSet.id, name: storedSet.name, files: storedSet.files } : undefined,
+    quiz
+  };
+}
+
+// Learner profile: accuracy, mastery and review schedule per topic, weakest and due first
+router.get('/:learnerId/profile', (req, res, next) => {
+  try {
+    const profile = learnerProfileStore.get(req.params.learnerId);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Learner profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: learnerProfileStore.summarize(profile)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Questions due for review, most overdue first, with the stored question when it still exists
+router.get('/:learnerId/reviews', (req, res, next) => {
+  try {
+    const profile = learnerProfileStore.get(req.params.learnerId);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Learner profile not found'
+      });
+    }
+
+    const quizzes = new Map();
+    const reviews = learnerProfileStore.dueQuestions(profile).map(schedule => {
+      if (!quizzes.has(schedule.quizId)) {
+        quizzes.set(schedule.quizId, quizStore.get(schedule.quizId));
+      }
+      const quiz = quizzes.get(schedule.quizId);
+      const question = quiz?.questions.find(entry => String(entry.id) === String(schedule.questionId));
+      return { ...schedule, question: question || null };
+    });
+
+    res.json({
+      success: true,
+      data: reviews
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generate the learner's next practice set from their due and weakest topics
+router.post('/:learnerId/practice', meterLLM, async (req, res, next) => {
+  try {
+    const profile = learnerProfileStore.get(req.params.learnerId);
+
+    if (!profile || Object.keys(profile.topics).length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Learner profile not found'
+      });
+    }
+
+    const {
+      numberOfQuestions = DEFAULT_PRACTICE_QUESTIONS,
+      topicCount = DEFAULT_PRACTICE_TOPICS,
+      questionTypes = ['multiple-choice'],
+      difficulty,
+      save = true
+    } = req.body;
+
+    if (!Number.isInteger(numberOfQuestions) || numberOfQuestions < 1 || numberOfQuestions > 30) {
+      return res.status(400).json({
+        success: false,
+        error: 'Number of questions must be between 1 and 30'
+      });
+    }
+
+    if (!Number.isInteger(topicCount) || topicCount < 1 || topicCount > MAX_PRACTICE_TOPICS) {
+      return res.status(400).json({
+        success: false,
+        error: `topicCount must be between 1 and ${MAX_PRACTICE_TOPICS}`
+      });
+    }
+
+    if (difficulty !== undefined && !['easy', 'medium', 'hard'].includes(difficulty)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Difficulty must be: easy, medium, or hard'
+      });
+    }
+
+    const invalidTypes = Array.isArray(questionTypes)
+      ? questionTypes.filter(type => !QUESTION_TYPES.includes(type))
+      : [questionTypes];
+    if (invalidTypes.length > 0 || questionTypes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid question types: ${invalidTypes.join(', ')}`
+      });
+    }
+
+    // Due topics come first, then the lowest mastery
+    const topics = learnerProfileStore.rankTopics(profile).slice(0, topicCount);
+    const averageMastery = topics.reduce((sum, topic) => sum + topic.mastery, 0) / topics.length;
+
+    const source = resolvePracticeSource(req.body, topics);
+    if (source.error) {
+      return res.status(source.status).json({
+        success: false,
+        error: source.error
+      });
+    }
+
+    const options = {
+      content: source.content,
+      numberOfQuestions,
+      difficulty: difficulty || difficultyForMastery(averageMastery),
+      questionTypes,
+      specificTopics: topics.map(topic => topic.topic),
+      prioritizeImportant: true,
+      // New questions rather than the ones the learner has already seen
+      bankQuestions: source.quiz ? source.quiz.questions : [],
+      bankMode: 'avoid',
+      sourceSet: source.sourceSet
+    };
+
+    console.log(`🧠 Practice set for ${profile.id}: ${options.specificTopics.join(', ')} (${options.difficulty})`);
+
+    const quiz = await quizGenerator.generateQuiz(options);
+    quiz.metadata.practice = {
+      learnerId: profile.id,
+      topics: topics.map(({ topic, mastery, due, dueAt }) => ({ topic, mastery, due, dueAt })),
+      averageMastery: Math.round(averageMastery * 1000) / 1000,
+      sourceQuizId: source.quiz ? source.quiz.id : null
+    };
+    quiz.metadata.usage = usageTracker.current();
+
+    if (save !== false) {
+      const stored = await quizStore.save(quiz, options.content);
+      quiz.id = stored.id;
+    }
+
+    res.json({
+      success: true,
+      data: quiz
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
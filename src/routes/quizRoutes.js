@@ -1,151 +1,1610 @@
 const express = require('express');
 const quizGenerator = require('../services/quizGenerator');
+const quizStore = require('../services/quizStore');
+const quizValidator = require('../services/quizValidator');
+const quizGrader = require('../services/quizGrader');
+const attemptStore = require('../services/attemptStore');
+const learnerProfileStore = require('../services/learnerProfileStore');
+const quizExporter = require('../services/quizExporter');
+const quizImporter = require('../services/quizImporter');
+const questionBankStore = require('../services/questionBankStore');
+const sourceSetStore = require('../services/sourceSetStore');
+const chatSessionStore = require('../services/chatSessionStore');
+const tutorChat = require('../services/tutorChat');
+const studyMaterialGenerator = require('../services/studyMaterialGenerator');
+const worksheetRenderer = require('../services/worksheetRenderer');
+const promptLibrary = require('../services/promptLibrary');
+const { openEventStream } = require('../utils/sse');
+const usageTracker = require('../services/usageTracker');
+const { meterLLM } = require('../middleware/auth');
+const { parseLanguage } = require('../utils/languages');
 
 const router = express.Router();
 
+const MAX_INSTRUCTIONS_CHARS = 1000;
+const MAX_LEARNER_ID_CHARS = 100;
+const MAX_SHORT_ANSWER_CHARS = 5000;
+const MAX_FLASHCARDS = 100;
+const MAX_GLOSSARY_TERMS = 100;
+const SUMMARY_DETAIL_LEVELS = ['brief', 'standard', 'detailed'];
+
+/**
+ * Validate a quiz and send it as a downloadable file in the requested format
+ * @param {Object} res - Express response
+ * @param {Object} quiz - Quiz with questions
+ * @param {string} format - Export format
+ */
+async function sendExport(res, quiz, format) {
+  if (!quizExporter.EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Format must be one of: ${quizExporter.EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  const report = quizValidator.validate(quiz);
+  const exported = await quizExporter.export({ ...quiz, questions: report.questions }, format);
+  const skipped = [
+    ...report.rejected.map(entry => entry.question?.id),
+    ...exported.skipped
+  ].filter(id => id !== undefined);
+
+  res.set('Content-Type', exported.contentType);
+  res.set('Content-Disposition', `attachment; filename="${exported.filename}"`);
+  if (skipped.length > 0) {
+    res.set('X-Skipped-Questions', skipped.join(','));
+  }
+  res.send(exported.body);
+}
+
+/**
+ * Send a rendered worksheet or answer key
+ * @param {Object} res - Express response
+ * @param {Object} rendered - Result of worksheetRenderer.renderQuiz
+ */
+function sendRender(res, rendered) {
+  res.set('Content-Type', rendered.contentType);
+  // Inline, so browsers open it ready to print
+  res.set('Content-Disposition', `inline; filename="${rendered.filename}"`);
+  if (rendered.variant) {
+    // Render the answer key with this seed to match a shuffled worksheet
+    res.set('X-Variant-Seed', rendered.variant);
+  }
+  if (rendered.skipped.length > 0) {
+    res.set('X-Skipped-Questions', rendered.skipped.join(','));
+  }
+  res.send(rendered.body);
+}
+
+/**
+ * Validate the optional answer verification settings
+ * @param {boolean|Object} value - true, or { mode: 'flag'|'drop', minConfidence }
+ * @returns {Object} { verify } (settings, or undefined when off) or { status, error }
+ */
+function parseVerify(value) {
+  if (value === undefined || value === null || value === false) {
+    return { verify: undefined };
+  }
+
+  if (value !== true && typeof value !== 'object') {
+    return { status: 400, error: 'Verify must be true, false, or an object with mode and minConfidence' };
+  }
+
+  const { mode = 'flag', minConfidence } = value === true ? {} : value;
+  if (!['flag', 'drop'].includes(mode)) {
+    return { status: 400, error: 'Verification mode must be: flag or drop' };
+  }
+  if (minConfidence !== undefined && (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1)) {
+    return { status: 400, error: 'Verification minConfidence must be a number between 0 and 1' };
+  }
+
+  return { verify: { mode, minConfidence } };
+}
+
+/**
+ * Validate weights per value, e.g. { easy: 30, medium: 50, hard: 20 }
+ * @param {Object} value - Weight per key
+ * @param {string[]} allowed - Valid keys
+ * @param {string} label - Field name for error messages
+ * @returns {Object} { weights } or { status, error }
+ */
+function parseWeights(value, allowed, label) {
+  const entries = Object.entries(value);
+  const unknown = entries.map(([key]) => key).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    return { status: 400, error: `Invalid ${label}: ${unknown.join(', ')}` };
+  }
+  if (entries.some(([, weight]) => typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) ||
+    !entries.some(([, weight]) => weight > 0)) {
+    return { status: 400, error: `Weights for ${label} must be non-negative numbers, at least one above zero` };
+  }
+  return { weights: value };
+}
+
+/**
+ * Validate a quiz generation request body
+ * @param {Object} body - Request body
+ * @returns {Object} { options, save } or { status, error }
+ */
+function parseGenerateRequest(body) {
+  let { content } = body;
+  const {
+    sourceSetId,
+    difficulty = 'medium',
+    questionTypes = ['multiple-choice'],
+    bloomLevels,
+    specificTopics = [],
+    prioritizeImportant = true,
+    questionBank,
+    language,
+    verify,
+    variant,
+    bypassCache = false,
+    save = true
+  } = body;
+
+  // Per-type counts set the quiz length unless one is given
+  const typeCounts = questionTypes && typeof questionTypes === 'object' && !Array.isArray(questionTypes);
+  const countTotal = typeCounts ? Object.values(questionTypes).reduce((sum, count) => sum + count, 0) : null;
+  const { numberOfQuestions = typeCounts ? countTotal : 10 } = body;
+
+  // A stored source set replaces inline content and lets questions cite files and pages
+  let sourceSet;
+  if (sourceSetId) {
+    const stored = sourceSetStore.get(sourceSetId, { includeContent: true });
+    if (!stored) {
+      return { status: 404, error: 'Source set not found' };
+    }
+    content = stored.content;
+    sourceSet = { id: stored.id, name: stored.name, files: stored.files };
+  }
+
+  // Validate input
+  if (content !== undefined && content !== null && typeof content !== 'string') {
+    return { status: 400, error: 'Content must be a string' };
+  }
+  if (!content || content.trim().length === 0) {
+    return { status: 400, error: 'Content or sourceSetId is required to generate quiz' };
+  }
+
+  // Counts are checked first, since their total is the default quiz length
+  if (typeCounts) {
+    const invalidTypes = Object.keys(questionTypes).filter(type => !quizValidator.QUESTION_TYPES.includes(type));
+    if (invalidTypes.length > 0) {
+      return { status: 400, error: `Invalid question types: ${invalidTypes.join(', ')}` };
+    }
+    if (Object.values(questionTypes).some(count => !Number.isInteger(count) || count < 0) || countTotal === 0) {
+      return { status: 400, error: 'Question type counts must be non-negative integers, at least one above zero' };
+    }
+  }
+
+  if (!Number.isInteger(numberOfQuestions) || numberOfQuestions < 1 || numberOfQuestions > 30) {
+    return { status: 400, error: 'Number of questions must be between 1 and 30' };
+  }
+
+  // Either one level or a mix, e.g. { easy: 30, medium: 50, hard: 20 }
+  if (difficulty && typeof difficulty === 'object' && !Array.isArray(difficulty)) {
+    const mix = parseWeights(difficulty, quizValidator.DIFFICULTIES, 'difficulty levels');
+    if (mix.error) {
+      return mix;
+    }
+  } else if (!quizValidator.DIFFICULTIES.includes(difficulty)) {
+    return { status: 400, error: 'Difficulty must be: easy, medium, or hard, or weights for each' };
+  }
+
+  if (typeCounts) {
+    if (numberOfQuestions !== countTotal) {
+      return {
+        status: 400,
+        error: `Question type counts add up to ${countTotal}, but numberOfQuestions is ${numberOfQuestions}`
+      };
+    }
+  } else {
+    const invalidTypes = Array.isArray(questionTypes)
+      ? questionTypes.filter(type => !quizValidator.QUESTION_TYPES.includes(type))
+      : [questionTypes];
+    if (invalidTypes.length > 0 || questionTypes.length === 0) {
+      return { status: 400, error: `Invalid question types: ${invalidTypes.join(', ')}` };
+    }
+  }
+
+  // Bloom's taxonomy targets are optional: a list shared evenly, or weights per level
+  if (bloomLevels !== undefined) {
+    if (Array.isArray(bloomLevels)) {
+      const invalidLevels = bloomLevels.filter(level => !quizValidator.BLOOM_LEVELS.includes(level));
+      if (invalidLevels.length > 0 || bloomLevels.length === 0) {
+        return {
+          status: 400,
+          error: `Bloom levels must be from: ${quizValidator.BLOOM_LEVELS.join(', ')}`
+        };
+      }
+    } else {
+      const mix = bloomLevels && typeof bloomLevels === 'object'
+        ? parseWeights(bloomLevels, quizValidator.BLOOM_LEVELS, 'Bloom levels')
+        : { status: 400, error: 'Bloom levels must be a list of levels or weights per level' };
+      if (mix.error) {
+        return mix;
+      }
+    }
+  }
+
+  const outputLanguage = parseLanguage(language);
+  if (outputLanguage.error) {
+    return outputLanguage;
+  }
+
+  const verification = parseVerify(verify);
+  if (verification.error) {
+    return verification;
+  }
+
+  const promptChoice = promptLibrary.parseChoice(body, 'quiz');
+  if (promptChoice.error) {
+    return promptChoice;
+  }
+
+  // Naming a variant opts in to caching; a different variant gives a fresh quiz
+  if (variant !== undefined && !((typeof variant === 'string' && variant.length > 0 && variant.length <= 100) ||
+    Number.isInteger(variant))) {
+    return { status: 400, error: 'Variant must be an integer or a string of at most 100 characters' };
+  }
+
+  // Imported questions to avoid repeating and/or to imitate
+  let bankQuestions = [];
+  let bankMode;
+  if (questionBank) {
+    if (typeof questionBank !== 'object' || Array.isArray(questionBank)) {
+      return { status: 400, error: 'questionBank must be an object with bankIds, questions and mode' };
+    }
+    const { bankIds = [], questions = [], mode = 'avoid' } = questionBank;
+
+    if (!['avoid', 'style', 'both'].includes(mode)) {
+      return { status: 400, error: 'Question bank mode must be: avoid, style, or both' };
+    }
+    if (!Array.isArray(bankIds) || bankIds.some(id => typeof id !== 'string')) {
+      return { status: 400, error: 'questionBank.bankIds must be an array of bank ids' };
+    }
+    if (!Array.isArray(questions) || questions.some(question => !question || typeof question !== 'object')) {
+      return { status: 400, error: 'questionBank.questions must be an array of question objects' };
+    }
+
+    const stored = questionBankStore.getQuestions(bankIds);
+    if (stored.missing.length > 0) {
+      return { status: 404, error: `Question banks not found: ${stored.missing.join(', ')}` };
+    }
+
+    bankQuestions = [...stored.questions, ...quizValidator.validate({ questions }).questions];
+    bankMode = mode;
+  }
+
+  return {
+    save,
+    options: {
+      content,
+      numberOfQuestions,
+      difficulty,
+      questionTypes,
+      bloomLevels,
+      specificTopics,
+      prioritizeImportant,
+      bankQuestions,
+      bankMode,
+      language: outputLanguage.language,
+      sourceSet,
+      verify: verification.verify,
+      prompt: promptChoice.prompt,
+      cacheVariant: variant === undefined ? undefined : String(variant),
+      bypassCache: bypassCache === true
+    }
+  };
+}
+
+/**
+ * Validate the fields shared by the study material endpoints (flashcards,
+ * summaries and glossaries)
+ * @param {Object} body - Request body
+ * @returns {Object} { options } or { status, error }
+ */
+function parseStudyRequest(body) {
+  let { content } = body;
+  const { sourceSetId, specificTopics = [], language, bypassCache = false } = body;
+
+  let sourceSet;
+  if (sourceSetId) {
+    const stored = sourceSetStore.get(sourceSetId, { includeContent: true });
+    if (!stored) {
+      return { status: 404, error: 'Source set not found' };
+    }
+    content = stored.content;
+    sourceSet = { id: stored.id, name: stored.name, files: stored.files };
+  }
+
+  if (content !== undefined && content !== null && typeof content !== 'string') {
+    return { status: 400, error: 'Content must be a string' };
+  }
+  if (!content || content.trim().length === 0) {
+    return { status: 400, error: 'Content or sourceSetId is required' };
+  }
+
+  if (!Array.isArray(specificTopics) || specificTopics.some(topic => typeof topic !== 'string')) {
+    return { status: 400, error: 'specificTopics must be an array of topic names' };
+  }
+
+  const outputLanguage = parseLanguage(language);
+  if (outputLanguage.error) {
+    return outputLanguage;
+  }
+
+  return {
+    options: {
+      content,
+      specificTopics: specificTopics.map(topic => topic.trim()).filter(Boolean),
+      language: outputLanguage.language,
+      sourceSet,
+      bypassCache: bypassCache === true
+    }
+  };
+}
+
+/**
+ * Validate a request to replace some questions of a quiz
+ * @param {Object} body - Request body
+ * @param {Array<Object>} questions - Current quiz questions
+ * @param {string} defaultLanguage - The quiz's language code, used when none is given
+ * @param {Object} defaultPrompt - The prompt selection the quiz was generated with
+ * @returns {Object} { options } or { status, error }
+ */
+function parseRegenerateRequest(body, questions, defaultLanguage, defaultPrompt) {
+  const { questionIds, instructions } = body;
+
+  if (!Array.isArray(questionIds) || questionIds.length === 0) {
+    return { status: 400, error: 'questionIds must be a non-empty array' };
+  }
+
+  const known = new Set(questions.map(question => String(question.id)));
+  const unknown = questionIds.filter(id => !known.has(String(id)));
+  if (unknown.length > 0) {
+    return { status: 400, error: `Questions not found in this quiz: ${unknown.join(', ')}` };
+  }
+
+  if (instructions !== undefined && (typeof instructions !== 'string' || instructions.length > MAX_INSTRUCTIONS_CHARS)) {
+    return { status: 400, error: `Instructions must be a string of at most ${MAX_INSTRUCTIONS_CHARS} characters` };
+  }
+
+  const outputLanguage = parseLanguage(body.language || defaultLanguage);
+  if (outputLanguage.error) {
+    return outputLanguage;
+  }
+
+  // New questions are written from the same template as the rest of the quiz unless another is chosen
+  const promptChoice = promptLibrary.parseChoice(body, 'quiz', defaultPrompt);
+  if (promptChoice.error) {
+    return promptChoice;
+  }
+
+  return {
+    options: {
+      questionIds,
+      instructions: instructions?.trim() || undefined,
+      language: outputLanguage.language,
+      prompt: promptChoice.prompt
+    }
+  };
+}
+
+/**
+ * Source set a stored quiz was generated from, with file and page
+ * offsets for citations; null when there is none or it has been deleted
+ * @param {Object} metadata - Quiz metadata
+ * @returns {Object|null} { id, name, files }
+ */
+function findQuizSourceSet(metadata) {
+  const stored = metadata?.sourceSet && sourceSetStore.get(metadata.sourceSet.id, { includeContent: true });
+  return stored ? { id: stored.id, name: stored.name, files: stored.files } : null;
+}
+
+/**
+ * Validate an AI help request, resolving the question and answer from a stored
+ * attempt when one is referenced
+ * @param {Object} body - Request body
+ * @returns {Object} { questionData } or { status, error }
+ */
+function parseHelpRequest(body) {
+  let { question, correctAnswer, userAnswer, explanation, topic } = body;
+  const { quizId, attemptId, questionId } = body;
+  let language = body.language;
+
+  // When an attempt is referenced, take the question and answer from the server copy
+  if (quizId && attemptId && questionId !== undefined) {
+    const quiz = quizStore.get(quizId);
+    const attempt = quiz && attemptStore.get(quizId, attemptId);
+    const stored = quiz && quiz.questions.find(q => String(q.id) === String(questionId));
+    const result = attempt && attempt.results.find(r => String(r.questionId) === String(questionId));
+
+    if (!stored || !result) {
+      return { status: 404, error: 'Question not found in this attempt' };
+    }
+
+    ({ question, explanation, topic } = stored);
+    correctAnswer = quizValidator.formatAnswer(stored);
+    userAnswer = result.answer === null ? null : quizValidator.formatAnswer(stored, result.answer);
+    // Tutor in the quiz's language unless another one is requested
+    if (!language && quiz.metadata?.language) language = quiz.metadata.language.code;
+  }
+
+  if (!question || correctAnswer === undefined || correctAnswer === null || correctAnswer === '') {
+    return { status: 400, error: 'Question and correct answer are required' };
+  }
+
+  // Lists and answer keys of the newer question types are sent to the tutor as text
+  if (typeof correctAnswer === 'object') {
+    correctAnswer = quizValidator.formatAnswer({ type: body.type, correctAnswer });
+  }
+  if (userAnswer && typeof userAnswer === 'object') {
+    userAnswer = quizValidator.formatAnswer({ type: body.type }, userAnswer);
+  }
+
+  const outputLanguage = parseLanguage(language);
+  if (outputLanguage.error) {
+    return outputLanguage;
+  }
+
+  const promptChoice = promptLibrary.parseChoice(body, 'explanation');
+  if (promptChoice.error) {
+    return promptChoice;
+  }
+
+  return {
+    questionData: {
+      question,
+      correctAnswer,
+      userAnswer,
+      explanation,
+      topic,
+      language: outputLanguage.language,
+      prompt: promptChoice.prompt,
+      bypassCache: body.bypassCache === true
+    }
+  };
+}
+
+/**
+ * Validate a short-answer grading request. The question comes inline or from a
+ * stored quiz; with an attemptId the answer is read from that attempt.
+ * @param {Object} body - Request body
+ * @returns {Object} { question, answer, language, quiz, attempt } or { status, error }
+ */
+function parseShortAnswerRequest(body) {
+  const { quizId, attemptId, questionId } = body;
+  let { answer, language } = body;
+  let question;
+  let quiz;
+  let attempt;
+
+  if (quizId) {
+    quiz = quizStore.get(quizId);
+    question = quiz && quiz.questions.find(q => String(q.id) === String(questionId));
+    if (!question) {
+      return { status: 404, error: 'Question not found in this quiz' };
+    }
+    if (question.type !== 'short-answer') {
+      return { status: 400, error: 'Only short-answer questions are graded against a rubric' };
+    }
+
+    if (attemptId) {
+      attempt = attemptStore.get(quizId, attemptId);
+      const result = attempt && attempt.results.find(r => String(r.questionId) === String(questionId));
+      if (!result) {
+        return { status: 404, error: 'Question not found in this attempt' };
+      }
+      answer = result.answer;
+    }
+    if (!language && quiz.metadata?.language) language = quiz.metadata.language.code;
+  } else {
+    const report = quizValidator.validateQuestion({ ...body.question, type: 'short-answer' });
+    if (report.issues.length > 0) {
+      return { status: 400, error: `Invalid question: ${report.issues.join('; ')}` };
+    }
+    question = report.question;
+  }
+
+  if (typeof answer !== 'string' || answer.trim().length === 0) {
+    return { status: 400, error: 'An answer is required' };
+  }
+  if (answer.length > MAX_SHORT_ANSWER_CHARS) {
+    return { status: 400, error: `Answers are limited to ${MAX_SHORT_ANSWER_CHARS} characters` };
+  }
+
+  const outputLanguage = parseLanguage(language);
+  if (outputLanguage.error) {
+    return outputLanguage;
+  }
+
+  return { question, answer: answer.trim(), language: outputLanguage.language, quiz, attempt };
+}
+
 // Generate quiz from content
-router.post('/generate', async (req, res, next) => {
+router.post('/generate', meterLLM, async (req, res, next) => {
+  try {
+    const request = parseGenerateRequest(req.body);
+    if (request.error) {
+      return res.status(request.status).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const { options, save } = request;
+    console.log(`🎯 Generating quiz: ${options.numberOfQuestions} questions, ${typeof options.difficulty === 'string' ? options.difficulty : 'mixed'} difficulty`);
+
+    const quiz = await quizGenerator.generateQuiz(options);
+    quiz.metadata.usage = usageTracker.current();
+
+    if (save) {
+      const stored = await quizStore.save(quiz, options.content);
+      quiz.id = stored.id;
+    }
+
+    res.json({
+      success: true,
+      data: quiz
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generate quiz as an event stream: one "question" event per question, a "verification"
+// event when answers were verified, then "metadata"
+router.post('/generate/stream', meterLLM, async (req, res, next) => {
+  // Failures before the stream opens go to the error handler as a normal JSON response
+  let request;
+  try {
+    request = parseGenerateRequest(req.body);
+  } catch (error) {
+    return next(error);
+  }
+  if (request.error) {
+    return res.status(request.status).json({
+      success: false,
+      error: request.error
+    });
+  }
+
+  const { options, save } = request;
+  const stream = openEventStream(req, res);
+  console.log(`🎯 Streaming quiz: ${options.numberOfQuestions} questions, ${typeof options.difficulty === 'string' ? options.difficulty : 'mixed'} difficulty`);
+
+  try {
+    const quiz = await quizGenerator.generateQuiz(options, {
+      signal: stream.signal,
+      onQuestion: question => stream.send('question', question)
+    });
+    quiz.metadata.usage = usageTracker.current();
+
+    if (save) {
+      const stored = await quizStore.save(quiz, options.content);
+      quiz.id = stored.id;
+    }
+
+    if (quiz.metadata.verification) {
+      stream.send('verification', {
+        questions: quiz.quiz.questions.map(question => ({ id: question.id, verification: question.verification })),
+        dropped: quiz.metadata.verification.dropped.map(entry => entry.id)
+      });
+    }
+
+    stream.send('metadata', {
+      id: quiz.id,
+      title: quiz.quiz.title,
+      description: quiz.quiz.description,
+      metadata: quiz.metadata
+    });
+    stream.end();
+  } catch (error) {
+    stream.fail(error, 'GENERATION_FAILED');
+  }
+});
+
+// Generate a flashcard deck (front/back cards tagged by topic) from content or a source set
+router.post('/flashcards', meterLLM, async (req, res, next) => {
+  try {
+    const request = parseStudyRequest(req.body);
+    if (request.error) {
+      return res.status(request.status).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const { numberOfCards = 20 } = req.body;
+    if (!Number.isInteger(numberOfCards) || numberOfCards < 1 || numberOfCards > MAX_FLASHCARDS) {
+      return res.status(400).json({
+        success: false,
+        error: `Number of cards must be between 1 and ${MAX_FLASHCARDS}`
+      });
+    }
+
+    console.log(`🃏 Generating ${numberOfCards} flashcards`);
+
+    const flashcards = await studyMaterialGenerator.generateFlashcards({ ...request.options, numberOfCards });
+    flashcards.metadata.usage = usageTracker.current();
+
+    res.json({
+      success: true,
+      data: flashcards
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a flashcard deck as an Anki import file (csv or tsv)
+router.post('/flashcards/export', (req, res, next) => {
+  try {
+    const { format = 'tsv' } = req.body;
+    // Accept either the /flashcards response data ({ deck, metadata }) or a bare deck
+    const deck = req.body.deck?.deck || req.body.deck;
+
+    if (!deck || !Array.isArray(deck.cards) || deck.cards.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'A deck with cards is required'
+      });
+    }
+
+    if (!quizExporter.FLASHCARD_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${quizExporter.FLASHCARD_FORMATS.join(', ')}`
+      });
+    }
+
+    const invalid = deck.cards.findIndex(card => !card || typeof card.front !== 'string' || typeof card.back !== 'string');
+    if (invalid !== -1) {
+      return res.status(400).json({
+        success: false,
+        error: `Card ${invalid + 1} needs a front and a back`
+      });
+    }
+
+    const exported = quizExporter.exportFlashcards(deck, format);
+    res.set('Content-Type', exported.contentType);
+    res.set('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.send(exported.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generate a hierarchical summary: overview, sections, key points and subsections
+router.post('/summary', meterLLM, async (req, res, next) => {
+  try {
+    const request = parseStudyRequest(req.body);
+    if (request.error) {
+      return res.status(request.status).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const { detail = 'standard' } = req.body;
+    if (!SUMMARY_DETAIL_LEVELS.includes(detail)) {
+      return res.status(400).json({
+        success: false,
+        error: `Detail must be one of: ${SUMMARY_DETAIL_LEVELS.join(', ')}`
+      });
+    }
+
+    console.log(`📝 Generating ${detail} summary`);
+
+    const summary = await studyMaterialGenerator.generateSummary({ ...request.options, detail });
+    summary.metadata.usage = usageTracker.current();
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generate a glossary of key terms with definitions
+router.post('/glossary', meterLLM, async (req, res, next) => {
+  try {
+    const request = parseStudyRequest(req.body);
+    if (request.error) {
+      return res.status(request.status).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const { maxTerms = 30 } = req.body;
+    if (!Number.isInteger(maxTerms) || maxTerms < 1 || maxTerms > MAX_GLOSSARY_TERMS) {
+      return res.status(400).json({
+        success: false,
+        error: `maxTerms must be between 1 and ${MAX_GLOSSARY_TERMS}`
+      });
+    }
+
+    console.log(`📖 Generating glossary of up to ${maxTerms} terms`);
+
+    const glossary = await studyMaterialGenerator.generateGlossary({ ...request.options, maxTerms });
+    glossary.metadata.usage = usageTracker.current();
+
+    res.json({
+      success: true,
+      data: glossary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Analyze content for available topics
+router.post('/analyze-topics', meterLLM, async (req, res, next) => {
+  try {
+    const { content } = req.body;
+
+    if (content !== undefined && content !== null && typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Content must be a string'
+      });
+    }
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Content is required for topic analysis'
+      });
+    }
+
+    const { language, status, error } = parseLanguage(req.body.language);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const topics = await quizGenerator.analyzeTopics(content, {
+      language,
+      bypassCache: req.body.bypassCache === true
+    });
+
+    res.json({
+      success: true,
+      data: topics,
+      metadata: { usage: usageTracker.current() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get detailed AI help for a question
+router.post('/ai-help', meterLLM, async (req, res, next) => {
+  try {
+    const request = parseHelpRequest(req.body);
+    if (request.error) {
+      return res.status(request.status).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    console.log(`🤖 Generating AI help for question about: ${request.questionData.topic || 'general topic'}`);
+
+    const detailedHelp = await quizGenerator.getDetailedExplanation(request.questionData);
+
+    res.json({
+      success: true,
+      data: detailedHelp,
+      metadata: { usage: usageTracker.current() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stream AI help as "token" events followed by a "result" event
+router.post('/ai-help/stream', meterLLM, async (req, res, next) => {
+  let request;
+  try {
+    request = parseHelpRequest(req.body);
+  } catch (error) {
+    return next(error);
+  }
+  if (request.error) {
+    return res.status(request.status).json({
+      success: false,
+      error: request.error
+    });
+  }
+
+  const stream = openEventStream(req, res);
+
+  try {
+    const detailedHelp = await quizGenerator.getDetailedExplanation(request.questionData, {
+      signal: stream.signal,
+      onToken: text => stream.send('token', { text })
+    });
+
+    stream.send('result', { ...detailedHelp, metadata: { usage: usageTracker.current() } });
+    stream.end();
+  } catch (error) {
+    stream.fail(error, 'TUTOR_FAILED');
+  }
+});
+
+// Chat with AI tutor for follow-up questions
+router.post('/ai-chat', meterLLM, async (req, res, next) => {
+  try {
+    const request = tutorChat.parseRequest(req.body);
+    if (request.error) {
+      return res.status(request.status).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    console.log(`💬 AI Chat: ${request.chatOptions.userMessage.substring(0, 50)}...`);
+
+    const response = await quizGenerator.chatWithTutor(request.chatOptions);
+
+    res.json({
+      success: true,
+      data: response,
+      metadata: { usage: usageTracker.current() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stream the tutor's reply as "token" events followed by a "result" event
+router.post('/ai-chat/stream', meterLLM, async (req, res, next) => {
+  let request;
+  try {
+    request = tutorChat.parseRequest(req.body);
+  } catch (error) {
+    return next(error);
+  }
+  if (request.error) {
+    return res.status(request.status).json({
+      success: false,
+      error: request.error
+    });
+  }
+
+  const stream = openEventStream(req, res);
+
+  try {
+    const response = await quizGenerator.chatWithTutor(request.chatOptions, {
+      signal: stream.signal,
+      onToken: text => stream.send('token', { text })
+    });
+
+    stream.send('result', { ...response, metadata: { usage: usageTracker.current() } });
+    stream.end();
+  } catch (error) {
+    stream.fail(error, 'TUTOR_FAILED');
+  }
+});
+
+// Start a tutor chat session about one question; the server keeps the transcript
+router.post('/chat-sessions', async (req, res, next) => {
+  try {
+    const request = tutorChat.parseSessionRequest(req.body);
+    if (request.error) {
+      return res.status(request.status).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const session = await chatSessionStore.create(request.session);
+    console.log(`💬 Chat session started: ${session.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Chat session with its full transcript and the summary of turns the tutor no longer sees verbatim
+router.get('/chat-sessions/:sessionId', (req, res, next) => {
+  try {
+    const session = chatSessionStore.get(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chat session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send the student's next message in a chat session
+router.post('/chat-sessions/:sessionId/messages', meterLLM, async (req, res, next) => {
+  try {
+    const request = tutorChat.claimSession(req.params.sessionId, req.body);
+    if (request.error) {
+      return res.status(request.status).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    console.log(`💬 AI Chat (${request.session.id}): ${request.message.substring(0, 50)}...`);
+
+    const reply = await tutorChat.replyInSession(request.session, request.message);
+
+    res.json({
+      success: true,
+      data: reply,
+      metadata: { usage: usageTracker.current() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stream the reply to a chat session message as "token" events followed by a "result" event
+router.post('/chat-sessions/:sessionId/messages/stream', meterLLM, async (req, res, next) => {
+  let request;
+  try {
+    request = tutorChat.claimSession(req.params.sessionId, req.body);
+  } catch (error) {
+    return next(error);
+  }
+  if (request.error) {
+    return res.status(request.status).json({
+      success: false,
+      error: request.error
+    });
+  }
+
+  const stream = openEventStream(req, res);
+
+  try {
+    const reply = await tutorChat.replyInSession(request.session, request.message, {
+      signal: stream.signal,
+      onToken: text => stream.send('token', { text })
+    });
+
+    stream.send('result', { ...reply, metadata: { usage: usageTracker.current() } });
+    stream.end();
+  } catch (error) {
+    stream.fail(error, error.code || 'TUTOR_FAILED');
+  }
+});
+
+// Delete a chat session and its transcript
+router.delete('/chat-sessions/:sessionId', async (req, res, next) => {
+  try {
+    const deleted = await chatSessionStore.remove(req.params.sessionId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chat session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: req.params.sessionId }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Score a free-text answer against a short-answer question's rubric. When it belongs to a
+// stored attempt, the attempt's score (and the learner's profile) is updated with the result.
+router.post('/grade-short-answer', meterLLM, async (req, res, next) => {
+  try {
+    const request = parseShortAnswerRequest(req.body);
+    if (request.error) {
+      return res.status(request.status).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const { question, answer, language, quiz, attempt } = request;
+    const grading = await quizGrader.gradeShortAnswer(question, answer, { language });
+    console.log(`📝 Short answer graded: ${grading.score}/${grading.maxPoints}`);
+
+    let updatedAttempt;
+    if (attempt) {
+      const previous = attempt.results.find(result => String(result.questionId) === String(question.id));
+      const graded = {
+        ...previous,
+        correct: grading.correct,
+        matchType: 'rubric',
+        rubricScore: { score: grading.score, maxPoints: grading.maxPoints, criteria: grading.criteria }
+      };
+      const results = attempt.results.map(result => (result === previous ? graded : result));
+
+      updatedAttempt = await attemptStore.update(attempt.id, {
+        results,
+        score: quizGrader.summarize(results),
+        byTopic: quizGrader.groupByTopic(results)
+      });
+
+      // Answers awaiting rubric grading were left out of the profile; count them once graded
+      if (attempt.learnerId && previous.correct === null) {
+        await learnerProfileStore.recordAttempt(attempt.learnerId, quiz, { results: [graded] });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...grading,
+        ...(updatedAttempt && { attempt: updatedAttempt })
+      },
+      metadata: { usage: usageTracker.current() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export a quiz sent in the request body (e.g. straight from /generate)
+router.post('/export', async (req, res, next) => {
   try {
-    const {
-      content,
-      numberOfQuestions = 10,
-      difficulty = 'medium',
-      questionTypes = ['multiple-choice'],
-      specificTopics = [],
-      prioritizeImportant = true
-    } = req.body;
-
-    // Validate input
+    const { format } = req.body;
+    // Accept either the /generate response data ({ quiz, metadata }) or a bare quiz
+    const quiz = req.body.quiz?.quiz || req.body.quiz;
+
+    if (!quiz || !Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'A quiz with questions is required'
+      });
+    }
+
+    await sendExport(res, quiz, format);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Render a quiz sent in the request body as a printable worksheet or answer key (HTML or PDF)
+router.post('/render', async (req, res, next) => {
+  try {
+    // Accept either the /generate response data ({ quiz, metadata }) or a bare quiz
+    const quiz = req.body.quiz?.quiz || req.body.quiz;
+
+    if (!quiz || !Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'A quiz with questions is required'
+      });
+    }
+
+    const { options, error } = worksheetRenderer.parseOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    sendRender(res, await worksheetRenderer.renderQuiz(quiz, options));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the prompt templates and tutor personas requests can choose from
+router.get('/prompts', (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: promptLibrary.list()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import a GIFT, Aiken or CSV question bank
+router.post('/import', async (req, res, next) => {
+  try {
+    const { content, format = 'auto', name, save = true } = req.body;
+
+    if (content !== undefined && content !== null && typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Content must be a string'
+      });
+    }
     if (!content || content.trim().length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Content is required to generate quiz'
+        error: 'Question bank content is required'
       });
     }
 
-    if (numberOfQuestions < 1 || numberOfQuestions > 30) {
+    if (format !== 'auto' && !quizImporter.IMPORT_FORMATS.includes(format)) {
       return res.status(400).json({
         success: false,
-        error: 'Number of questions must be between 1 and 30'
+        error: `Format must be one of: auto, ${quizImporter.IMPORT_FORMATS.join(', ')}`
       });
     }
 
-    const validDifficulties = ['easy', 'medium', 'hard'];
-    if (!validDifficulties.includes(difficulty)) {
+    let imported;
+    try {
+      imported = quizImporter.import(content, format);
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        error: 'Difficulty must be: easy, medium, or hard'
+        error: error.message
       });
     }
 
-    const validQuestionTypes = ['multiple-choice', 'true-false', 'fill-in-blank', 'topic-specific'];
-    const invalidTypes = questionTypes.filter(type => !validQuestionTypes.includes(type));
-    if (invalidTypes.length > 0) {
+    if (imported.questions.length === 0) {
       return res.status(400).json({
         success: false,
-        error: `Invalid question types: ${invalidTypes.join(', ')}`
+        error: 'No valid questions found',
+        details: imported.issues
       });
     }
 
-    console.log(`🎯 Generating quiz: ${numberOfQuestions} questions, ${difficulty} difficulty`);
+    console.log(`📥 Imported ${imported.questions.length} questions (${imported.format})`);
 
-    const quiz = await quizGenerator.generateQuiz({
-      content,
-      numberOfQuestions,
-      difficulty,
-      questionTypes,
-      specificTopics,
-      prioritizeImportant
+    let bank = { name: name || 'Imported questions', format: imported.format, questions: imported.questions };
+    if (save) {
+      bank = await questionBankStore.save(bank);
+    }
+
+    res.status(save ? 201 : 200).json({
+      success: true,
+      data: {
+        ...bank,
+        issues: imported.issues
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List imported question banks
+router.get('/banks', (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: questionBankStore.list()
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get an imported question bank
+router.get('/banks/:bankId', (req, res, next) => {
+  try {
+    const bank = questionBankStore.get(req.params.bankId);
+
+    if (!bank) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question bank not found'
+      });
+    }
 
     res.json({
       success: true,
-      data: quiz
+      data: bank
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Analyze content for available topics
-router.post('/analyze-topics', async (req, res, next) => {
+// Delete an imported question bank
+router.delete('/banks/:bankId', async (req, res, next) => {
   try {
-    const { content } = req.body;
+    const deleted = await questionBankStore.remove(req.params.bankId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question bank not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: req.params.bankId }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace some questions of a quiz sent in the request body, with its source content
+router.post('/regenerate', meterLLM, async (req, res, next) => {
+  try {
+    // Accept either the /generate response data ({ quiz, metadata }) or a bare quiz
+    const quiz = req.body.quiz?.quiz || req.body.quiz;
+    const metadata = req.body.quiz?.metadata;
+    let { content } = req.body;
+
+    if (!quiz || !Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'A quiz with questions is required'
+      });
+    }
+
+    // Fall back to the source set named in the quiz metadata when no content is posted
+    let sourceSet = null;
+    const sourceSetId = req.body.sourceSetId || (!content && metadata?.sourceSet?.id);
+    if (sourceSetId) {
+      const stored = sourceSetStore.get(sourceSetId, { includeContent: true });
+      if (!stored) {
+        return res.status(404).json({
+          success: false,
+          error: 'Source set not found'
+        });
+      }
+      content = stored.content;
+      sourceSet = { id: stored.id, name: stored.name, files: stored.files };
+    }
 
+    if (content !== undefined && content !== null && typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Content must be a string'
+      });
+    }
     if (!content || content.trim().length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Content is required for topic analysis'
+        error: 'Content or sourceSetId is required to regenerate questions'
+      });
+    }
+
+    const request = parseRegenerateRequest(req.body, quiz.questions, metadata?.language?.code, metadata?.prompt);
+    if (request.error) {
+      return res.status(request.status).json({
+        success: false,
+        error: request.error
       });
     }
 
-    const topics = await quizGenerator.analyzeTopics(content);
+    const result = await quizGenerator.regenerateQuestions(quiz.questions, content, {
+      ...request.options,
+      sourceSet
+    });
+    const { questions, ...details } = result;
 
     res.json({
       success: true,
-      data: topics
+      data: {
+        quiz: { ...quiz, questions },
+        ...details
+      },
+      metadata: { usage: usageTracker.current() }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Get detailed AI help for a question
-router.post('/ai-help', async (req, res, next) => {
+// List stored quizzes (paginated, filterable by topic and difficulty)
+router.get('/', (req, res, next) => {
+  try {
+    const { page, limit, topic, difficulty } = req.query;
+
+    res.json({
+      success: true,
+      data: quizStore.list({ page, limit, topic, difficulty })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a stored quiz
+router.get('/:id', (req, res, next) => {
+  try {
+    const quiz = quizStore.get(req.params.id, {
+      includeContent: req.query.includeContent === 'true'
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quiz
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export a stored quiz (format: gift, qti, aiken, csv)
+router.get('/:id/export', async (req, res, next) => {
+  try {
+    const quiz = quizStore.get(req.params.id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found'
+      });
+    }
+
+    await sendExport(res, quiz, req.query.format);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Render a stored quiz as a printable worksheet or answer key
+// (?document=worksheet|answer-key&format=html|pdf&shuffleQuestions=true&seed=...)
+router.get('/:id/render', async (req, res, next) => {
   try {
-    const { question, correctAnswer, userAnswer, explanation, topic } = req.body;
+    const quiz = quizStore.get(req.params.id);
 
-    if (!question || !correctAnswer) {
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found'
+      });
+    }
+
+    const { options, error } = worksheetRenderer.parseOptions(req.query);
+    if (error) {
       return res.status(400).json({
         success: false,
-        error: 'Question and correct answer are required'
+        error
+      });
+    }
+
+    sendRender(res, await worksheetRenderer.renderQuiz(quiz, options));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Edit a stored quiz's title, description or questions
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const { title, description, questions } = req.body;
+    const changes = { title, description };
+
+    if (questions !== undefined) {
+      if (!Array.isArray(questions) || questions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Questions must be a non-empty array'
+        });
+      }
+
+      const report = quizValidator.validate({ questions });
+      if (report.rejected.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Some questions are invalid',
+          details: report.rejected.flatMap(entry => entry.issues)
+        });
+      }
+      changes.questions = report.questions;
+    }
+
+    const quiz = await quizStore.update(req.params.id, changes);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found'
       });
     }
 
-    console.log(`🤖 Generating AI help for question about: ${topic || 'general topic'}`);
+    res.json({
+      success: true,
+      data: quiz
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace some questions of a stored quiz and save the result (unless save is false)
+router.post('/:id/regenerate', meterLLM, async (req, res, next) => {
+  try {
+    const quiz = quizStore.get(req.params.id, { includeContent: true });
 
-    const detailedHelp = await quizGenerator.getDetailedExplanation({
-      question,
-      correctAnswer,
-      userAnswer,
-      explanation,
-      topic
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found'
+      });
+    }
+
+    const request = parseRegenerateRequest(req.body, quiz.questions, quiz.metadata?.language?.code, quiz.metadata?.prompt);
+    if (request.error) {
+      return res.status(request.status).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const result = await quizGenerator.regenerateQuestions(quiz.questions, quiz.source.content, {
+      ...request.options,
+      sourceSet: findQuizSourceSet(quiz.metadata)
     });
+    const { questions, ...details } = result;
+
+    const updated = req.body.save === false || result.replaced.length === 0
+      ? { ...quizStore.withoutContent(quiz), questions }
+      : await quizStore.update(quiz.id, { questions });
 
     res.json({
       success: true,
-      data: detailedHelp
+      data: {
+        quiz: updated,
+        ...details
+      },
+      metadata: { usage: usageTracker.current() }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Chat with AI tutor for follow-up questions
-router.post('/ai-chat', async (req, res, next) => {
+// Submit answers for a stored quiz and grade them on the server
+router.post('/:id/attempts', async (req, res, next) => {
   try {
-    const { question, correctAnswer, chatHistory, userMessage, topic } = req.body;
+    const quiz = quizStore.get(req.params.id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found'
+      });
+    }
+
+    const { answers, learnerId } = req.body;
+    let answersById;
 
-    if (!question || !correctAnswer || !userMessage) {
+    if (learnerId !== undefined && learnerId !== null &&
+      (typeof learnerId !== 'string' || learnerId.trim().length === 0 || learnerId.length > MAX_LEARNER_ID_CHARS)) {
       return res.status(400).json({
         success: false,
-        error: 'Question, correct answer, and user message are required'
+        error: `learnerId must be a non-empty string of at most ${MAX_LEARNER_ID_CHARS} characters`
       });
     }
 
-    console.log(`💬 AI Chat: ${userMessage.substring(0, 50)}...`);
+    // Accept either [{ questionId, answer }] or { [questionId]: answer }
+    if (Array.isArray(answers)) {
+      answersById = {};
+      answers.forEach(entry => {
+        if (entry && entry.questionId !== undefined) answersById[entry.questionId] = entry.answer;
+      });
+    } else if (answers && typeof answers === 'object') {
+      answersById = answers;
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Answers are required'
+      });
+    }
 
-    const response = await quizGenerator.chatWithTutor({
-      question,
-      correctAnswer,
-      chatHistory,
-      userMessage,
-      topic
+    const questionIds = quiz.questions.map(question => String(question.id));
+    const unknownIds = Object.keys(answersById).filter(id => !questionIds.includes(id));
+    if (unknownIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown question ids: ${unknownIds.join(', ')}`
+      });
+    }
+
+    const grading = quizGrader.grade(quiz, answersById);
+
+    const attempt = await attemptStore.save({
+      quizId: quiz.id,
+      learnerId: learnerId || null,
+      ...grading
+    });
+
+    // Attempts by a known learner feed their mastery estimates and review schedule
+    if (learnerId) {
+      await learnerProfileStore.recordAttempt(learnerId, quiz, grading);
+    }
+
+    console.log(`📝 Attempt graded: ${grading.score.correct}/${grading.score.total}`);
+
+    res.status(201).json({
+      success: true,
+      data: attempt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List attempts for a stored quiz
+router.get('/:id/attempts', (req, res, next) => {
+  try {
+    if (!quizStore.get(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: attemptStore.listForQuiz(req.params.id, { learnerId: req.query.learnerId })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single graded attempt
+router.get('/:id/attempts/:attemptId', (req, res, next) => {
+  try {
+    const attempt = attemptStore.get(req.params.id, req.params.attemptId);
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attempt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: attempt
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a stored quiz
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const deleted = await quizStore.remove(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found'
+      });
+    }
 
     res.json({
       success: true,
-      data: response
+      data: { id: req.params.id }
     });
   } catch (error) {
     next(error);
@@ -2,9 +2,15 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const contentExtractor = require('../services/contentExtractor');
+const jobQueue = require('../services/jobQueue');
+const sourceSetStore = require('../services/sourceSetStore');
+const { openEventStream } = require('../utils/sse');
+const { findLanguage, detectLanguage, describeLanguage } = require('../utils/languages');
 
 const router = express.Router();
 
+const MAX_SOURCE_FILES = parseInt(process.env.MAX_SOURCE_FILES) || 10;
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -17,19 +23,10 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'application/pdf',
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'text/plain'
-  ];
-  
-  if (allowedTypes.includes(file.mimetype)) {
+  if (contentExtractor.detectFormat(file)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Allowed: PDF, Images (JPEG, PNG, GIF, WebP), Text files'), false);
+    cb(new Error('Invalid file type. Allowed: PDF, Images (JPEG, PNG, GIF, WebP), Text, Word (DOCX), PowerPoint (PPTX), HTML, Markdown, EPUB'), false);
   }
 };
 
@@ -41,6 +38,96 @@ const upload = multer({
   }
 });
 
+/**
+ * Parse the OCR language field of an upload: "auto" (default) or a list of
+ * language codes or names separated by commas or "+", e.g. "en,fr" or "fra+eng"
+ * @param {string} value - ocrLanguage form field
+ * @returns {Object} { ocrLanguages } (null for automatic detection) or { error }
+ */
+function parseOCRLanguages(value) {
+  if (value === undefined || value === null || String(value).trim() === '' || String(value).trim() === 'auto') {
+    return { ocrLanguages: null };
+  }
+
+  const requested = String(value).split(/[,+\s]+/).filter(Boolean);
+  const unknown = requested.filter(name => !findLanguage(name));
+  if (unknown.length > 0) {
+    return { error: `Unsupported OCR languages: ${unknown.join(', ')}` };
+  }
+
+  return { ocrLanguages: [...new Set(requested.map(name => findLanguage(name).tesseract))] };
+}
+
+/**
+ * Parse the PDF page range field of an upload: page numbers and ranges
+ * separated by commas, e.g. "40-58", "1-3,7" or "10-" (page 10 to the end)
+ * @param {string} value - pages form field
+ * @returns {Object} { pageRange: [{ from, to }] } (null for every page) or { error }
+ */
+function parsePageRange(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { pageRange: null };
+  }
+
+  const pageRange = [];
+  for (const part of String(value).split(',').map(entry => entry.trim())) {
+    const match = part.match(/^(\d+)(?:\s*[-–]\s*(\d*))?$/);
+    if (!match) {
+      return { error: `Invalid page range "${part}"; use page numbers and ranges like "40-58", "1-3,7" or "10-"` };
+    }
+
+    const from = parseInt(match[1], 10);
+    const to = match[2] === undefined ? from : match[2] === '' ? Infinity : parseInt(match[2], 10);
+    if (from < 1 || to < from) {
+      return { error: `Invalid page range "${part}"; pages are numbered from 1 and ranges must not run backwards` };
+    }
+    pageRange.push({ from, to });
+  }
+
+  return { pageRange };
+}
+
+/**
+ * Parse the extraction options of a single-file upload
+ * @param {Object} body - Upload form fields
+ * @returns {Object} { options: { ocrLanguages, pageRange } } or { error }
+ */
+function parseExtractionOptions(body) {
+  const languages = parseOCRLanguages(body.ocrLanguage);
+  if (languages.error) return { error: languages.error };
+
+  const pages = parsePageRange(body.pages);
+  if (pages.error) return { error: pages.error };
+
+  return { options: { ocrLanguages: languages.ocrLanguages, pageRange: pages.pageRange } };
+}
+
+/**
+ * Response body for an extracted file, with the text of each PDF page or
+ * PPTX slide and which pages were read by OCR
+ * @param {Object} file - Multer file object
+ * @param {Object} extracted - Result of contentExtractor.extractDocument
+ * @param {Object} options - Extraction options the file was read with
+ * @returns {Object} Extraction result
+ */
+function describeExtraction(file, { content, pages }, options) {
+  return {
+    filename: file.originalname,
+    fileType: file.mimetype,
+    content,
+    contentLength: content.length,
+    language: describeLanguage(detectLanguage(content)),
+    pageRange: options.pageRange && options.pageRange.map(({ from, to }) => ({ from, to: Number.isFinite(to) ? to : null })),
+    pages: pages.map(({ number, label, startOffset, endOffset, ocr }) => ({
+      number,
+      label,
+      ocr,
+      text: content.slice(startOffset, endOffset)
+    })),
+    ocrPages: pages.filter(page => page.ocr).map(page => page.number)
+  };
+}
+
 // Upload and extract content from file
 router.post('/file', upload.single('file'), async (req, res, next) => {
   try {
@@ -51,19 +138,261 @@ router.post('/file', upload.single('file'), async (req, res, next) => {
       });
     }
 
+    const { options, error } = parseExtractionOptions(req.body);
+    if (error) {
+      contentExtractor.cleanupFile(req.file.path);
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
     console.log(`📄 Processing file: ${req.file.originalname}`);
     
-    const extractedContent = await contentExtractor.extractFromFile(req.file);
+    const extracted = await contentExtractor.extractDocument(req.file, options);
     
     res.json({
+      success: true,
+      data: describeExtraction(req.file, extracted, options)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload a file and extract its content in a background job
+router.post('/jobs', upload.single('file'), (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded'
+      });
+    }
+
+    const file = req.file;
+    const { options, error } = parseExtractionOptions(req.body);
+    if (error) {
+      contentExtractor.cleanupFile(file.path);
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    console.log(`📥 Queued extraction job for: ${file.originalname}`);
+
+    const job = jobQueue.enqueue({
+      type: 'extract',
+      meta: {
+        filename: file.originalname,
+        fileType: file.mimetype,
+        fileSize: file.size,
+        ocrLanguages: options.ocrLanguages || 'auto',
+        pages: req.body.pages || 'all'
+      },
+      run: async (handlers) => {
+        const extracted = await contentExtractor.extractDocument(file, options, handlers);
+        return describeExtraction(file, extracted, options);
+      },
+      discard: () => contentExtractor.cleanupFile(file.path)
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Poll an extraction job for status, progress and result
+router.get('/jobs/:id', (req, res, next) => {
+  try {
+    const job = jobQueue.get(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Subscribe to an extraction job: "job" events until it finishes
+router.get('/jobs/:id/events', (req, res, next) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  const stream = openEventStream(req, res);
+  const finished = (current) => jobQueue.isFinished(current);
+
+  const onUpdate = (update) => {
+    if (update.id !== job.id) return;
+    stream.send('job', update);
+    if (finished(update)) {
+      jobQueue.off('update', onUpdate);
+      stream.end();
+    }
+  };
+
+  stream.send('job', job);
+  if (finished(job)) {
+    return stream.end();
+  }
+
+  jobQueue.on('update', onUpdate);
+  stream.signal.addEventListener('abort', () => jobQueue.off('update', onUpdate));
+});
+
+// Cancel an extraction job
+router.delete('/jobs/:id', (req, res, next) => {
+  try {
+    const job = jobQueue.cancel(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload several files as one source set; file names and PDF/PPTX page numbers are kept
+// so questions generated from it (POST /api/quiz/generate with sourceSetId) can cite them
+router.post('/source-sets', upload.array('files', MAX_SOURCE_FILES), async (req, res, next) => {
+  const files = req.files || [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded'
+      });
+    }
+
+    const { ocrLanguages, error } = parseOCRLanguages(req.body.ocrLanguage);
+    if (error) {
+      files.forEach(file => contentExtractor.cleanupFile(file.path));
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    // One range cannot fit several documents; whole files are kept
+    if (req.body.pages !== undefined && String(req.body.pages).trim() !== '') {
+      files.forEach(file => contentExtractor.cleanupFile(file.path));
+      return res.status(400).json({
+        success: false,
+        error: 'Page ranges are not supported for source sets; upload single files to /api/upload/file to extract selected pages'
+      });
+    }
+
+    console.log(`📚 Building source set from ${files.length} file(s)`);
+
+    const documents = [];
+    for (const file of files) {
+      const { content, pages } = await contentExtractor.extractDocument(file, { ocrLanguages });
+      documents.push({
+        filename: file.originalname,
+        fileType: file.mimetype,
+        content,
+        pages
+      });
+    }
+
+    const sourceSet = await sourceSetStore.create(req.body.name, documents);
+
+    res.status(201).json({
       success: true,
       data: {
-        filename: req.file.originalname,
-        fileType: req.file.mimetype,
-        content: extractedContent,
-        contentLength: extractedContent.length
+        ...sourceSetStore.get(sourceSet.id),
+        content: sourceSet.content,
+        language: describeLanguage(detectLanguage(sourceSet.content))
       }
     });
+  } catch (error) {
+    // Files after a failed one were never processed
+    files.forEach(file => contentExtractor.cleanupFile(file.path));
+    next(error);
+  }
+});
+
+// List source sets
+router.get('/source-sets', (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: sourceSetStore.list()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a source set, with its combined content when ?includeContent=true
+router.get('/source-sets/:id', (req, res, next) => {
+  try {
+    const sourceSet = sourceSetStore.get(req.params.id, {
+      includeContent: req.query.includeContent === 'true'
+    });
+
+    if (!sourceSet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Source set not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: sourceSet
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a source set
+router.delete('/source-sets/:id', async (req, res, next) => {
+  try {
+    const removed = await sourceSetStore.remove(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Source set not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: req.params.id }
+    });
   } catch (error) {
     next(error);
   }
@@ -85,7 +414,8 @@ router.post('/text', async (req, res, next) => {
       success: true,
       data: {
         content: text.trim(),
-        contentLength: text.trim().length
+        contentLength: text.trim().length,
+        language: describeLanguage(detectLanguage(text))
       }
     });
   } catch (error) {
@@ -0,0 +1,41 @@
+const express = require('express');
+const usageTracker = require('../services/usageTracker');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// LLM usage and estimated cost, aggregated by day, route, model, operation and client.
+// Admin keys see every client; other keys only see their own calls.
+router.get('/', async (req, res, next) => {
+  try {
+    const { from, to, route, model } = req.query;
+
+    const invalidDate = [from, to].find(value => value !== undefined && !(DATE_PATTERN.test(value) && !isNaN(Date.parse(value))));
+    if (invalidDate !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid date: ${invalidDate}. Use YYYY-MM-DD`
+      });
+    }
+
+    if (from && to && from > to) {
+      return res.status(400).json({
+        success: false,
+        error: '"from" must not be after "to"'
+      });
+    }
+
+    const isAdmin = !req.apiKey || req.apiKey.role === 'admin';
+    const clientId = isAdmin ? req.query.clientId : req.apiKey.id;
+
+    res.json({
+      success: true,
+      data: await usageTracker.report({ from, to, clientId, route, model })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -7,10 +7,23 @@ const fs = require('fs');
 
 const quizRoutes = require('./routes/quizRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
+const keyRoutes = require('./routes/keyRoutes');
+const cacheRoutes = require('./routes/cacheRoutes');
+const usageRoutes = require('./routes/usageRoutes');
+const learnerRoutes = require('./routes/learnerRoutes');
+const llm = require('./services/llm');
+const usageTracker = require('./services/usageTracker');
+const { AUTH_DISABLED, authenticate, requireAdmin } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Comma-separated list of allowed browser origins; unset or "*" allows any origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, '../uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -18,17 +31,41 @@ if (!fs.existsSync(uploadsDir)) {
 }
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  // Requests without an Origin header (servers, curl) are not subject to CORS
+  origin: (origin, callback) => {
+    callback(null, !origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin));
+  },
+  exposedHeaders: [
+    'Retry-After',
+    'X-RateLimit-Limit',
+    'X-RateLimit-Remaining',
+    'X-RateLimit-Reset',
+    'X-Quota-Daily-Remaining',
+    'X-Quota-Monthly-Remaining',
+    'X-Skipped-Questions',
+    'X-Variant-Seed',
+    'Content-Disposition'
+  ]
+}));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Routes
-app.use('/api/upload', uploadRoutes);
-app.use('/api/quiz', quizRoutes);
+app.use('/api/upload', authenticate, usageTracker.middleware(), uploadRoutes);
+app.use('/api/quiz', authenticate, usageTracker.middleware(), quizRoutes);
+app.use('/api/learners', authenticate, usageTracker.middleware(), learnerRoutes);
+app.use('/api/usage', authenticate, usageRoutes);
+app.use('/api/keys', authenticate, requireAdmin, keyRoutes);
+app.use('/api/cache', authenticate, requireAdmin, cacheRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Quiz Generator API is running' });
+  res.json({
+    status: 'ok',
+    message: 'Quiz Generator API is running',
+    llmProvider: llm.provider.name
+  });
 });
 
 // Error handling middleware
@@ -43,4 +80,7 @@ app.use((err, req, res, next) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Quiz Generator Server running on port ${PORT}`);
   console.log(`📚 API available at http://0.0.0.0:${PORT}/api`);
+  if (AUTH_DISABLED) {
+    console.warn('⚠️ AUTH_DISABLED is set: API keys, rate limits and quotas are not enforced');
+  }
 });
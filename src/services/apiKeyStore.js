@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { JsonCollection } = require('./jsonStore');
+
+const KEY_PREFIX = 'qg_';
+const ROLES = ['client', 'admin'];
+const LIMIT_FIELDS = ['requestsPerMinute', 'llmRequestsPerMinute', 'dailyQuota', 'monthlyQuota'];
+
+const DEFAULT_LIMITS = {
+  requestsPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 60,
+  llmRequestsPerMinute: parseInt(process.env.LLM_RATE_LIMIT_PER_MINUTE) || 10,
+  dailyQuota: parseInt(process.env.LLM_DAILY_QUOTA) || 200,
+  monthlyQuota: parseInt(process.env.LLM_MONTHLY_QUOTA) || 3000
+};
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Start of the next UTC day or month after a date
+ * @param {Date} date - Reference date
+ * @param {string} period - "day" or "month"
+ * @returns {Date} Reset time
+ */
+function nextPeriodStart(date, period) {
+  return period === 'day'
+    ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1))
+    : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+/**
+ * API keys with their limits and LLM quota counters. Only a SHA-256 hash of
+ * each key is stored; the key itself is shown once, when it is created.
+ */
+class ApiKeyStore {
+  constructor() {
+    this.collection = new JsonCollection('apiKeys');
+  }
+
+  /**
+   * Create a key
+   * @param {Object} options - Key options
+   * @param {string} options.name - Label for the client using the key
+   * @param {string} options.role - "client" (default) or "admin"
+   * @param {Object} options.limits - Overrides of the default limits
+   * @returns {Promise<Object>} { key, apiKey } - the plain key (shown only now) and its public record
+   */
+  async create(options = {}) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+    const stored = await this.collection.insert({
+      name: options.name || 'Unnamed key',
+      role: options.role || 'client',
+      keyHash: hashKey(key),
+      keyPreview: `${key.slice(0, KEY_PREFIX.length + 4)}…`,
+      limits: options.limits || {},
+      status: 'active',
+      usage: { day: null, dayCount: 0, month: null, monthCount: 0 },
+      lastUsedAt: null,
+      revokedAt: null
+    });
+
+    return { key, apiKey: this.toPublic(stored) };
+  }
+
+  /**
+   * Find the active key matching a presented key
+   * @param {string} key - Key from the request
+   * @returns {Object|null} Stored key record
+   */
+  authenticate(key) {
+    if (!key) return null;
+    const presented = hashKey(key);
+    return this.collection.find(record =>
+      record.status === 'active' && record.keyHash === presented)[0] || null;
+  }
+
+  /**
+   * Get a key's public record
+   * @param {string} id - Key id
+   * @returns {Object|null} Public record or null
+   */
+  get(id) {
+    const record = this.collection.get(id);
+    return record ? this.toPublic(record) : null;
+  }
+
+  /**
+   * List keys, newest first
+   * @returns {Array<Object>} Public records
+   */
+  list() {
+    return this.collection
+      .find()
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(record => this.toPublic(record));
+  }
+
+  /**
+   * Rename a key or change its limits
+   * @param {string} id - Key id
+   * @param {Object} changes - name and/or limits (merged into the current overrides; null restores a default)
+   * @returns {Promise<Object|null>} Public record or null if not found
+   */
+  async update(id, changes) {
+    const existing = this.collection.get(id);
+    if (!existing) return null;
+
+    const allowed = {};
+    if (changes.name !== undefined) allowed.name = changes.name;
+    if (changes.limits !== undefined) {
+      const limits = { ...existing.limits, ...changes.limits };
+      Object.keys(limits).forEach(field => {
+        if (limits[field] === null) delete limits[field];
+      });
+      allowed.limits = limits;
+    }
+
+    return this.toPublic(await this.collection.update(id, allowed));
+  }
+
+  /**
+   * Revoke a key; the record is kept so its usage stays visible
+   * @param {string} id - Key id
+   * @returns {Promise<Object|null>} Public record or null if not found
+   */
+  async revoke(id) {
+    const existing = this.collection.get(id);
+    if (!existing) return null;
+    if (existing.status === 'revoked') return this.toPublic(existing);
+
+    return this.toPublic(await this.collection.update(id, {
+      status: 'revoked',
+      revokedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Effective limits of a key: its overrides on top of the defaults
+   * @param {Object} record - Stored key record
+   * @returns {Object} Limits
+   */
+  getLimits(record) {
+    return { ...DEFAULT_LIMITS, ...(record.limits || {}) };
+  }
+
+  /**
+   * Count an LLM-backed request against the key's daily and monthly quotas.
+   * Nothing is counted when a quota is already used up.
+   * @param {string} id - Key id
+   * @returns {Promise<Object>} { allowed, usage } or { allowed: false, quota, limit, resetAt, retryAfter }
+   */
+  async recordLLMRequest(id) {
+    const record = this.collection.get(id);
+    const now = new Date();
+    const limits = this.getLimits(record);
+    const usage = this.currentUsage(record, now);
+
+    const exceeded = [
+      { quota: 'daily', used: usage.dayCount, limit: limits.dailyQuota, period: 'day' },
+      { quota: 'monthly', used: usage.monthCount, limit: limits.monthlyQuota, period: 'month' }
+    ].find(entry => entry.used >= entry.limit);
+
+    if (exceeded) {
+      const resetAt = nextPeriodStart(now, exceeded.period);
+      return {
+        allowed: false,
+        quota: exceeded.quota,
+        limit: exceeded.limit,
+        resetAt: resetAt.toISOString(),
+        retryAfter: Math.max(Math.ceil((resetAt - now) / 1000), 1)
+      };
+    }
+
+    usage.dayCount++;
+    usage.monthCount++;
+    await this.collection.update(id, { usage, lastUsedAt: now.toISOString() });
+
+    return { allowed: true, usage: this.describeUsage(record, usage) };
+  }
+
+  /**
+   * Usage counters for the current day and month, reset when a period has passed
+   * @param {Object} record - Stored key record
+   * @param {Date} now - Current time
+   * @returns {Object} { day, dayCount, month, monthCount }
+   */
+  currentUsage(record, now) {
+    const day = now.toISOString().slice(0, 10);
+    const month = day.slice(0, 7);
+    const usage = record.usage || {};
+
+    return {
+      day,
+      dayCount: usage.day === day ? usage.dayCount : 0,
+      month,
+      monthCount: usage.month === month ? usage.monthCount : 0
+    };
+  }
+
+  describeUsage(record, usage) {
+    const limits = this.getLimits(record);
+    return {
+      daily: { used: usage.dayCount, limit: limits.dailyQuota },
+      monthly: { used: usage.monthCount, limit: limits.monthlyQuota }
+    };
+  }
+
+  toPublic(record) {
+    const { keyHash, usage, ...rest } = record;
+    return {
+      ...rest,
+      limits: this.getLimits(record),
+      usage: this.describeUsage(record, this.currentUsage(record, new Date()))
+    };
+  }
+}
+
+module.exports = new ApiKeyStore();
+module.exports.ROLES = ROLES;
+module.exports.LIMIT_FIELDS = LIMIT_FIELDS;
+module.exports.hashKey = hashKey;
@@ -0,0 +1,52 @@
+const { JsonCollection } = require('./jsonStore');
+
+class AttemptStore {
+  constructor() {
+    this.collection = new JsonCollection('attempts');
+  }
+
+  /**
+   * Store a graded attempt
+   * @param {Object} attempt - Quiz id, learner id, answers and grading result
+   * @returns {Promise<Object>} Stored attempt
+   */
+  async save(attempt) {
+    return this.collection.insert(attempt);
+  }
+
+  /**
+   * Get an attempt belonging to a quiz
+   * @param {string} quizId - Quiz id
+   * @param {string} attemptId - Attempt id
+   * @returns {Object|null} Attempt or null
+   */
+  get(quizId, attemptId) {
+    const attempt = this.collection.get(attemptId);
+    return attempt && attempt.quizId === quizId ? attempt : null;
+  }
+
+  /**
+   * Update a stored attempt, e.g. after a short answer was graded against its rubric
+   * @param {string} attemptId - Attempt id
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} Updated attempt or null
+   */
+  async update(attemptId, changes) {
+    return this.collection.update(attemptId, changes);
+  }
+
+  /**
+   * List attempts for a quiz, newest first
+   * @param {string} quizId - Quiz id
+   * @param {Object} filters - Optional learnerId filter
+   * @returns {Array<Object>} Attempts
+   */
+  listForQuiz(quizId, filters = {}) {
+    return this.collection
+      .find(attempt => attempt.quizId === quizId &&
+        (!filters.learnerId || attempt.learnerId === filters.learnerId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+}
+
+module.exports = new AttemptStore();
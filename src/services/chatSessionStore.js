@@ -0,0 +1,65 @@
+const { JsonCollection } = require('./jsonStore');
+
+/**
+ * Tutor conversations kept on the server, each tied to one quiz question.
+ * The full transcript is stored; summary and summarizedMessages record how
+ * much of it the tutor now only sees in summarized form.
+ */
+class ChatSessionStore {
+  constructor() {
+    this.collection = new JsonCollection('chatSessions');
+  }
+
+  /**
+   * Start a session
+   * @param {Object} session - Question context, language and optional quiz, attempt and learner ids
+   * @returns {Promise<Object>} Stored session
+   */
+  async create(session) {
+    return this.collection.insert({
+      ...session,
+      messages: [],
+      summary: null,
+      summarizedMessages: 0
+    });
+  }
+
+  /**
+   * Get a session with its transcript
+   * @param {string} sessionId - Session id
+   * @returns {Object|null} Session or null
+   */
+  get(sessionId) {
+    return this.collection.get(sessionId);
+  }
+
+  /**
+   * Append a turn and store the updated summary
+   * @param {string} sessionId - Session id
+   * @param {Array<Object>} messages - New messages ({ role, content })
+   * @param {Object} history - summary and summarizedMessages after compaction
+   * @returns {Promise<Object|null>} Updated session or null
+   */
+  async addTurn(sessionId, messages, history) {
+    const session = this.get(sessionId);
+    if (!session) return null;
+
+    const createdAt = new Date().toISOString();
+    return this.collection.update(sessionId, {
+      messages: [...session.messages, ...messages.map(message => ({ ...message, createdAt }))],
+      summary: history.summary,
+      summarizedMessages: history.summarizedMessages
+    });
+  }
+
+  /**
+   * Delete a session
+   * @param {string} sessionId - Session id
+   * @returns {Promise<boolean>} Whether a session was deleted
+   */
+  async remove(sessionId) {
+    return this.collection.remove(sessionId);
+  }
+}
+
+module.exports = new ChatSessionStore();
@@ -0,0 +1,170 @@
+const sourceSetStore = require('./sourceSetStore');
+const quizValidator = require('./quizValidator');
+
+const MAX_EXCERPT_CHARS = 400;
+const HEADING_LINE = /^#{1,6}\s+(.+?)\s*#*$/;
+
+/**
+ * Lowercase text with whitespace runs collapsed, keeping a map from each
+ * normalized character back to its offset in the original text
+ * @param {string} text - Original text
+ * @returns {Object} { text, offsets }
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let pendingSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      pendingSpace = normalized.length > 0;
+      continue;
+    }
+    if (pendingSpace) {
+      normalized += ' ';
+      offsets.push(i - 1);
+      pendingSpace = false;
+    }
+    normalized += char.toLowerCase();
+    offsets.push(i);
+  }
+
+  return { text: normalized, offsets };
+}
+
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+}
+
+class CitationLocator {
+  /**
+   * Attach a citation to a question: the passage of the source content that
+   * supports it, with the file, page and section it comes from. The model's
+   * "sourceExcerpt" is searched for in the question's section; when it is
+   * missing or not verbatim, the best-matching sentence is cited instead.
+   * @param {Object} question - Validated question (with sectionIndex and optional sourceExcerpt)
+   * @param {string} content - Full source content
+   * @param {Array<Object>} sections - Content sections the quiz was generated from
+   * @param {Object} sourceSet - Optional source set ({ id, files }) the content came from
+   * @returns {Object} Question with a citation and without sourceExcerpt
+   */
+  cite(question, content, sections, sourceSet) {
+    const { sourceExcerpt, ...cited } = question;
+    const section = sections.find(entry => entry.index === question.sectionIndex) || {
+      startOffset: 0,
+      endOffset: content.length,
+      title: null
+    };
+    const sectionText = content.slice(section.startOffset, section.endOffset);
+
+    const query = [question.question, quizValidator.formatAnswer(question), question.explanation].join(' ');
+    const located = (sourceExcerpt && this.findExcerpt(sectionText, String(sourceExcerpt))) ||
+      this.findBestSentence(sectionText, sourceExcerpt ? `${sourceExcerpt} ${query}` : query);
+
+    const startOffset = section.startOffset + (located ? located.start : 0);
+    const endOffset = section.startOffset + (located ? located.end : 0);
+    const { file, page } = sourceSet ? sourceSetStore.locate(sourceSet, startOffset) : { file: null, page: null };
+
+    let excerpt = located ? content.slice(startOffset, endOffset).replace(/\s+/g, ' ').trim() : null;
+    if (excerpt && excerpt.length > MAX_EXCERPT_CHARS) {
+      excerpt = `${excerpt.substring(0, MAX_EXCERPT_CHARS - 3).trim()}...`;
+    }
+
+    cited.citation = {
+      file: file ? file.filename : null,
+      page: page ? page.number : null,
+      pageLabel: page ? page.label : null,
+      section: this.findHeading(content, startOffset, file ? file.contentStart : 0) ||
+        // In a source set the chunk title may just be a file name heading
+        (!file && section.title && !/^Section \d+$/.test(section.title) ? section.title : null),
+      excerpt,
+      startOffset: located ? startOffset : null,
+      endOffset: located ? endOffset : null,
+      match: located ? located.match : 'none'
+    };
+
+    return cited;
+  }
+
+  /**
+   * Find an excerpt in the text, ignoring case, whitespace differences,
+   * surrounding quotes and trailing ellipses
+   * @param {string} text - Text to search
+   * @param {string} excerpt - Excerpt quoted by the model
+   * @returns {Object|null} { start, end, match: 'exact' } in text offsets
+   */
+  findExcerpt(text, excerpt) {
+    const needle = normalizeWithOffsets(
+      excerpt.trim().replace(/^["'“‘]+|["'”’]+$/g, '').replace(/(\.\.\.|…)$/, '')
+    ).text.trim();
+    if (needle.length < 10) return null;
+
+    const haystack = normalizeWithOffsets(text);
+    const index = haystack.text.indexOf(needle);
+    if (index < 0) return null;
+
+    return {
+      start: haystack.offsets[index],
+      end: haystack.offsets[index + needle.length - 1] + 1,
+      match: 'exact'
+    };
+  }
+
+  /**
+   * Find the sentence that shares the most words with the query
+   * @param {string} text - Text to search
+   * @param {string} query - Question, answer and explanation text
+   * @returns {Object|null} { start, end, match: 'approximate' } in text offsets
+   */
+  findBestSentence(text, query) {
+    const queryWords = new Set(tokenize(query));
+    if (queryWords.size === 0) return null;
+
+    const sentencePattern = /[^.!?\n]+(?:[.!?]+|$)/gm;
+    let best = null;
+    let bestScore = 0;
+    let match;
+
+    while ((match = sentencePattern.exec(text)) !== null) {
+      const sentence = match[0];
+      const words = new Set(tokenize(sentence));
+      if (words.size === 0) continue;
+
+      let shared = 0;
+      words.forEach(word => {
+        if (queryWords.has(word)) shared++;
+      });
+      // Favour sentences whose words are mostly about the question, not just long ones
+      const score = shared / Math.sqrt(words.size);
+
+      if (score > bestScore) {
+        const leading = sentence.length - sentence.trimStart().length;
+        best = { start: match.index + leading, end: match.index + sentence.trimEnd().length, match: 'approximate' };
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Nearest Markdown-style heading at or before an offset
+   * @param {string} content - Full source content
+   * @param {number} offset - Offset of the cited passage
+   * @param {number} floor - Do not look before this offset (e.g. start of the cited file)
+   * @returns {string|null} Heading text
+   */
+  findHeading(content, offset, floor = 0) {
+    // Include the rest of the line so a passage starting on a heading is under that heading
+    const lineEnd = content.indexOf('\n', offset);
+    const lines = content.slice(floor, lineEnd < 0 ? content.length : lineEnd).split('\n');
+    for (let i = lines.length - 1; i >= 0; i--) {
+      const heading = lines[i].trim().match(HEADING_LINE);
+      if (heading) return heading[1];
+    }
+    return null;
+  }
+}
+
+module.exports = new CitationLocator();
@@ -0,0 +1,119 @@
+const DEFAULT_MAX_CHARS = 12000;
+
+class ContentChunker {
+  /**
+   * Split long content into sections that each fit in a single prompt.
+   * Breaks on paragraph boundaries, preferring to start a new section at a heading.
+   * @param {string} content - Full content
+   * @param {Object} options - Chunking options
+   * @param {number} options.maxChars - Maximum characters per section
+   * @returns {Array<Object>} Sections with index, title, offsets and content
+   */
+  split(content, options = {}) {
+    const maxChars = options.maxChars || DEFAULT_MAX_CHARS;
+    const text = content || '';
+
+    if (text.length <= maxChars) {
+      return [this.buildSection(0, text, 0)];
+    }
+
+    const blocks = this.splitBlocks(text, maxChars);
+    const sections = [];
+    let current = [];
+    let currentLength = 0;
+
+    const flush = () => {
+      if (current.length === 0) return;
+      const start = current[0].start;
+      const end = current[current.length - 1].end;
+      sections.push(this.buildSection(sections.length, text.slice(start, end), start));
+      current = [];
+      currentLength = 0;
+    };
+
+    blocks.forEach(block => {
+      const combinedLength = current.length > 0 ? block.end - current[0].start : 0;
+      const startsNewTopic = this.isHeading(block.text) && currentLength >= maxChars / 2;
+
+      if (combinedLength > maxChars || startsNewTopic) {
+        flush();
+      }
+      current.push(block);
+      currentLength = block.end - current[0].start;
+    });
+    flush();
+
+    return sections;
+  }
+
+  /**
+   * Break text into paragraph blocks no longer than maxChars, keeping source offsets
+   * @param {string} text - Full content
+   * @param {number} maxChars - Maximum characters per block
+   * @returns {Array<Object>} Blocks with text, start and end offsets
+   */
+  splitBlocks(text, maxChars) {
+    const blocks = [];
+    const paragraphPattern = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g;
+    let match;
+
+    while ((match = paragraphPattern.exec(text)) !== null) {
+      const paragraph = match[0];
+      if (paragraph.trim().length === 0) continue;
+
+      if (paragraph.length <= maxChars) {
+        blocks.push({ text: paragraph, start: match.index, end: match.index + paragraph.length });
+        continue;
+      }
+
+      // Oversized paragraph: fall back to sentence boundaries, then hard cuts
+      let offset = 0;
+      while (offset < paragraph.length) {
+        let end = Math.min(offset + maxChars, paragraph.length);
+        if (end < paragraph.length) {
+          const lastBreak = paragraph.slice(offset, end).search(/[.!?]\s[^.!?]*$/);
+          if (lastBreak > 0) end = offset + lastBreak + 1;
+        }
+        blocks.push({
+          text: paragraph.slice(offset, end),
+          start: match.index + offset,
+          end: match.index + end
+        });
+        offset = end;
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Heuristic for heading-like lines (short, no terminal punctuation)
+   * @param {string} block - Paragraph text
+   * @returns {boolean} Whether the block starts with a heading
+   */
+  isHeading(block) {
+    const firstLine = block.trim().split('\n')[0].trim();
+    return firstLine.length > 0 &&
+      firstLine.length <= 80 &&
+      !/[.,;:!?]$/.test(firstLine) &&
+      (/^#{1,6}\s/.test(firstLine) || /^(chapter|section|part|unit|lesson)\b/i.test(firstLine) ||
+        (/[A-Z]/.test(firstLine) && firstLine === firstLine.toUpperCase()) || /^\d+(\.\d+)*\.?\s+\S/.test(firstLine));
+  }
+
+  buildSection(index, content, start) {
+    const firstLine = content.trim().split('\n')[0].trim();
+    const title = this.isHeading(firstLine)
+      ? firstLine.replace(/^#{1,6}\s+/, '')
+      : `Section ${index + 1}`;
+
+    return {
+      index,
+      title,
+      startOffset: start,
+      endOffset: start + content.length,
+      content
+    };
+  }
+}
+
+module.exports = new ContentChunker();
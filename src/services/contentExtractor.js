@@ -2,34 +2,207 @@ const fs = require('fs');
 const path = require('path');
 const pdfParse = require('pdf-parse');
 const Tesseract = require('tesseract.js');
+const JSZip = require('jszip');
+// The pdf.js build pdf-parse loads by default; its operator codes tell which drawing commands paint images
+const { OPS } = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const { decodeEntities, getAttribute, htmlToText, markdownToText } = require('../utils/markup');
+const { getLanguagesForScript } = require('../utils/languages');
+
+// Used when script detection fails
+const DEFAULT_OCR_LANGUAGES = (process.env.OCR_DEFAULT_LANGUAGES || 'eng').split('+');
+
+// Candidate traineddata for Latin-script images, where OSD cannot tell languages apart
+const LATIN_OCR_LANGUAGES = (process.env.OCR_LATIN_LANGUAGES || 'eng+fra+spa+deu').split('+');
+
+// PDF pages with less text than this (ignoring whitespace) are treated as scans and OCR'd
+const MIN_PDF_PAGE_CHARS = parseInt(process.env.OCR_MIN_PAGE_CHARS) || 20;
+
+// Images smaller than this are logos or icons rather than page scans
+const MIN_SCAN_PIXELS = 200 * 200;
+
+// Pixel layouts of images decoded by pdf.js (its ImageKind, which the build does not export)
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+// Formats recognised by mime type or, for generic mime types, by file extension
+const FILE_FORMATS = {
+  pdf: {
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf']
+  },
+  image: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    extensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp']
+  },
+  text: {
+    mimeTypes: ['text/plain'],
+    extensions: ['.txt']
+  },
+  docx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx']
+  },
+  pptx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extensions: ['.pptx']
+  },
+  html: {
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm', '.xhtml']
+  },
+  markdown: {
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['.md', '.markdown']
+  },
+  epub: {
+    mimeTypes: ['application/epub+zip'],
+    extensions: ['.epub']
+  }
+};
+
+// Mime types browsers send when they do not know the format; the extension decides
+const GENERIC_MIME_TYPES = ['application/octet-stream', 'application/zip', 'text/plain', ''];
+
+/**
+ * Throw if the operation has been cancelled
+ * @param {AbortSignal} signal - Abort signal
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new Error('Extraction cancelled');
+  }
+}
+
+/**
+ * Same text layout as pdf-parse's default page renderer
+ * @param {Object} pageData - pdf.js page proxy
+ * @returns {Promise<string>} Page text
+ */
+async function renderPDFPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  textContent.items.forEach(item => {
+    if (lastY === item.transform[5] || lastY === undefined) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  });
+  return text;
+}
+
+/**
+ * Start a Tesseract worker. Tesseract reports a failure to load language data
+ * only to its error handler (and throws it uncaught without one) while
+ * createWorker never settles, so the handler rejects instead.
+ * @param {string|string[]} languages - Tesseract languages
+ * @param {number} oem - OCR engine mode
+ * @param {Object} options - Tesseract worker options
+ * @returns {Promise<Object>} Tesseract worker
+ */
+function createTesseractWorker(languages, oem, options) {
+  return new Promise((resolve, reject) => {
+    Tesseract.createWorker(languages, oem, { ...options, errorHandler: reject }).then(resolve, reject);
+  });
+}
+
+/**
+ * Encode an image decoded by pdf.js as a binary PGM, a grayscale format
+ * Tesseract reads without any image library
+ * @param {Object} image - { width, height, kind, data }; image masks have no kind and one bit per pixel
+ * @returns {Buffer} PGM file
+ */
+function encodePGM({ width, height, kind = IMAGE_KIND.GRAYSCALE_1BPP, data }) {
+  const pixels = Buffer.alloc(width * height);
+  const rowBytes = (width + 7) >> 3;
+  const channels = kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+        // Set bits are white (for image masks: the paper left unpainted)
+        pixels[y * width + x] = data[y * rowBytes + (x >> 3)] & (128 >> (x & 7)) ? 255 : 0;
+      } else {
+        const offset = (y * width + x) * channels;
+        pixels[y * width + x] = Math.round(0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]);
+      }
+    }
+  }
+
+  return Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`), pixels]);
+}
 
 class ContentExtractor {
   /**
    * Extract text content from uploaded file
    * @param {Object} file - Multer file object
+   * @param {Object} options - Extraction options
+   * @param {string[]} options.ocrLanguages - Tesseract languages for images and scanned PDF pages; detected
+   * from the script when omitted
+   * @param {Array<Object>} options.pageRange - PDF pages to extract, [{ from, to }] (to may be Infinity); all when omitted
+   * @param {Object} handlers - Optional progress callback and abort signal
+   * @param {Function} handlers.onProgress - Called with { stage, page, percent }
+   * @param {AbortSignal} handlers.signal - Cancels the extraction
    * @returns {Promise<string>} Extracted text content
    */
-  async extractFromFile(file) {
+  async extractFromFile(file, options = {}, handlers = {}) {
+    const { content } = await this.extractDocument(file, options, handlers);
+    return content;
+  }
+
+  /**
+   * Extract text content and the position of each PDF page or PPTX slide in it
+   * @param {Object} file - Multer file object
+   * @param {Object} options - Extraction options (see extractFromFile)
+   * @param {Object} handlers - Optional progress callback and abort signal
+   * @returns {Promise<Object>} { content, pages: [{ number, label, startOffset, endOffset, ocr }] }
+   */
+  async extractDocument(file, options = {}, handlers = {}) {
     const filePath = file.path;
     const mimeType = file.mimetype;
 
     try {
-      let content = '';
-
-      if (mimeType === 'application/pdf') {
-        content = await this.extractFromPDF(filePath);
-      } else if (mimeType.startsWith('image/')) {
-        content = await this.extractFromImage(filePath);
-      } else if (mimeType === 'text/plain') {
-        content = await this.extractFromText(filePath);
-      } else {
-        throw new Error(`Unsupported file type: ${mimeType}`);
+      let extracted = '';
+      throwIfAborted(handlers.signal);
+
+      switch (this.detectFormat(file)) {
+        case 'pdf':
+          extracted = await this.extractFromPDF(filePath, options, handlers);
+          break;
+        case 'image':
+          extracted = await this.extractFromImage(filePath, options, handlers);
+          break;
+        case 'text':
+          extracted = await this.extractFromText(filePath);
+          break;
+        case 'docx':
+          extracted = await this.extractFromDOCX(filePath);
+          break;
+        case 'pptx':
+          extracted = await this.extractFromPPTX(filePath);
+          break;
+        case 'html':
+          extracted = await this.extractFromHTML(filePath);
+          break;
+        case 'markdown':
+          extracted = await this.extractFromMarkdown(filePath);
+          break;
+        case 'epub':
+          extracted = await this.extractFromEPUB(filePath);
+          break;
+        default:
+          throw new Error(`Unsupported file type: ${mimeType}`);
       }
 
       // Clean up the uploaded file after extraction
       this.cleanupFile(filePath);
 
-      return this.cleanContent(content);
+      return this.assembleContent(extracted);
     } catch (error) {
       // Clean up file on error too
       this.cleanupFile(filePath);
@@ -38,42 +211,277 @@ class ContentExtractor {
   }
 
   /**
-   * Extract text from PDF file
+   * Clean extracted text. Paged formats return one entry per page or slide;
+   * those are cleaned separately and joined so their offsets can be recorded.
+   * @param {string|Array<Object>} extracted - Text, or [{ number, label, text, ocr }]
+   * @returns {Object} { content, pages }
+   */
+  assembleContent(extracted) {
+    if (!Array.isArray(extracted)) {
+      return { content: this.cleanContent(extracted), pages: [] };
+    }
+
+    const pages = [];
+    let content = '';
+
+    extracted.forEach(({ number, label, text, ocr = false }) => {
+      const cleaned = this.cleanContent(text);
+      if (!cleaned) return;
+      if (content) content += '\n\n';
+      pages.push({ number, label, startOffset: content.length, endOffset: content.length + cleaned.length, ocr });
+      content += cleaned;
+    });
+
+    return { content, pages };
+  }
+
+  /**
+   * Work out which extractor handles a file. A specific mime type wins; generic
+   * ones (octet-stream, zip, text/plain) fall back to the file extension.
+   * @param {Object} file - Multer file object
+   * @returns {string|null} Format key of FILE_FORMATS, or null if unsupported
+   */
+  detectFormat(file) {
+    const mimeType = (file.mimetype || '').toLowerCase();
+    const extension = path.extname(file.originalname || file.path || '').toLowerCase();
+    const formats = Object.keys(FILE_FORMATS);
+
+    const byMimeType = formats.find(format => FILE_FORMATS[format].mimeTypes.includes(mimeType));
+    const byExtension = formats.find(format => FILE_FORMATS[format].extensions.includes(extension));
+
+    if (GENERIC_MIME_TYPES.includes(mimeType)) {
+      return byExtension || byMimeType || null;
+    }
+    return byMimeType || null;
+  }
+
+  /**
+   * Extract text from PDF file, page by page. Pages with little or no text
+   * layer (scans) are OCR'd from the image drawn on them.
    * @param {string} filePath - Path to PDF file
-   * @returns {Promise<string>} Extracted text
+   * @param {Object} options - ocrLanguages and pageRange (see extractFromFile)
+   * @param {Object} handlers - Optional progress callback and abort signal
+   * @returns {Promise<Array<Object>>} Text of each page: [{ number, label, text, ocr }]
    */
-  async extractFromPDF(filePath) {
+  async extractFromPDF(filePath, options = {}, handlers = {}) {
+    const { onProgress, signal } = handlers;
+    const { pageRange } = options;
+    const inRange = (number) => !pageRange || pageRange.some(({ from, to }) => number >= from && number <= to);
+    // One Tesseract worker for all scanned pages, started on the first one
+    const ocr = { worker: null, failed: false, page: null };
+    const terminate = () => ocr.worker && ocr.worker.terminate();
+
     try {
-      const dataBuffer = fs.readFileSync(filePath);
-      const data = await pdfParse(dataBuffer);
-      console.log(`📄 PDF extracted: ${data.numpages} pages, ${data.text.length} characters`);
-      return data.text;
+      // Copy out of Node's shared buffer pool: pdf.js reads the whole underlying ArrayBuffer
+      const dataBuffer = new Uint8Array(fs.readFileSync(filePath));
+      const pages = [];
+      if (signal) signal.addEventListener('abort', terminate, { once: true });
+
+      const data = await pdfParse({
+        data: dataBuffer,
+        // There is no browser image decoder here, so pdf.js has to decode JPEG scans itself
+        nativeImageDecoderSupport: 'none'
+      }, {
+        // Stop after the last requested page
+        max: pageRange && pageRange.every(({ to }) => Number.isFinite(to)) ? Math.max(...pageRange.map(({ to }) => to)) : 0,
+        pagerender: async (pageData) => {
+          throwIfAborted(signal);
+          const number = pageData.pageNumber || pages.length + 1;
+          if (!inRange(number)) return '';
+
+          let text = await renderPDFPage(pageData);
+          let recognized = null;
+          if (text.replace(/\s/g, '').length < MIN_PDF_PAGE_CHARS) {
+            recognized = await this.recognizePDFPage(pageData, ocr, options, handlers);
+          }
+          if (recognized !== null) text = recognized;
+
+          pages.push({ number, label: `Page ${number}`, text, ocr: recognized !== null });
+          if (onProgress) onProgress({ stage: 'pdf', page: number });
+          return text;
+        }
+      });
+      // pdf-parse swallows page render errors, so check again once it returns
+      throwIfAborted(signal);
+
+      if (pageRange && pages.length === 0) {
+        const error = new Error(`No pages in the requested range; the document has ${data.numpages} pages`);
+        error.status = 400;
+        throw error;
+      }
+
+      const scanned = pages.filter(page => page.ocr).length;
+      if (onProgress) onProgress({ stage: 'pdf', page: data.numrender, totalPages: data.numpages });
+      console.log(`📄 PDF extracted: ${pages.length}/${data.numpages} pages${scanned > 0 ? ` (${scanned} OCR'd)` : ''}, ` +
+        `${pages.reduce((sum, page) => sum + page.text.length, 0)} characters`);
+      return pages;
     } catch (error) {
+      // A page range the document does not have is the client's error, passed on as is
+      if (error.status) throw error;
       console.error('PDF extraction error:', error);
+      throwIfAborted(signal);
       throw new Error(`Failed to extract text from PDF: ${error.message}`);
+    } finally {
+      if (signal) signal.removeEventListener('abort', terminate);
+      if (ocr.worker && !(signal && signal.aborted)) await ocr.worker.terminate();
+    }
+  }
+
+  /**
+   * OCR a scanned PDF page from the largest image drawn on it
+   * @param {Object} pageData - pdf.js page proxy
+   * @param {Object} ocr - Shared { worker, failed, page } state of the document's OCR worker
+   * @param {Object} options - ocrLanguages; detected from the first scan when omitted
+   * @param {Object} handlers - Optional progress callback and abort signal
+   * @returns {Promise<string|null>} Recognized text, or null when the page has no scan or OCR failed
+   */
+  async recognizePDFPage(pageData, ocr, options, handlers) {
+    const { onProgress, signal } = handlers;
+    if (ocr.failed) return null;
+
+    try {
+      const image = await this.getPDFPageScan(pageData);
+      if (!image) return null;
+      throwIfAborted(signal);
+
+      if (!ocr.worker) {
+        const languages = options.ocrLanguages && options.ocrLanguages.length > 0
+          ? options.ocrLanguages
+          : await this.detectOCRLanguages(image);
+        throwIfAborted(signal);
+
+        console.log(`🔍 Running OCR on scanned PDF pages (${languages.join('+')})...`);
+        ocr.worker = await this.createOCRWorker(languages, percent => {
+          if (onProgress) onProgress({ stage: 'ocr', page: ocr.page, percent });
+        });
+      }
+
+      ocr.page = pageData.pageNumber;
+      const { data: { text } } = await ocr.worker.recognize(image);
+      console.log(`🖼️ OCR'd PDF page ${pageData.pageNumber}: ${text.length} characters`);
+      return text;
+    } catch (error) {
+      throwIfAborted(signal);
+      console.error(`OCR error on PDF page ${pageData.pageNumber}:`, error);
+      // A worker that cannot start will not start for the next page either
+      if (!ocr.worker) ocr.failed = true;
+      return null;
+    }
+  }
+
+  /**
+   * Find the scan on a PDF page: the largest image it paints
+   * @param {Object} pageData - pdf.js page proxy
+   * @returns {Promise<Buffer|null>} The image as a PGM file, or null if the page has no large image
+   */
+  async getPDFPageScan(pageData) {
+    const { fnArray, argsArray } = await pageData.getOperatorList();
+    const lookup = (id) => new Promise(resolve => {
+      (pageData.commonObjs.isResolved(id) ? pageData.commonObjs : pageData.objs).get(id, resolve);
+    });
+
+    let largest = null;
+    for (let i = 0; i < fnArray.length; i++) {
+      let image = null;
+      if (fnArray[i] === OPS.paintImageXObject) {
+        image = await lookup(argsArray[i][0]);
+      } else if (fnArray[i] === OPS.paintInlineImageXObject || fnArray[i] === OPS.paintImageMaskXObject) {
+        image = argsArray[i][0];
+      }
+
+      if (image && image.data && (!largest || image.width * image.height > largest.width * largest.height)) {
+        largest = image;
+      }
     }
+
+    return largest && largest.width * largest.height >= MIN_SCAN_PIXELS ? encodePGM(largest) : null;
   }
 
   /**
    * Extract text from image using OCR
    * @param {string} filePath - Path to image file
+   * @param {Object} options - OCR options
+   * @param {string[]} options.ocrLanguages - Tesseract languages; detected from the script when omitted
+   * @param {Object} handlers - Optional progress callback and abort signal
    * @returns {Promise<string>} Extracted text
    */
-  async extractFromImage(filePath) {
+  async extractFromImage(filePath, options = {}, handlers = {}) {
+    const { onProgress, signal } = handlers;
+    let worker;
+    const terminate = () => worker && worker.terminate();
+
     try {
-      console.log('🔍 Running OCR on image...');
-      const { data: { text } } = await Tesseract.recognize(filePath, 'eng', {
-        logger: m => {
-          if (m.status === 'recognizing text') {
-            process.stdout.write(`\r📊 OCR Progress: ${Math.round(m.progress * 100)}%`);
-          }
+      const languages = options.ocrLanguages && options.ocrLanguages.length > 0
+        ? options.ocrLanguages
+        : await this.detectOCRLanguages(filePath);
+      throwIfAborted(signal);
+
+      console.log(`🔍 Running OCR on image (${languages.join('+')})...`);
+      worker = await this.createOCRWorker(languages, percent => {
+        if (onProgress) {
+          onProgress({ stage: 'ocr', percent });
+        } else {
+          process.stdout.write(`\r📊 OCR Progress: ${percent}%`);
         }
       });
+
+      throwIfAborted(signal);
+      // Terminating the worker makes the pending recognize() reject
+      if (signal) signal.addEventListener('abort', terminate, { once: true });
+
+      const { data: { text } } = await worker.recognize(filePath);
       console.log(`\n🖼️ Image OCR complete: ${text.length} characters extracted`);
       return text;
     } catch (error) {
       console.error('OCR extraction error:', error);
+      throwIfAborted(signal);
       throw new Error(`Failed to extract text from image: ${error.message}`);
+    } finally {
+      if (signal) signal.removeEventListener('abort', terminate);
+      if (worker && !(signal && signal.aborted)) await worker.terminate();
+    }
+  }
+
+  /**
+   * Start a Tesseract worker
+   * @param {string[]} languages - Tesseract languages
+   * @param {Function} onPercent - Called with the recognition progress of the current image, 0-100
+   * @returns {Promise<Object>} Tesseract worker
+   */
+  async createOCRWorker(languages, onPercent) {
+    return createTesseractWorker(languages, 1, {
+      logger: m => {
+        if (m.status === 'recognizing text') onPercent(Math.round(m.progress * 100));
+      }
+    });
+  }
+
+  /**
+   * Pick OCR languages for an image by detecting its script with Tesseract OSD
+   * @param {string|Buffer} image - Path to an image file, or the image itself
+   * @returns {Promise<string[]>} Tesseract language codes
+   */
+  async detectOCRLanguages(image) {
+    let worker;
+
+    try {
+      // Script detection needs the legacy engine and the "osd" traineddata
+      worker = await createTesseractWorker('osd', Tesseract.OEM.TESSERACT_ONLY, {
+        legacyCore: true,
+        legacyLang: true
+      });
+      const { data } = await worker.detect(image);
+      const languages = data.script === 'Latin'
+        ? LATIN_OCR_LANGUAGES
+        : getLanguagesForScript(data.script).map(language => language.tesseract);
+
+      console.log(`🔤 Detected script: ${data.script || 'unknown'} (confidence ${Math.round(data.script_confidence || 0)})`);
+      return languages.length > 0 ? languages : DEFAULT_OCR_LANGUAGES;
+    } catch (error) {
+      console.error('Script detection error:', error);
+      return DEFAULT_OCR_LANGUAGES;
+    } finally {
+      if (worker) await worker.terminate();
     }
   }
 
@@ -93,6 +501,374 @@ class ContentExtractor {
     }
   }
 
+  /**
+   * Extract text from a Word document. Heading styles become "#" headings,
+   * numbered and bulleted paragraphs become list items and table rows become
+   * "cell | cell" lines.
+   * @param {string} filePath - Path to DOCX file
+   * @returns {Promise<string>} Extracted text
+   */
+  async extractFromDOCX(filePath) {
+    try {
+      const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+      const documentXml = await this.readZipEntry(zip, 'word/document.xml');
+      if (!documentXml) {
+        throw new Error('word/document.xml not found');
+      }
+
+      const stylesXml = await this.readZipEntry(zip, 'word/styles.xml');
+      const headingLevels = this.getDOCXHeadingLevels(stylesXml || '');
+      const blocks = [];
+
+      const blockPattern = /<w:tbl>[\s\S]*?<\/w:tbl>|<w:p\b[^>]*\/>|<w:p\b[\s\S]*?<\/w:p>/g;
+      let match;
+      while ((match = blockPattern.exec(documentXml)) !== null) {
+        const block = match[0];
+
+        if (block.startsWith('<w:tbl>')) {
+          const rows = (block.match(/<w:tr\b[\s\S]*?<\/w:tr>/g) || []).map(row =>
+            (row.match(/<w:tc\b[\s\S]*?<\/w:tc>/g) || [])
+              .map(cell => (cell.match(/<w:p\b[\s\S]*?<\/w:p>/g) || []).map(p => this.getDOCXText(p)).join(' ').trim())
+              .join(' | ')
+          ).filter(row => row.replace(/[|\s]/g, ''));
+          if (rows.length > 0) blocks.push(rows.join('\n'));
+          continue;
+        }
+
+        const text = this.getDOCXText(block).trim();
+        if (!text) continue;
+
+        const styleTag = block.match(/<w:pStyle\b[^>]*>/);
+        const styleId = styleTag ? getAttribute(styleTag[0], 'w:val') : null;
+        const outlineTag = block.match(/<w:outlineLvl\b[^>]*>/);
+        const level = headingLevels[styleId] ||
+          (outlineTag ? parseInt(getAttribute(outlineTag[0], 'w:val')) + 1 : 0);
+        const listLevelTag = block.match(/<w:ilvl\b[^>]*>/);
+        const isList = /<w:numPr>/.test(block) || /^List/i.test(styleId || '');
+
+        if (level > 0 && level <= 6) {
+          blocks.push(`${'#'.repeat(level)} ${text}`);
+        } else if (isList) {
+          const depth = listLevelTag ? parseInt(getAttribute(listLevelTag[0], 'w:val')) || 0 : 0;
+          blocks.push(`${'  '.repeat(depth)}- ${text}`);
+        } else {
+          blocks.push(text);
+        }
+      }
+
+      // Keep consecutive list items together, everything else is its own paragraph
+      const content = blocks.reduce((result, block, index) => {
+        if (index === 0) return block;
+        const joinsList = /^\s*- /.test(block) && /^\s*- /.test(blocks[index - 1]);
+        return result + (joinsList ? '\n' : '\n\n') + block;
+      }, '');
+
+      console.log(`📘 DOCX extracted: ${blocks.length} blocks, ${content.length} characters`);
+      return content;
+    } catch (error) {
+      console.error('DOCX extraction error:', error);
+      throw new Error(`Failed to extract text from DOCX: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map DOCX paragraph style ids to heading levels. Style ids are localised
+   * ("Heading1", "berschrift1", ...), so the style names are used instead.
+   * @param {string} stylesXml - Contents of word/styles.xml
+   * @returns {Object} Heading level by style id
+   */
+  getDOCXHeadingLevels(stylesXml) {
+    const levels = { Title: 1 };
+    for (let level = 1; level <= 6; level++) levels[`Heading${level}`] = level;
+
+    (stylesXml.match(/<w:style\b[\s\S]*?<\/w:style>/g) || []).forEach(style => {
+      const styleId = getAttribute(style.match(/<w:style\b[^>]*>/)[0], 'w:styleId');
+      const nameTag = style.match(/<w:name\b[^>]*>/);
+      const name = nameTag ? (getAttribute(nameTag[0], 'w:val') || '').toLowerCase() : '';
+      const heading = name.match(/^heading (\d)$/);
+      if (heading) levels[styleId] = parseInt(heading[1]);
+      else if (name === 'title') levels[styleId] = 1;
+    });
+
+    return levels;
+  }
+
+  /**
+   * Text of a DOCX paragraph, with tabs and line breaks
+   * @param {string} paragraphXml - <w:p> element
+   * @returns {string} Paragraph text
+   */
+  getDOCXText(paragraphXml) {
+    const parts = [];
+    const runPattern = /<w:t\b[^>]*>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br\b[^>]*\/>|<w:cr\/>/g;
+    let match;
+    while ((match = runPattern.exec(paragraphXml)) !== null) {
+      if (match[1] !== undefined) parts.push(decodeEntities(match[1]));
+      else parts.push(match[0].startsWith('<w:tab') ? '\t' : '\n');
+    }
+    return parts.join('');
+  }
+
+  /**
+   * Extract text from a PowerPoint deck, slide by slide in presentation order.
+   * Each slide becomes a "# Slide N: Title" heading followed by its bullet
+   * points, table rows and speaker notes.
+   * @param {string} filePath - Path to PPTX file
+   * @returns {Promise<Array<Object>>} Text of each slide: [{ number, label, text }]
+   */
+  async extractFromPPTX(filePath) {
+    try {
+      const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+      const slidePaths = await this.getPPTXSlidePaths(zip);
+      if (slidePaths.length === 0) {
+        throw new Error('No slides found');
+      }
+
+      const slides = [];
+      for (const [index, slidePath] of slidePaths.entries()) {
+        const slideXml = await this.readZipEntry(zip, slidePath);
+        if (!slideXml) continue;
+
+        const { title, lines } = this.getPPTXSlideText(slideXml);
+        const notesPath = await this.getPPTXRelationshipTarget(zip, slidePath, 'notesSlide');
+        const notesXml = notesPath ? await this.readZipEntry(zip, notesPath) : null;
+        const notes = notesXml ? this.getPPTXNotesText(notesXml) : '';
+
+        const parts = [`# Slide ${index + 1}${title ? `: ${title}` : ''}`];
+        if (lines.length > 0) parts.push(lines.join('\n'));
+        if (notes) parts.push(`Speaker notes: ${notes}`);
+        slides.push({ number: index + 1, label: `Slide ${index + 1}`, text: parts.join('\n\n') });
+      }
+
+      console.log(`📊 PPTX extracted: ${slides.length} slides`);
+      return slides;
+    } catch (error) {
+      console.error('PPTX extraction error:', error);
+      throw new Error(`Failed to extract text from PPTX: ${error.message}`);
+    }
+  }
+
+  /**
+   * Slide part paths in presentation order, falling back to file name order
+   * @param {JSZip} zip - Opened PPTX package
+   * @returns {Promise<string[]>} Slide paths inside the package
+   */
+  async getPPTXSlidePaths(zip) {
+    const presentationXml = await this.readZipEntry(zip, 'ppt/presentation.xml');
+    const relsXml = await this.readZipEntry(zip, 'ppt/_rels/presentation.xml.rels');
+
+    if (presentationXml && relsXml) {
+      const targets = this.parseRelationships(relsXml, 'ppt/presentation.xml');
+      const ordered = (presentationXml.match(/<p:sldId\b[^>]*>/g) || [])
+        .map(tag => targets[getAttribute(tag, 'r:id')])
+        .filter(target => target && zip.file(target.path))
+        .map(target => target.path);
+      if (ordered.length > 0) return ordered;
+    }
+
+    const slideNumber = (name) => parseInt(name.match(/slide(\d+)\.xml$/)[1]);
+    return Object.keys(zip.files)
+      .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort((a, b) => slideNumber(a) - slideNumber(b));
+  }
+
+  /**
+   * Resolve the first relationship of a type from a package part
+   * @param {JSZip} zip - Opened package
+   * @param {string} partPath - Part whose relationships are read
+   * @param {string} type - Relationship type suffix, e.g. "notesSlide"
+   * @returns {Promise<string|null>} Target path inside the package
+   */
+  async getPPTXRelationshipTarget(zip, partPath, type) {
+    const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+    const relsXml = await this.readZipEntry(zip, relsPath);
+    if (!relsXml) return null;
+
+    const target = Object.values(this.parseRelationships(relsXml, partPath))
+      .find(relationship => relationship.type.endsWith(`/${type}`));
+    return target ? target.path : null;
+  }
+
+  /**
+   * Parse an OPC relationships part
+   * @param {string} relsXml - Contents of a .rels part
+   * @param {string} sourcePath - Part the relationships belong to
+   * @returns {Object} { type, path } by relationship id, paths resolved inside the package
+   */
+  parseRelationships(relsXml, sourcePath) {
+    const relationships = {};
+    (relsXml.match(/<Relationship\b[^>]*>/g) || []).forEach(tag => {
+      const target = getAttribute(tag, 'Target') || '';
+      relationships[getAttribute(tag, 'Id')] = {
+        type: getAttribute(tag, 'Type') || '',
+        path: target.startsWith('/')
+          ? target.slice(1)
+          : path.posix.normalize(path.posix.join(path.posix.dirname(sourcePath), target))
+      };
+    });
+    return relationships;
+  }
+
+  /**
+   * Title and body lines of one slide. Body paragraphs become list items,
+   * indented by their outline level; tables become "cell | cell" lines.
+   * @param {string} slideXml - Slide part
+   * @returns {Object} { title, lines }
+   */
+  getPPTXSlideText(slideXml) {
+    let title = '';
+    const lines = [];
+    const shapePattern = /<p:sp\b[\s\S]*?<\/p:sp>|<a:tbl>[\s\S]*?<\/a:tbl>/g;
+    let match;
+
+    while ((match = shapePattern.exec(slideXml)) !== null) {
+      const shape = match[0];
+
+      if (shape.startsWith('<a:tbl>')) {
+        (shape.match(/<a:tr\b[\s\S]*?<\/a:tr>/g) || []).forEach(row => {
+          const cells = (row.match(/<a:tc\b[\s\S]*?<\/a:tc>/g) || [])
+            .map(cell => this.getDrawingParagraphs(cell).map(p => p.text).join(' ').trim());
+          if (cells.some(Boolean)) lines.push(cells.join(' | '));
+        });
+        continue;
+      }
+
+      const placeholder = shape.match(/<p:ph\b[^>]*>/);
+      const placeholderType = placeholder ? getAttribute(placeholder[0], 'type') : null;
+      const paragraphs = this.getDrawingParagraphs(shape).filter(p => p.text);
+
+      if (!title && (placeholderType === 'title' || placeholderType === 'ctrTitle')) {
+        title = paragraphs.map(p => p.text).join(' ');
+      } else if (['sldNum', 'dt', 'ftr'].includes(placeholderType)) {
+        continue;
+      } else {
+        paragraphs.forEach(p => lines.push(`${'  '.repeat(p.level)}- ${p.text}`));
+      }
+    }
+
+    return { title, lines };
+  }
+
+  /**
+   * Speaker notes text of a notes slide (its body placeholder)
+   * @param {string} notesXml - Notes slide part
+   * @returns {string} Notes text
+   */
+  getPPTXNotesText(notesXml) {
+    return (notesXml.match(/<p:sp\b[\s\S]*?<\/p:sp>/g) || [])
+      .filter(shape => /<p:ph\b[^>]*type="body"/.test(shape))
+      .flatMap(shape => this.getDrawingParagraphs(shape).map(p => p.text))
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  /**
+   * DrawingML paragraphs (<a:p>) with their text and outline level
+   * @param {string} xml - Shape or table cell
+   * @returns {Array<Object>} { text, level }
+   */
+  getDrawingParagraphs(xml) {
+    return (xml.match(/<a:p>[\s\S]*?<\/a:p>|<a:p\b[^>]*[^/]>[\s\S]*?<\/a:p>/g) || []).map(paragraph => {
+      const properties = paragraph.match(/<a:pPr\b[^>]*>/);
+      const level = properties ? parseInt(getAttribute(properties[0], 'lvl')) || 0 : 0;
+      const text = (paragraph.match(/<a:t>[\s\S]*?<\/a:t>|<a:br\b[^>]*\/>/g) || [])
+        .map(part => part.startsWith('<a:br') ? ' ' : decodeEntities(part.slice(5, -6)))
+        .join('')
+        .replace(/\s+/g, ' ')
+        .trim();
+      return { text, level };
+    });
+  }
+
+  /**
+   * Extract text from an HTML page, keeping headings, lists and tables
+   * @param {string} filePath - Path to HTML file
+   * @returns {Promise<string>} Extracted text
+   */
+  async extractFromHTML(filePath) {
+    try {
+      const content = htmlToText(fs.readFileSync(filePath, 'utf-8'));
+      console.log(`🌐 HTML extracted: ${content.length} characters`);
+      return content;
+    } catch (error) {
+      console.error('HTML extraction error:', error);
+      throw new Error(`Failed to extract text from HTML: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract text from Markdown notes, keeping headings, lists and tables
+   * @param {string} filePath - Path to Markdown file
+   * @returns {Promise<string>} Extracted text
+   */
+  async extractFromMarkdown(filePath) {
+    try {
+      const content = markdownToText(fs.readFileSync(filePath, 'utf-8'));
+      console.log(`📝 Markdown extracted: ${content.length} characters`);
+      return content;
+    } catch (error) {
+      console.error('Markdown extraction error:', error);
+      throw new Error(`Failed to extract text from Markdown: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract text from an EPUB book, chapter by chapter in reading (spine) order
+   * @param {string} filePath - Path to EPUB file
+   * @returns {Promise<string>} Extracted text
+   */
+  async extractFromEPUB(filePath) {
+    try {
+      const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+      const containerXml = await this.readZipEntry(zip, 'META-INF/container.xml');
+      const rootfile = containerXml && containerXml.match(/<rootfile\b[^>]*>/);
+      const packagePath = rootfile ? getAttribute(rootfile[0], 'full-path') : null;
+      const packageXml = packagePath ? await this.readZipEntry(zip, packagePath) : null;
+      if (!packageXml) {
+        throw new Error('EPUB package document not found');
+      }
+
+      const manifest = {};
+      (packageXml.match(/<(?:\w+:)?item\b[^>]*>/g) || []).forEach(tag => {
+        manifest[getAttribute(tag, 'id')] = {
+          href: getAttribute(tag, 'href') || '',
+          mediaType: getAttribute(tag, 'media-type') || ''
+        };
+      });
+
+      const chapters = [];
+      for (const tag of packageXml.match(/<(?:\w+:)?itemref\b[^>]*>/g) || []) {
+        const item = manifest[getAttribute(tag, 'idref')];
+        if (!item || getAttribute(tag, 'linear') === 'no' || !/html/.test(item.mediaType)) continue;
+
+        const chapterPath = path.posix.normalize(path.posix.join(
+          path.posix.dirname(packagePath),
+          decodeURIComponent(item.href.split('#')[0])
+        ));
+        const chapter = htmlToText(await this.readZipEntry(zip, chapterPath));
+        if (chapter) chapters.push(chapter);
+      }
+
+      const content = chapters.join('\n\n');
+      console.log(`📚 EPUB extracted: ${chapters.length} chapters, ${content.length} characters`);
+      return content;
+    } catch (error) {
+      console.error('EPUB extraction error:', error);
+      throw new Error(`Failed to extract text from EPUB: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a text entry from a zip package
+   * @param {JSZip} zip - Opened package
+   * @param {string} entryPath - Path inside the package
+   * @returns {Promise<string|null>} Entry contents, or null if missing
+   */
+  async readZipEntry(zip, entryPath) {
+    const entry = zip.file(entryPath);
+    return entry ? entry.async('string') : null;
+  }
+
   /**
    * Clean and normalize extracted content
    * @param {string} content - Raw extracted content
@@ -103,12 +879,12 @@ class ContentExtractor {
 
     return content
       // Replace multiple spaces with single space
-      .replace(/[ \t]+/g, ' ')
+      .replace(/(\S)[ \t]+/g, '$1 ')
       // Replace multiple newlines with double newline
       .replace(/\n{3,}/g, '\n\n')
-      // Remove leading/trailing whitespace from each line
+      // Remove leading/trailing whitespace from each line, keeping nested list indentation
       .split('\n')
-      .map(line => line.trim())
+      .map(line => /^ +(?:[-*]|\d+\.) \S/.test(line) ? line.trimEnd() : line.trim())
       .join('\n')
       // Trim overall content
       .trim();
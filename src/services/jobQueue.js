@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000; // 1 hour
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * In-process background job queue with a concurrency limit. Jobs report
+ * progress while running, can be cancelled, and are kept for a while after
+ * they finish so clients can collect the result. Emits "update" with the
+ * public view of a job whenever it changes.
+ */
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a job
+   * @param {Object} definition - Job definition
+   * @param {string} definition.type - Job type
+   * @param {Object} definition.meta - Public details shown with the job
+   * @param {Function} definition.run - async ({ onProgress, signal }) => result
+   * @param {Function} definition.discard - Called if the job is cancelled before it starts
+   * @returns {Object} Public view of the job
+   */
+  enqueue(definition) {
+    const job = {
+      id: crypto.randomUUID(),
+      type: definition.type,
+      meta: definition.meta || {},
+      status: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      run: definition.run,
+      discard: definition.discard,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.notify(job);
+    this.drain();
+
+    return this.toPublic(job);
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job id
+   * @returns {Object|null} Public view of the job, with position when queued
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toPublic(job) : null;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job id
+   * @returns {Object|null} Public view of the job, or null if not found
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (FINISHED_STATUSES.includes(job.status)) return this.toPublic(job);
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(queued => queued !== job);
+      if (job.discard) job.discard();
+    }
+
+    job.controller.abort();
+    this.finish(job, 'cancelled');
+    return this.toPublic(job);
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.start(this.pending.shift());
+    }
+  }
+
+  async start(job) {
+    this.running++;
+    job.status = 'processing';
+    job.startedAt = new Date().toISOString();
+    this.notify(job);
+
+    try {
+      const result = await job.run({
+        signal: job.controller.signal,
+        onProgress: (progress) => {
+          if (job.status !== 'processing') return;
+          job.progress = { ...job.progress, ...progress };
+          this.notify(job);
+        }
+      });
+
+      if (job.status === 'processing') {
+        job.result = result;
+        this.finish(job, 'completed');
+      }
+    } catch (error) {
+      if (job.status === 'processing') {
+        console.error(`Job ${job.id} failed:`, error);
+        job.error = error.message;
+        this.finish(job, 'failed');
+      }
+    } finally {
+      this.running--;
+      this.drain();
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    this.notify(job);
+
+    setTimeout(() => this.jobs.delete(job.id), JOB_RETENTION_MS).unref();
+  }
+
+  notify(job) {
+    this.emit('update', this.toPublic(job));
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  toPublic(job) {
+    const position = job.status === 'queued' ? this.pending.indexOf(job) + 1 : undefined;
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      ...(position ? { queuePosition: position } : {}),
+      meta: job.meta,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = new JobQueue();
+module.exports.JobQueue = JobQueue;
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+/**
+ * A collection of JSON documents persisted to a single file. Documents are
+ * kept in memory and the file is rewritten atomically after every change,
+ * so no external database is needed.
+ */
+class JsonCollection {
+  /**
+   * @param {string} name - Collection name, used as the file name
+   * @param {Object} options - Collection options
+   * @param {string} options.dataDir - Directory holding the collection file
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.filePath = path.join(options.dataDir || DATA_DIR, `${name}.json`);
+    this.documents = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load documents from disk on first use
+   * @returns {Map<string, Object>} Documents by id
+   */
+  load() {
+    if (this.documents) return this.documents;
+
+    this.documents = new Map();
+    if (fs.existsSync(this.filePath)) {
+      try {
+        const records = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        records.forEach(record => this.documents.set(record.id, record));
+      } catch (error) {
+        throw new Error(`Failed to load ${this.name} store: ${error.message}`);
+      }
+    }
+    return this.documents;
+  }
+
+  /**
+   * Write all documents to disk. Writes are serialized and go through a
+   * temporary file so a crash never leaves a half-written collection. A
+   * failed write rejects only its own caller; later writes still run.
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const snapshot = JSON.stringify([...this.load().values()], null, 2);
+
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, snapshot, 'utf-8');
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * List documents, optionally filtered
+   * @param {Function} predicate - Filter function
+   * @returns {Array<Object>} Matching documents
+   */
+  find(predicate = () => true) {
+    return [...this.load().values()].filter(predicate);
+  }
+
+  /**
+   * Get a document by id
+   * @param {string} id - Document id
+   * @returns {Object|null} Document or null
+   */
+  get(id) {
+    return this.load().get(id) || null;
+  }
+
+  /**
+   * Insert a new document, assigning an id and timestamps
+   * @param {Object} data - Document fields
+   * @returns {Promise<Object>} Stored document
+   */
+  async insert(data) {
+    const now = new Date().toISOString();
+    const document = {
+      id: data.id || crypto.randomUUID(),
+      ...data,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.load().set(document.id, document);
+    await this.persist();
+    return document;
+  }
+
+  /**
+   * Shallow-merge changes into an existing document
+   * @param {string} id - Document id
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} Updated document or null if not found
+   */
+  async update(id, changes) {
+    const existing = this.get(id);
+    if (!existing) return null;
+
+    const document = {
+      ...existing,
+      ...changes,
+      id,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.load().set(id, document);
+    await this.persist();
+    return document;
+  }
+
+  /**
+   * Delete a document
+   * @param {string} id - Document id
+   * @returns {Promise<boolean>} Whether a document was deleted
+   */
+  async remove(id) {
+    const deleted = this.load().delete(id);
+    if (deleted) {
+      await this.persist();
+    }
+    return deleted;
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  JsonCollection
+};
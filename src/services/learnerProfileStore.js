@@ -0,0 +1,171 @@
+const { JsonCollection } = require('./jsonStore');
+const { initialState, review, qualityFromScore } = require('../utils/spacedRepetition');
+
+// Weight of the newest answer in the mastery estimate
+const MASTERY_LEARNING_RATE = 0.3;
+const INITIAL_MASTERY = 0.5;
+const MAX_TOPIC_SOURCES = 5;
+
+function topicKey(topic) {
+  return String(topic || 'General').trim().toLowerCase();
+}
+
+/**
+ * Per-learner performance: correctness and a mastery estimate for every
+ * topic and question the learner has answered, each with an SM-2 review
+ * schedule. Profiles are keyed by the learnerId sent with quiz attempts.
+ */
+class LearnerProfileStore {
+  constructor() {
+    this.collection = new JsonCollection('learnerProfiles');
+  }
+
+  /**
+   * Fold a graded attempt into the learner's profile. Unanswered questions
+   * and short answers still waiting for rubric grading are not counted as reviews.
+   * @param {string} learnerId - Learner id
+   * @param {Object} quiz - Stored quiz the attempt belongs to
+   * @param {Object} grading - Result of quizGrader.grade
+   * @returns {Promise<Object>} Updated profile
+   */
+  async recordAttempt(learnerId, quiz, grading) {
+    const now = new Date();
+    const existing = this.collection.get(learnerId);
+    const profile = existing || { id: learnerId, topics: {}, questions: {}, totals: { answered: 0, correct: 0 } };
+    const topics = { ...profile.topics };
+    const questions = { ...profile.questions };
+    const totals = { ...profile.totals };
+
+    const answered = grading.results.filter(result => result.matchType !== 'unanswered' && result.correct !== null);
+    const byTopic = new Map();
+
+    answered.forEach(result => {
+      const key = `${quiz.id}:${result.questionId}`;
+      const question = questions[key] || {
+        quizId: quiz.id,
+        questionId: result.questionId,
+        topic: result.topic,
+        attempts: 0,
+        correct: 0,
+        ...initialState()
+      };
+
+      questions[key] = {
+        ...question,
+        topic: result.topic,
+        attempts: question.attempts + 1,
+        correct: question.correct + (result.correct ? 1 : 0),
+        lastCorrect: result.correct,
+        ...review(question, qualityFromScore(result.correct ? 1 : 0, 1), now)
+      };
+
+      totals.answered++;
+      if (result.correct) totals.correct++;
+
+      const topicResults = byTopic.get(topicKey(result.topic)) || { topic: result.topic, outcomes: [] };
+      topicResults.outcomes.push(result.correct);
+      byTopic.set(topicKey(result.topic), topicResults);
+    });
+
+    byTopic.forEach(({ topic, outcomes }, key) => {
+      const current = topics[key] || {
+        topic,
+        attempts: 0,
+        correct: 0,
+        mastery: INITIAL_MASTERY,
+        sources: [],
+        ...initialState()
+      };
+      const correct = outcomes.filter(Boolean).length;
+
+      // Exponentially weighted: recent answers count more than old ones
+      let mastery = current.mastery;
+      outcomes.forEach(outcome => {
+        mastery += MASTERY_LEARNING_RATE * ((outcome ? 1 : 0) - mastery);
+      });
+
+      topics[key] = {
+        ...current,
+        attempts: current.attempts + outcomes.length,
+        correct: current.correct + correct,
+        mastery: Math.round(mastery * 1000) / 1000,
+        sources: [quiz.id, ...current.sources.filter(id => id !== quiz.id)].slice(0, MAX_TOPIC_SOURCES),
+        ...review(current, qualityFromScore(correct, outcomes.length), now)
+      };
+    });
+
+    const changes = { topics, questions, totals, lastActivityAt: now.toISOString() };
+    return existing
+      ? this.collection.update(learnerId, changes)
+      : this.collection.insert({ id: learnerId, ...changes });
+  }
+
+  /**
+   * Get a learner's raw profile
+   * @param {string} learnerId - Learner id
+   * @returns {Object|null} Profile or null
+   */
+  get(learnerId) {
+    return this.collection.get(learnerId);
+  }
+
+  /**
+   * Topics ranked for practice: overdue topics first (most overdue first),
+   * then the rest by lowest mastery
+   * @param {Object} profile - Learner profile
+   * @param {Date} now - Reference time
+   * @returns {Array<Object>} Topic summaries with due and accuracy fields
+   */
+  rankTopics(profile, now = new Date()) {
+    return Object.values(profile.topics)
+      .map(topic => ({
+        ...topic,
+        accuracy: topic.attempts > 0 ? Math.round((topic.correct / topic.attempts) * 1000) / 1000 : null,
+        due: Date.parse(topic.dueAt) <= now.getTime()
+      }))
+      .sort((a, b) => {
+        if (a.due !== b.due) return a.due ? -1 : 1;
+        if (a.due) return a.dueAt.localeCompare(b.dueAt);
+        return a.mastery - b.mastery || a.dueAt.localeCompare(b.dueAt);
+      });
+  }
+
+  /**
+   * Questions whose review is due, most overdue first
+   * @param {Object} profile - Learner profile
+   * @param {Date} now - Reference time
+   * @returns {Array<Object>} Question schedules
+   */
+  dueQuestions(profile, now = new Date()) {
+    return Object.values(profile.questions)
+      .filter(question => Date.parse(question.dueAt) <= now.getTime())
+      .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+  }
+
+  /**
+   * Public view of a profile: ranked topics and overall accuracy
+   * @param {Object} profile - Learner profile
+   * @returns {Object} Summary
+   */
+  summarize(profile) {
+    const now = new Date();
+    const topics = this.rankTopics(profile, now);
+
+    return {
+      learnerId: profile.id,
+      totals: {
+        ...profile.totals,
+        accuracy: profile.totals.answered > 0
+          ? Math.round((profile.totals.correct / profile.totals.answered) * 1000) / 1000
+          : null
+      },
+      topics: topics.map(({ sources, ...topic }) => topic),
+      dueTopics: topics.filter(topic => topic.due).length,
+      dueQuestions: this.dueQuestions(profile, now).length,
+      lastActivityAt: profile.lastActivityAt,
+      createdAt: profile.createdAt
+    };
+  }
+}
+
+module.exports = new LearnerProfileStore();
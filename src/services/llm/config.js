@@ -0,0 +1,77 @@
+/**
+ * Default generation settings for each LLM-backed operation.
+ * Every value can be overridden through the environment, e.g.
+ * LLM_GENERATE_QUIZ_MODEL, LLM_CHAT_TEMPERATURE, LLM_EXPLAIN_MAX_TOKENS.
+ */
+const OPERATION_DEFAULTS = {
+  generateQuiz: { temperature: 0.7, maxTokens: 4000 },
+  analyzeTopics: { temperature: 0.5, maxTokens: 1500 },
+  explain: { temperature: 0.7, maxTokens: 1500 },
+  chat: { temperature: 0.8, maxTokens: 1000 },
+  verify: { temperature: 0, maxTokens: 3000 },
+  gradeShortAnswer: { temperature: 0, maxTokens: 1500 },
+  summarizeChat: { temperature: 0.3, maxTokens: 500 },
+  flashcards: { temperature: 0.5, maxTokens: 4000 },
+  summarize: { temperature: 0.3, maxTokens: 3000 },
+  glossary: { temperature: 0.3, maxTokens: 3000 }
+};
+
+const SUPPORTED_PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+/**
+ * Convert an operation name to its environment variable prefix
+ * @param {string} operation - Operation name (camelCase)
+ * @returns {string} Prefix such as LLM_GENERATE_QUIZ
+ */
+function envPrefix(operation) {
+  return 'LLM_' + operation.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function readNumber(value) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Build the LLM configuration from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} LLM configuration
+ */
+function loadConfig(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'openai').toLowerCase();
+
+  if (!SUPPORTED_PROVIDERS.includes(provider)) {
+    throw new Error(`Unsupported LLM provider: ${provider}. Supported: ${SUPPORTED_PROVIDERS.join(', ')}`);
+  }
+
+  const defaultModel = env.LLM_MODEL || (provider === 'mock' ? 'mock-1' : 'gpt-4o');
+  const operations = {};
+
+  Object.entries(OPERATION_DEFAULTS).forEach(([operation, defaults]) => {
+    const prefix = envPrefix(operation);
+    operations[operation] = {
+      model: env[`${prefix}_MODEL`] || defaultModel,
+      temperature: readNumber(env[`${prefix}_TEMPERATURE`]) ?? defaults.temperature,
+      maxTokens: readNumber(env[`${prefix}_MAX_TOKENS`]) ?? defaults.maxTokens
+    };
+  });
+
+  return {
+    provider,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+    baseURL: env.LLM_BASE_URL || undefined,
+    // Some OpenAI-compatible servers reject response_format; allow turning it off
+    jsonMode: env.LLM_JSON_MODE !== 'false',
+    timeout: readNumber(env.LLM_TIMEOUT_MS),
+    defaultModel,
+    embeddingModel: env.LLM_EMBEDDING_MODEL || (provider === 'mock' ? 'mock-embedding-1' : 'text-embedding-3-small'),
+    operations
+  };
+}
+
+module.exports = {
+  OPERATION_DEFAULTS,
+  SUPPORTED_PROVIDERS,
+  loadConfig
+};
@@ -0,0 +1,185 @@
+const EventEmitter = require('events');
+const { loadConfig } = require('./config');
+const OpenAIProvider = require('./openaiProvider');
+const MockProvider = require('./mockProvider');
+
+/**
+ * Instantiate the provider named in the configuration
+ * @param {Object} config - LLM configuration
+ * @returns {Object} Provider exposing complete()
+ */
+function createProvider(config) {
+  switch (config.provider) {
+    case 'mock':
+      return new MockProvider(config);
+    case 'openai':
+    case 'openai-compatible':
+      return new OpenAIProvider(config);
+    default:
+      throw new Error(`Unsupported LLM provider: ${config.provider}`);
+  }
+}
+
+// Rough tokens-per-character ratio used when a provider reports no usage
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Client for the configured provider. Emits "usage" after every call with
+ * the operation, model, token counts (estimated when the provider reports
+ * none), latency and outcome.
+ */
+class LLMClient extends EventEmitter {
+  constructor(config = loadConfig()) {
+    super();
+    this.configure(config);
+  }
+
+  /**
+   * Replace the active configuration and provider
+   * @param {Object} config - LLM configuration
+   */
+  configure(config) {
+    this.config = config;
+    this.provider = createProvider(config);
+  }
+
+  /**
+   * Resolve model and sampling settings for an operation
+   * @param {string} operation - Operation name
+   * @param {Object} overrides - Per-call overrides
+   * @returns {Object} Model, temperature and maxTokens
+   */
+  getSettings(operation, overrides = {}) {
+    const defaults = this.config.operations[operation] || {
+      model: this.config.defaultModel,
+      temperature: 0.7,
+      maxTokens: 1500
+    };
+
+    return {
+      model: overrides.model || defaults.model,
+      temperature: overrides.temperature ?? defaults.temperature,
+      maxTokens: overrides.maxTokens ?? defaults.maxTokens
+    };
+  }
+
+  /**
+   * Run a completion for an operation through the active provider. When
+   * onToken is given the completion is streamed and each text delta is passed
+   * to it as it arrives; the resolved value is the same either way.
+   * @param {string} operation - Operation name (generateQuiz, analyzeTopics, explain, chat)
+   * @param {Object} request - Messages, json flag, provider context, onToken, signal and setting overrides
+   * @returns {Promise<Object>} Completion content, model and token usage
+   */
+  async complete(operation, request) {
+    const { messages, json = false, context = {}, onToken, signal, ...overrides } = request;
+    const providerRequest = {
+      operation,
+      messages,
+      json,
+      context,
+      signal,
+      ...this.getSettings(operation, overrides)
+    };
+    const startedAt = Date.now();
+
+    try {
+      const result = await this.runCompletion(providerRequest, onToken);
+      this.reportUsage(operation, startedAt, {
+        model: result.model || providerRequest.model,
+        usage: result.usage,
+        promptText: messages.map(message => message.content).join('\n'),
+        completionText: result.content
+      });
+      return result;
+    } catch (error) {
+      this.reportUsage(operation, startedAt, { model: providerRequest.model, error, signal });
+      throw error;
+    }
+  }
+
+  async runCompletion(providerRequest, onToken) {
+    if (!onToken) {
+      return this.provider.complete(providerRequest);
+    }
+
+    let content = '';
+    let result = { model: providerRequest.model, usage: null };
+
+    for await (const chunk of this.provider.stream(providerRequest)) {
+      if (chunk.done) {
+        result = { model: chunk.model, usage: chunk.usage };
+      } else {
+        content += chunk.delta;
+        onToken(chunk.delta);
+      }
+    }
+
+    return { content, ...result };
+  }
+
+  /**
+   * Embed texts through the active provider
+   * @param {string[]} texts - Texts to embed
+   * @param {Object} options - Optional abort signal and model override
+   * @returns {Promise<Object>} Embedding vectors in input order, model and token usage
+   */
+  async embed(texts, options = {}) {
+    const { signal, model } = options;
+
+    if (typeof this.provider.embed !== 'function') {
+      throw new Error(`The ${this.config.provider} provider does not support embeddings`);
+    }
+
+    const request = { input: texts, model: model || this.config.embeddingModel, signal };
+    const startedAt = Date.now();
+
+    try {
+      const result = await this.provider.embed(request);
+      this.reportUsage('embed', startedAt, {
+        model: result.model || request.model,
+        usage: result.usage,
+        promptText: texts.join('\n')
+      });
+      return result;
+    } catch (error) {
+      this.reportUsage('embed', startedAt, { model: request.model, error, signal });
+      throw error;
+    }
+  }
+
+  /**
+   * Emit a "usage" event for a finished call
+   * @param {string} operation - Operation name
+   * @param {number} startedAt - Call start time (ms)
+   * @param {Object} details - model, provider usage, prompt/completion text for estimates, or error and signal
+   */
+  reportUsage(operation, startedAt, details) {
+    const { model, usage, promptText, completionText, error, signal } = details;
+    const estimated = !error && !(usage && usage.total_tokens > 0);
+    const promptTokens = error ? 0 : estimated ? estimateTokens(promptText) : usage.prompt_tokens || 0;
+    const completionTokens = error ? 0 : estimated ? estimateTokens(completionText) : usage.completion_tokens || 0;
+
+    this.emit('usage', {
+      operation,
+      provider: this.config.provider,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated,
+      latencyMs: Date.now() - startedAt,
+      status: error ? (signal?.aborted ? 'aborted' : 'error') : 'ok',
+      ...(error && { error: error.message })
+    });
+  }
+}
+
+module.exports = new LLMClient();
+module.exports.LLMClient = LLMClient;
+module.exports.createProvider = createProvider;
+module.exports.estimateTokens = estimateTokens;
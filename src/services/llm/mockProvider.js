@@ -0,0 +1,549 @@
+/**
+ * Deterministic offline provider. Builds schema-valid responses from the
+ * request context instead of calling a model, so the API can be exercised
+ * without a key. The same input always produces the same output.
+ */
+
+const STOP_WORDS = new Set([
+  'about', 'above', 'after', 'again', 'against', 'among', 'because', 'been', 'before', 'being',
+  'below', 'between', 'both', 'could', 'does', 'doing', 'during', 'each', 'from', 'further',
+  'have', 'having', 'here', 'into', 'itself', 'more', 'most', 'other', 'ought', 'over', 'same',
+  'should', 'some', 'such', 'than', 'that', 'their', 'theirs', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'through', 'under', 'until', 'very', 'were', 'what', 'when', 'where',
+  'which', 'while', 'whom', 'with', 'would', 'your', 'also', 'many', 'much', 'only', 'often',
+  'used', 'using', 'will', 'within', 'without'
+]);
+
+const FALLBACK_DISTRACTORS = ['None of these', 'All of these', 'Not stated'];
+const BLOOM_BY_DIFFICULTY = { easy: 'remember', medium: 'understand', hard: 'analyze' };
+const STREAM_CHUNK_SIZE = 24;
+const EMBEDDING_DIMENSIONS = 256;
+
+/**
+ * Split text into sentences long enough to build a question from
+ * @param {string} text - Source text
+ * @returns {string[]} Sentences
+ */
+function splitSentences(text) {
+  // Paragraphs first so headings and list items never merge into the next sentence
+  return (text || '')
+    .split(/\n\s*\n/)
+    .flatMap(paragraph => paragraph.replace(/\s+/g, ' ').split(/(?<=[.!?])\s+/))
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.split(' ').length >= 5);
+}
+
+function extractWords(text) {
+  // Letters of any script, so content in other languages yields its own terms
+  return ((text || '').match(/\p{L}[\p{L}-]{3,}/gu) || [])
+    .filter(word => !STOP_WORDS.has(word.toLowerCase()));
+}
+
+/**
+ * Rank keywords by frequency, breaking ties alphabetically
+ * @param {string} text - Source text
+ * @returns {string[]} Keywords, most frequent first
+ */
+function rankKeywords(text) {
+  const counts = new Map();
+  extractWords(text).forEach(word => {
+    const key = word.toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([word]) => word);
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pick the keyword a question is built around: the longest word of the sentence
+ * @param {string} sentence - Sentence
+ * @returns {string|null} Keyword
+ */
+function pickKeyword(sentence) {
+  const words = extractWords(sentence);
+  if (words.length === 0) return null;
+  return words.reduce((best, word) => (word.length > best.length ? word : best));
+}
+
+function uniqueWords(text) {
+  const seen = new Set();
+  return extractWords(text).filter(word => {
+    const key = word.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function replaceWord(sentence, word, replacement) {
+  return sentence.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'u'), replacement);
+}
+
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  /**
+   * Produce a deterministic completion for the given operation
+   * @param {Object} request - Completion request
+   * @returns {Promise<Object>} Completion content, model and token usage
+   */
+  async complete(request) {
+    const { operation, model, context = {}, json } = request;
+    const handler = this.handlers()[operation];
+
+    let content;
+    if (handler) {
+      content = handler.call(this, context);
+    } else {
+      content = json ? {} : 'This is a mock response.';
+    }
+
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+
+    return {
+      content: text,
+      model,
+      // No real tokenizer here; the client estimates usage from the text
+      usage: null
+    };
+  }
+
+  /**
+   * Stream the deterministic completion in small chunks
+   * @param {Object} request - Completion request
+   * @returns {AsyncGenerator<Object>} Text deltas, then a final chunk with model and usage
+   */
+  async *stream(request) {
+    const { content, model, usage } = await this.complete(request);
+
+    for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+      if (request.signal?.aborted) {
+        throw new Error('Request aborted');
+      }
+      await new Promise(resolve => setImmediate(resolve));
+      yield { delta: content.slice(i, i + STREAM_CHUNK_SIZE) };
+    }
+
+    yield { done: true, model, usage };
+  }
+
+  /**
+   * Embed texts as hashed bags of word stems, so texts that share vocabulary
+   * get similar vectors
+   * @param {Object} request - Embedding request
+   * @returns {Promise<Object>} Unit vectors in input order, model and token usage
+   */
+  async embed(request) {
+    const { input = [], model } = request;
+
+    const embeddings = input.map(text => {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      extractWords(text).forEach(word => {
+        let hash = 0;
+        for (const char of word.toLowerCase().slice(0, 6)) {
+          hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        vector[hash % EMBEDDING_DIMENSIONS] += 1;
+      });
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / norm);
+    });
+
+    return {
+      embeddings,
+      model,
+      usage: null
+    };
+  }
+
+  handlers() {
+    return {
+      generateQuiz: this.generateQuiz,
+      analyzeTopics: this.analyzeTopics,
+      explain: this.explain,
+      chat: this.chat,
+      verify: this.verify,
+      gradeShortAnswer: this.gradeShortAnswer,
+      summarizeChat: this.summarizeChat,
+      flashcards: this.flashcards,
+      summarize: this.summarize,
+      glossary: this.glossary
+    };
+  }
+
+  generateQuiz(context) {
+    const {
+      content = '',
+      numberOfQuestions = 10,
+      difficulty = 'medium',
+      questionTypes = ['multiple-choice'],
+      questionPlan = [],
+      specificTopics = [],
+      existingQuestions = [],
+      bankQuestions = [],
+      bankMode = 'avoid'
+    } = context;
+
+    const sentences = splitSentences(content);
+    const keywords = rankKeywords(content);
+    const topics = specificTopics.length > 0 ? specificTopics : keywords.slice(0, 5).map(capitalize);
+    const questions = [];
+
+    // Continue after questions the caller already has so repeats produce new material
+    const offset = existingQuestions.length + (bankMode === 'style' ? 0 : bankQuestions.length);
+
+    for (let i = 0; i < numberOfQuestions; i++) {
+      const sentence = sentences.length > 0
+        ? sentences[(i + offset) % sentences.length]
+        : `${content.trim() || 'The material'} is the subject of this quiz.`;
+      const keyword = pickKeyword(sentence) || 'material';
+      const slot = questionPlan[i] || {};
+      const type = slot.type || questionTypes[i % questionTypes.length];
+      const level = slot.difficulty || (typeof difficulty === 'string' ? difficulty : 'medium');
+      const topic = topics.find(t => sentence.toLowerCase().includes(t.toLowerCase()))
+        || topics[i % Math.max(topics.length, 1)]
+        || 'General';
+
+      questions.push({
+        id: i + 1,
+        difficulty: level,
+        bloomLevel: slot.bloomLevel || BLOOM_BY_DIFFICULTY[level],
+        topic,
+        ...this.buildQuestion(type, sentence, keyword, keywords, i + offset),
+        sourceExcerpt: sentence
+      });
+    }
+
+    const mainTopic = topics[0] || 'General';
+
+    return {
+      title: `${mainTopic} Quiz`,
+      description: `A ${typeof difficulty === 'string' ? difficulty : 'mixed'} quiz covering ${topics.slice(0, 3).join(', ') || 'the provided content'}.`,
+      questions
+    };
+  }
+
+  buildQuestion(type, sentence, keyword, keywords, index) {
+    const distractors = keywords
+      .filter(word => word !== keyword.toLowerCase())
+      .slice(index % 3, (index % 3) + 3)
+      .map(capitalize);
+    while (distractors.length < 3) {
+      distractors.push(FALLBACK_DISTRACTORS[distractors.length]);
+    }
+
+    if (type === 'true-false') {
+      const isTrue = index % 2 === 0;
+      const statement = isTrue ? sentence : replaceWord(sentence, keyword, distractors[0].toLowerCase());
+      return {
+        type,
+        question: `True or false: ${statement}`,
+        options: ['True', 'False'],
+        correctAnswer: isTrue,
+        explanation: `The content states: "${sentence}"`
+      };
+    }
+
+    if (type === 'fill-in-blank') {
+      return {
+        type,
+        question: replaceWord(sentence, keyword, '_____'),
+        correctAnswer: keyword,
+        explanation: `The content states: "${sentence}"`
+      };
+    }
+
+    const words = uniqueWords(sentence);
+    const quoted = `"${sentence}"`;
+
+    if (type === 'multi-select' && words.length >= 2) {
+      const correct = [capitalize(keyword), ...words.filter(word => word !== keyword).slice(0, 1).map(capitalize)];
+      const wrong = [...new Set([...distractors, ...FALLBACK_DISTRACTORS])]
+        .filter(word => !correct.includes(word) && !sentence.toLowerCase().includes(word.toLowerCase()));
+      const options = [...correct, ...wrong.slice(0, 2)];
+      return {
+        type,
+        question: `Which of these terms appear in the statement ${quoted}? Select all that apply.`,
+        options: [...options.slice(index % options.length), ...options.slice(0, index % options.length)],
+        correctAnswer: correct,
+        explanation: `The content states: ${quoted}`
+      };
+    }
+
+    if (type === 'matching' && words.length >= 3) {
+      const prompts = words.slice(0, 4).map(capitalize);
+      const positions = sentence.split(' ');
+      const correctAnswer = Object.fromEntries(prompts.map(prompt => {
+        const position = positions.findIndex(word => word.toLowerCase().replace(/[^\p{L}\p{N}]+$/u, '') === prompt.toLowerCase()) + 1;
+        return [prompt, `Word ${position}`];
+      }));
+      return {
+        type,
+        question: `Match each term to its position in the statement ${quoted}.`,
+        prompts,
+        options: [...new Set(Object.values(correctAnswer))].sort(),
+        correctAnswer,
+        explanation: `The content states: ${quoted}`
+      };
+    }
+
+    if (type === 'ordering' && words.length >= 3) {
+      const items = words.slice(0, 4).map(capitalize);
+      return {
+        type,
+        question: `Put these terms in the order they appear in the statement ${quoted}.`,
+        options: [...items].sort(),
+        correctAnswer: items,
+        explanation: `The content states: ${quoted}`
+      };
+    }
+
+    if (type === 'numeric') {
+      return {
+        type,
+        question: `How many words longer than three letters are there in the statement ${quoted}?`,
+        correctAnswer: extractWords(sentence).length,
+        tolerance: 0,
+        unit: 'words',
+        explanation: `The content states: ${quoted}`
+      };
+    }
+
+    if (type === 'short-answer') {
+      return {
+        type,
+        question: `In your own words, what does the content say about ${keyword.toLowerCase()}?`,
+        correctAnswer: sentence,
+        rubric: [
+          { criterion: `Mentions ${keyword.toLowerCase()}`, points: 1 },
+          { criterion: `Explains that ${sentence.replace(/[.!?]$/, '')}`, points: 2 }
+        ],
+        explanation: `The content states: ${quoted}`
+      };
+    }
+
+    // multiple-choice and topic-specific questions share the MCQ shape; sentences
+    // too short for the other types fall back to it as well
+    const options = [...distractors];
+    options.splice(index % 4, 0, capitalize(keyword));
+
+    return {
+      type: ['multiple-choice', 'topic-specific'].includes(type) ? type : 'multiple-choice',
+      question: `Which term completes the statement: "${replaceWord(sentence, keyword, '_____')}"?`,
+      options,
+      correctAnswer: capitalize(keyword),
+      explanation: `The content states: "${sentence}"`
+    };
+  }
+
+  analyzeTopics(context) {
+    const { content = '' } = context;
+    const keywords = rankKeywords(content);
+    const words = extractWords(content);
+    const averageLength = words.length > 0
+      ? words.reduce((sum, word) => sum + word.length, 0) / words.length
+      : 0;
+
+    let suggestedDifficulty = 'medium';
+    if (averageLength < 6) suggestedDifficulty = 'easy';
+    if (averageLength > 8) suggestedDifficulty = 'hard';
+
+    return {
+      topics: keywords.slice(0, 5).map(capitalize),
+      keyConcepts: keywords.slice(5, 15).map(capitalize),
+      suggestedDifficulty
+    };
+  }
+
+  explain(context) {
+    const { question, correctAnswer, userAnswer, explanation, topic } = context;
+
+    return [
+      `Good effort on this one! Let's walk through it together.`,
+      `The question was: ${question}`,
+      `The correct answer is "${correctAnswer}".${userAnswer ? ` You answered "${userAnswer}", which doesn't match.` : ''}`,
+      explanation ? `Why: ${explanation}` : '',
+      `Memory tip: link "${correctAnswer}" to ${topic || 'the topic'} when you review.`,
+      `Summary: the answer is "${correctAnswer}".`
+    ].filter(Boolean).join('\n\n');
+  }
+
+  chat(context) {
+    const { userMessage, correctAnswer, topic } = context;
+
+    return `You asked: "${userMessage}". Remember that the correct answer is "${correctAnswer}"` +
+      `${topic ? ` for this question about ${topic}` : ''}. What part would you like to go over next?`;
+  }
+
+  summarizeChat(context) {
+    const { messages = [], summary } = context;
+    const asked = messages
+      .filter(message => message.role === 'user')
+      .map(message => `"${message.content.slice(0, 60)}"`);
+
+    return [summary, `The student asked ${asked.join(', ') || 'nothing new'} and the tutor restated the correct answer.`]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  flashcards(context) {
+    const { content = '', numberOfCards = 10, specificTopics = [] } = context;
+    const [mainTopic = 'general'] = rankKeywords(content);
+    const focus = specificTopics.map(topic => topic.toLowerCase());
+
+    const cards = splitSentences(content)
+      .map(sentence => ({
+        sentence,
+        keyword: pickKeyword(sentence),
+        topic: specificTopics.find(topic => sentence.toLowerCase().includes(topic.toLowerCase()))
+      }))
+      .filter(({ keyword, topic }) => keyword && (focus.length === 0 || topic))
+      .slice(0, numberOfCards)
+      .map(({ sentence, keyword, topic }) => ({
+        front: `Fill in the blank: ${replaceWord(sentence, keyword, '_____')}`,
+        back: keyword,
+        topic: topic || capitalize(mainTopic),
+        tags: [keyword.toLowerCase()]
+      }));
+
+    return { title: `${capitalize(mainTopic)} flashcards`, cards };
+  }
+
+  summarize(context) {
+    const { content = '', parts } = context;
+
+    // Second pass over the summaries of a long document's parts
+    if (parts) {
+      return {
+        title: parts[0]?.title || 'Summary',
+        overview: `This document covers ${parts.map(part => part.title).join(', ')}.`
+      };
+    }
+
+    const sentences = splitSentences(content);
+    const [mainTopic = 'content'] = rankKeywords(content);
+    const sections = [];
+    for (let i = 0; i < sentences.length; i += 3) {
+      const group = sentences.slice(i, i + 3);
+      sections.push({
+        heading: capitalize(pickKeyword(group[0]) || `Part ${sections.length + 1}`),
+        summary: group[0],
+        keyPoints: group,
+        subsections: []
+      });
+    }
+
+    return {
+      title: `Summary of ${capitalize(mainTopic)}`,
+      overview: sentences.slice(0, 2).join(' '),
+      sections
+    };
+  }
+
+  glossary(context) {
+    const { content = '', maxTerms = 20, specificTopics = [] } = context;
+    const sentences = splitSentences(content);
+    const focus = specificTopics.map(topic => topic.toLowerCase());
+
+    const terms = rankKeywords(content)
+      .map(keyword => ({
+        keyword,
+        sentence: sentences.find(sentence => new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i').test(sentence))
+      }))
+      .filter(({ sentence }) => sentence &&
+        (focus.length === 0 || focus.some(topic => sentence.toLowerCase().includes(topic))))
+      .slice(0, maxTerms)
+      .map(({ keyword, sentence }) => ({
+        term: capitalize(keyword),
+        definition: sentence,
+        topic: capitalize(pickKeyword(sentence) || keyword),
+        aliases: []
+      }));
+
+    return { terms };
+  }
+
+  verify(context) {
+    const { content = '', questions = [] } = context;
+    const sentences = splitSentences(content);
+
+    const results = questions.map(question => {
+      const answer = typeof question.correctAnswer === 'string' ? question.correctAnswer.toLowerCase() : null;
+      const marked = Array.isArray(question.correctAnswer)
+        ? question.correctAnswer.map(option => option.toLowerCase())
+        : [answer];
+      const words = extractWords(question.question).map(word => word.toLowerCase());
+
+      // The sentence that contains the answer and shares the most words with the question
+      let passage = null;
+      let bestScore = 0;
+      sentences.forEach(sentence => {
+        const lower = sentence.toLowerCase();
+        if (answer && !lower.includes(answer)) return;
+        const score = words.filter(word => lower.includes(word)).length;
+        if (score > bestScore) {
+          passage = sentence;
+          bestScore = score;
+        }
+      });
+
+      return {
+        id: question.id,
+        answerSupported: Boolean(passage),
+        answerCorrect: Boolean(passage),
+        suggestedAnswer: null,
+        distractors: !['multiple-choice', 'topic-specific', 'multi-select'].includes(question.type)
+          ? []
+          : (question.options || [])
+            .filter(option => !marked.includes(option.toLowerCase()))
+            .map(option => ({ option, defensible: false, reason: 'Not the term the content uses here' })),
+        confidence: passage ? 0.9 : 0.2,
+        supportingPassage: passage || '',
+        notes: passage ? '' : 'No sentence in the content contains the answer'
+      };
+    });
+
+    return { results };
+  }
+
+  // Award each criterion the share of its words the answer uses, in half points
+  gradeShortAnswer(context) {
+    const { answer = '', rubric = [] } = context;
+    const given = new Set(extractWords(answer).map(word => word.toLowerCase()));
+
+    const criteria = rubric.map(entry => {
+      const words = extractWords(entry.criterion).map(word => word.toLowerCase());
+      const share = words.length > 0 ? words.filter(word => given.has(word)).length / words.length : 0;
+      const awarded = Math.round(entry.points * share * 2) / 2;
+      return {
+        id: entry.id,
+        awarded,
+        feedback: awarded === entry.points
+          ? 'Fully covered.'
+          : awarded > 0 ? 'Partly covered.' : 'Not addressed.'
+      };
+    });
+
+    const total = criteria.reduce((sum, entry) => sum + entry.awarded, 0);
+    return {
+      criteria,
+      feedback: total > 0
+        ? 'Your answer covers part of what the question asks for. Compare it with the rubric to see what is missing.'
+        : 'Your answer does not address the question yet. Reread the content and try again.'
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,97 @@
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  /**
+   * @param {Object} config - LLM configuration (see config.js)
+   */
+  constructor(config) {
+    this.name = config.provider;
+    this.jsonMode = config.jsonMode;
+    this.client = new OpenAI({
+      // Local OpenAI-compatible servers usually ignore the key, but the SDK requires one
+      apiKey: config.apiKey || (config.provider === 'openai-compatible' ? 'not-needed' : undefined),
+      baseURL: config.baseURL,
+      timeout: config.timeout
+    });
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - Completion request
+   * @returns {Promise<Object>} Completion content, model and token usage
+   */
+  async complete(request) {
+    const { signal } = request;
+
+    const response = await this.client.chat.completions.create(this.buildParams(request), { signal });
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model || request.model,
+      usage: response.usage || null
+    };
+  }
+
+  /**
+   * Run a streaming chat completion
+   * @param {Object} request - Completion request
+   * @returns {AsyncGenerator<Object>} Text deltas, then a final chunk with model and usage
+   */
+  async *stream(request) {
+    const { signal } = request;
+    const params = {
+      ...this.buildParams(request),
+      stream: true,
+      // Only the hosted API is known to support usage on streamed responses
+      ...(this.name === 'openai' ? { stream_options: { include_usage: true } } : {})
+    };
+
+    const stream = await this.client.chat.completions.create(params, { signal });
+    let model = request.model;
+    let usage = null;
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        yield { delta };
+      }
+      if (chunk.model) model = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+    }
+
+    yield { done: true, model, usage };
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Object} request - Embedding request (input, model, signal)
+   * @returns {Promise<Object>} Embedding vectors in input order, model and token usage
+   */
+  async embed(request) {
+    const { input, model, signal } = request;
+
+    const response = await this.client.embeddings.create({ model, input }, { signal });
+
+    return {
+      embeddings: [...response.data]
+        .sort((a, b) => a.index - b.index)
+        .map(entry => entry.embedding),
+      model: response.model || model,
+      usage: response.usage || null
+    };
+  }
+
+  buildParams(request) {
+    const { model, messages, temperature, maxTokens, json } = request;
+
+    return {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(json && this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,64 @@
+/**
+ * Prices in US dollars per million tokens. Model names are matched by the
+ * longest prefix, so dated snapshots such as "gpt-4o-2024-08-06" use their
+ * family's price. Extra or corrected prices can be given as JSON in
+ * LLM_PRICING, e.g. {"my-local-model": {"input": 0, "output": 0}}.
+ */
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-ada-002': { input: 0.1, output: 0 },
+  'mock': { input: 0, output: 0 }
+};
+
+function loadPrices(env = process.env) {
+  if (!env.LLM_PRICING) return DEFAULT_PRICES;
+
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(env.LLM_PRICING) };
+  } catch (error) {
+    console.warn(`⚠️ Ignoring invalid LLM_PRICING: ${error.message}`);
+    return DEFAULT_PRICES;
+  }
+}
+
+const PRICES = loadPrices();
+
+/**
+ * Price entry for a model
+ * @param {string} model - Model name
+ * @returns {Object|null} { input, output } per million tokens, or null when unknown
+ */
+function findPrice(model) {
+  const name = String(model || '').toLowerCase();
+  const match = Object.keys(PRICES)
+    .filter(prefix => name.startsWith(prefix.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? PRICES[match] : null;
+}
+
+/**
+ * Estimated cost of a call
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {number|null} Cost in US dollars, or null when the model has no price
+ */
+function estimateCost(model, promptTokens, completionTokens) {
+  const price = findPrice(model);
+  if (!price) return null;
+  return ((promptTokens * price.input) + (completionTokens * price.output)) / 1e6;
+}
+
+module.exports = {
+  findPrice,
+  estimateCost
+};
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./jsonStore');
+
+const CACHE_BACKEND = (process.env.LLM_CACHE_BACKEND || 'memory').toLowerCase();
+const DEFAULT_TTL_SECONDS = parseInt(process.env.LLM_CACHE_TTL_SECONDS) || 7 * 24 * 60 * 60;
+const MAX_MEMORY_ENTRIES = parseInt(process.env.LLM_CACHE_MAX_ENTRIES) || 500;
+const CACHE_DIR = process.env.LLM_CACHE_DIR || path.join(DATA_DIR, 'llm-cache');
+
+const CACHE_BACKENDS = ['memory', 'disk', 'none'];
+
+/**
+ * Stable JSON: object keys sorted so equal options always hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON text
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Least-recently-used cache held in memory. Entries are stored serialized so
+ * callers can never mutate a cached value.
+ */
+class MemoryCacheBackend {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxEntries = options.maxEntries || MAX_MEMORY_ENTRIES;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const stored = this.entries.get(key);
+    if (stored === undefined) return null;
+    // Re-insert so the Map's insertion order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, stored);
+    return JSON.parse(stored);
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, JSON.stringify(entry));
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async list() {
+    return [...this.entries.values()].map(stored => JSON.parse(stored));
+  }
+}
+
+/**
+ * One JSON file per entry, so the cache survives restarts and can be shared
+ * by several processes on the same machine
+ */
+class DiskCacheBackend {
+  constructor(options = {}) {
+    this.name = 'disk';
+    this.directory = options.directory || CACHE_DIR;
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const tempPath = `${this.filePath(key)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(entry), 'utf-8');
+    await fs.promises.rename(tempPath, this.filePath(key));
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.filePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      return [];
+    }
+
+    const entries = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.get(file.slice(0, -'.json'.length))));
+    return entries.filter(Boolean);
+  }
+}
+
+/**
+ * Cache for LLM results keyed on a hash of the normalized content plus the
+ * options that change the result (model, language, quiz settings...)
+ */
+class LLMCache {
+  constructor(backend = CACHE_BACKEND) {
+    this.configure(backend);
+  }
+
+  /**
+   * Switch the storage backend
+   * @param {string|Object} backend - "memory", "disk", "none" or a backend instance
+   */
+  configure(backend) {
+    if (typeof backend === 'object') {
+      this.backend = backend;
+    } else if (!CACHE_BACKENDS.includes(backend)) {
+      throw new Error(`Unsupported LLM cache backend: ${backend}. Supported: ${CACHE_BACKENDS.join(', ')}`);
+    } else {
+      this.backend = backend === 'disk' ? new DiskCacheBackend()
+        : backend === 'memory' ? new MemoryCacheBackend()
+          : null;
+    }
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Hash content after normalizing line endings, Unicode form and whitespace,
+   * so the same material pasted twice hits the same entry
+   * @param {string} content - Source content
+   * @returns {string} SHA-256 hex digest
+   */
+  hashContent(content) {
+    const normalized = String(content || '')
+      .normalize('NFC')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    return sha256(normalized);
+  }
+
+  /**
+   * Build the cache key for an operation
+   * @param {string} operation - Operation name
+   * @param {string} contentHash - Hash of the normalized content
+   * @param {Object} options - Options that affect the result
+   * @returns {string} Cache key
+   */
+  buildKey(operation, contentHash, options = {}) {
+    return sha256(stableStringify({ operation, contentHash, options }));
+  }
+
+  /**
+   * Return a cached result or compute and store it
+   * @param {string} operation - Operation name
+   * @param {Object} request - Cache request
+   * @param {string} request.content - Content the result is derived from
+   * @param {Object} request.options - Options that affect the result
+   * @param {boolean} request.bypass - Skip the lookup (the fresh result still replaces the entry)
+   * @param {number} request.ttlSeconds - Time to live; defaults to LLM_CACHE_TTL_SECONDS
+   * @param {Function} compute - async () => result
+   * @returns {Promise<Object>} { value, cache: { hit, key, cachedAt, expiresAt } }
+   */
+  async wrap(operation, request, compute) {
+    if (!this.backend) {
+      return { value: await compute(), cache: { hit: false, key: null } };
+    }
+
+    const contentHash = this.hashContent(request.content);
+    const key = this.buildKey(operation, contentHash, request.options);
+
+    if (!request.bypass) {
+      const entry = await this.backend.get(key);
+      if (entry && Date.parse(entry.expiresAt) > Date.now()) {
+        this.hits++;
+        return { value: entry.value, cache: { hit: true, key, cachedAt: entry.createdAt, expiresAt: entry.expiresAt } };
+      }
+      if (entry) await this.backend.delete(key);
+    }
+
+    this.misses++;
+    const value = await compute();
+    const now = new Date();
+    const entry = {
+      key,
+      operation,
+      contentHash,
+      value,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + (request.ttlSeconds || DEFAULT_TTL_SECONDS) * 1000).toISOString()
+    };
+
+    try {
+      await this.backend.set(key, entry);
+    } catch (error) {
+      // A cache that cannot be written must never fail the request
+      console.error('LLM cache write error:', error);
+    }
+
+    return { value, cache: { hit: false, key, cachedAt: entry.createdAt, expiresAt: entry.expiresAt } };
+  }
+
+  /**
+   * Remove entries matching every given filter; expired entries are always removed
+   * @param {Object} filter - Optional key, operation and/or contentHash
+   * @returns {Promise<number>} Number of live entries removed
+   */
+  async invalidate(filter = {}) {
+    if (!this.backend) return 0;
+
+    const { key, operation, contentHash } = filter;
+    const now = Date.now();
+    let removed = 0;
+
+    const entries = await this.backend.list();
+    for (const entry of entries) {
+      const expired = Date.parse(entry.expiresAt) <= now;
+      const matches = (!key || entry.key === key) &&
+        (!operation || entry.operation === operation) &&
+        (!contentHash || entry.contentHash === contentHash);
+
+      if (expired || matches) {
+        await this.backend.delete(entry.key);
+        if (!expired) removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Entry counts and hit rate since the process started
+   * @returns {Promise<Object>} Cache statistics
+   */
+  async stats() {
+    const entries = this.backend ? await this.backend.list() : [];
+    const now = Date.now();
+    const live = entries.filter(entry => Date.parse(entry.expiresAt) > now);
+    const byOperation = {};
+    live.forEach(entry => {
+      byOperation[entry.operation] = (byOperation[entry.operation] || 0) + 1;
+    });
+
+    return {
+      backend: this.backend ? this.backend.name : 'none',
+      ttlSeconds: DEFAULT_TTL_SECONDS,
+      entries: live.length,
+      byOperation,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: this.hits + this.misses > 0
+        ? Math.round((this.hits / (this.hits + this.misses)) * 100) / 100
+        : null
+    };
+  }
+}
+
+module.exports = new LLMCache();
+module.exports.LLMCache = LLMCache;
+module.exports.MemoryCacheBackend = MemoryCacheBackend;
+module.exports.DiskCacheBackend = DiskCacheBackend;
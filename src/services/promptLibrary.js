@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate } = require('../utils/template');
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '../../prompts');
+// Used when a request does not pick a template or persona
+const DEFAULT_TEMPLATE = 'default';
+const DEFAULT_PERSONA = process.env.PROMPT_PERSONA || 'friendly';
+
+// Kinds of prompt, the messages a template of each kind provides and whether a tutor persona fills it in
+const PROMPT_PURPOSES = {
+  quiz: { roles: ['system', 'user'], persona: false },
+  explanation: { roles: ['user'], persona: true },
+  'tutor-chat': { roles: ['system'], persona: true }
+};
+
+const TEMPLATE_FILE = /^v(\d+)\.(system|user)\.md$/;
+const PERSONA_FILE = /^v(\d+)\.json$/;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Prompt templates and tutor personas, kept as files under PROMPTS_DIR:
+ *
+ *   <purpose>/<template>/v<N>.<role>.md   e.g. tutor-chat/default/v1.system.md
+ *   personas/<persona>/v<N>.json          e.g. personas/university/v1.json
+ *
+ * Templates use the syntax of utils/template; personas set the tone, reading
+ * level and emoji use that tutor templates refer to as {{persona.*}}. Results
+ * record the versions they were made with, so a published version should be
+ * left as it is and changes made in a new one. Files are read on first use.
+ */
+class PromptLibrary {
+  constructor() {
+    this.library = null;
+  }
+
+  /**
+   * Read every template and persona version from disk (once)
+   * @returns {Object} { templates: { purpose: { name: { version: { role: text } } } }, personas: { name: { version: persona } } }
+   */
+  load() {
+    if (this.library) return this.library;
+
+    const templates = {};
+    Object.entries(PROMPT_PURPOSES).forEach(([purpose, { roles }]) => {
+      templates[purpose] = {};
+      this.listDirectories(path.join(PROMPTS_DIR, purpose)).forEach(name => {
+        const directory = path.join(PROMPTS_DIR, purpose, name);
+        const versions = {};
+        fs.readdirSync(directory).forEach(file => {
+          const match = file.match(TEMPLATE_FILE);
+          if (!match) return;
+          versions[match[1]] = versions[match[1]] || {};
+          versions[match[1]][match[2]] = fs.readFileSync(path.join(directory, file), 'utf8');
+        });
+
+        Object.keys(versions).forEach(version => {
+          const missing = roles.filter(role => versions[version][role] === undefined);
+          if (missing.length > 0) {
+            console.warn(`⚠️ Skipping prompt template ${purpose}/${name} v${version}: no ${missing.join(' or ')} message`);
+            delete versions[version];
+          }
+        });
+        if (Object.keys(versions).length > 0) templates[purpose][name] = versions;
+      });
+    });
+
+    const personas = {};
+    this.listDirectories(path.join(PROMPTS_DIR, 'personas')).forEach(name => {
+      const directory = path.join(PROMPTS_DIR, 'personas', name);
+      const versions = {};
+      fs.readdirSync(directory).forEach(file => {
+        const match = file.match(PERSONA_FILE);
+        if (!match) return;
+        try {
+          versions[match[1]] = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        } catch (error) {
+          console.warn(`⚠️ Skipping persona ${name} v${match[1]}: ${error.message}`);
+        }
+      });
+      if (Object.keys(versions).length > 0) personas[name] = versions;
+    });
+
+    const templateCount = Object.values(templates).reduce((sum, named) => sum + Object.keys(named).length, 0);
+    console.log(`📝 Loaded ${templateCount} prompt templates and ${Object.keys(personas).length} personas from ${PROMPTS_DIR}`);
+
+    this.library = { templates, personas };
+    return this.library;
+  }
+
+  listDirectories(directory) {
+    if (!fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && NAME_PATTERN.test(entry.name))
+      .map(entry => entry.name);
+  }
+
+  latestVersion(versions) {
+    return Math.max(...Object.keys(versions).map(Number));
+  }
+
+  /**
+   * Pick the template version (and persona) a prompt is built from. Omitted
+   * versions resolve to the latest, so the selection pins exact versions.
+   * @param {string} purpose - quiz, explanation or tutor-chat
+   * @param {Object} choice - Optional template, version, persona and personaVersion
+   * @returns {Object} { prompt: { purpose, template, version, persona: { name, version } | null } } or { error }
+   */
+  select(purpose, choice = {}) {
+    const { templates, personas } = this.load();
+    const { template = DEFAULT_TEMPLATE, version, persona, personaVersion } = choice;
+
+    const available = templates[purpose] || {};
+    if (!available[template]) {
+      return {
+        error: `Unknown prompt template "${template}" for ${purpose}. Available: ${Object.keys(available).join(', ') || 'none'}`
+      };
+    }
+    if (version !== undefined && !available[template][version]) {
+      return {
+        error: `Prompt template ${purpose}/${template} has no version ${version}. ` +
+          `Available: ${Object.keys(available[template]).join(', ')}`
+      };
+    }
+
+    let selectedPersona = null;
+    if (PROMPT_PURPOSES[purpose].persona) {
+      const name = persona || DEFAULT_PERSONA;
+      if (!personas[name]) {
+        return { error: `Unknown persona "${name}". Available: ${Object.keys(personas).join(', ') || 'none'}` };
+      }
+      if (personaVersion !== undefined && !personas[name][personaVersion]) {
+        return {
+          error: `Persona ${name} has no version ${personaVersion}. Available: ${Object.keys(personas[name]).join(', ')}`
+        };
+      }
+      selectedPersona = { name, version: personaVersion ?? this.latestVersion(personas[name]) };
+    } else if (persona !== undefined) {
+      return { error: `Personas do not apply to ${purpose} prompts` };
+    }
+
+    return {
+      prompt: {
+        purpose,
+        template,
+        version: version ?? this.latestVersion(available[template]),
+        persona: selectedPersona
+      }
+    };
+  }
+
+  /**
+   * Validate the optional prompt template and persona choice of a request (promptTemplate,
+   * promptVersion, persona, personaVersion). Without one, the fallback selection
+   * is kept while its template still exists, else the default is used.
+   * @param {Object} body - Request body
+   * @param {string} purpose - quiz, explanation or tutor-chat
+   * @param {Object} fallback - Selection recorded earlier, e.g. in the quiz metadata
+   * @returns {Object} { prompt } (undefined for the default) or { status, error }
+   */
+  parseChoice(body, purpose, fallback) {
+    const { promptTemplate, promptVersion, persona, personaVersion } = body;
+
+    if (promptTemplate !== undefined && (typeof promptTemplate !== 'string' || promptTemplate.length === 0)) {
+      return { status: 400, error: 'promptTemplate must be a template name' };
+    }
+    if (persona !== undefined && (typeof persona !== 'string' || persona.length === 0)) {
+      return { status: 400, error: 'persona must be a persona name' };
+    }
+    if ([promptVersion, personaVersion].some(version => version !== undefined && (!Number.isInteger(version) || version < 1))) {
+      return { status: 400, error: 'promptVersion and personaVersion must be positive integers' };
+    }
+
+    if ([promptTemplate, promptVersion, persona, personaVersion].every(value => value === undefined)) {
+      const previous = fallback && this.select(purpose, {
+        template: fallback.template,
+        version: fallback.version,
+        persona: fallback.persona?.name,
+        personaVersion: fallback.persona?.version
+      });
+      return { prompt: previous && !previous.error ? previous.prompt : undefined };
+    }
+
+    const selected = this.select(purpose, {
+      template: promptTemplate,
+      version: promptVersion,
+      persona,
+      personaVersion
+    });
+    if (selected.error) {
+      return { status: 400, error: selected.error };
+    }
+    return selected;
+  }
+
+  /**
+   * The given selection, or the default one for the purpose
+   * @param {string} purpose - quiz, explanation or tutor-chat
+   * @param {Object} prompt - Selection from select(), if the request made one
+   * @returns {Object} Selection
+   */
+  resolve(purpose, prompt) {
+    if (prompt) return prompt;
+
+    const { prompt: selected, error } = this.select(purpose);
+    if (error) {
+      throw new Error(`No default prompt: ${error}`);
+    }
+    return selected;
+  }
+
+  /**
+   * Render one message of a selected template
+   * @param {Object} prompt - Selection from select() or resolve()
+   * @param {string} role - system or user
+   * @param {Object} variables - Template variables; the persona is added as "persona"
+   * @returns {string} Message text
+   */
+  render(prompt, role, variables) {
+    const { templates, personas } = this.load();
+    const text = templates[prompt.purpose]?.[prompt.template]?.[prompt.version]?.[role];
+    if (text === undefined) {
+      throw new Error(`Prompt template ${prompt.purpose}/${prompt.template} v${prompt.version} has no ${role} message`);
+    }
+
+    const persona = prompt.persona ? personas[prompt.persona.name]?.[prompt.persona.version] : null;
+    if (prompt.persona && !persona) {
+      throw new Error(`Persona ${prompt.persona.name} v${prompt.persona.version} not found`);
+    }
+
+    return renderTemplate(text, { ...variables, persona });
+  }
+
+  /**
+   * Available templates and personas, for clients to choose from
+   * @returns {Object} { templates, personas, defaults }
+   */
+  list() {
+    const { templates, personas } = this.load();
+
+    return {
+      templates: Object.entries(templates).flatMap(([purpose, named]) =>
+        Object.entries(named).map(([name, versions]) => ({
+          purpose,
+          name,
+          versions: Object.keys(versions).map(Number).sort((a, b) => a - b),
+          latest: this.latestVersion(versions)
+        }))),
+      personas: Object.entries(personas).map(([name, versions]) => {
+        const latest = this.latestVersion(versions);
+        return {
+          name,
+          versions: Object.keys(versions).map(Number).sort((a, b) => a - b),
+          latest,
+          ...versions[latest]
+        };
+      }),
+      defaults: { template: DEFAULT_TEMPLATE, persona: DEFAULT_PERSONA }
+    };
+  }
+}
+
+module.exports = new PromptLibrary();
+module.exports.PROMPT_PURPOSES = PROMPT_PURPOSES;
@@ -0,0 +1,68 @@
+const { JsonCollection } = require('./jsonStore');
+
+class QuestionBankStore {
+  constructor() {
+    this.collection = new JsonCollection('questionBanks');
+  }
+
+  /**
+   * Store an imported question bank
+   * @param {Object} bank - Name, source format and questions
+   * @returns {Promise<Object>} Stored bank
+   */
+  async save(bank) {
+    return this.collection.insert(bank);
+  }
+
+  /**
+   * Get a question bank
+   * @param {string} id - Bank id
+   * @returns {Object|null} Bank or null
+   */
+  get(id) {
+    return this.collection.get(id);
+  }
+
+  /**
+   * List question banks without their questions, newest first
+   * @returns {Array<Object>} Bank summaries
+   */
+  list() {
+    return this.collection
+      .find()
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(({ questions, ...bank }) => ({ ...bank, totalQuestions: questions.length }));
+  }
+
+  /**
+   * Collect the questions of several banks
+   * @param {string[]} ids - Bank ids
+   * @returns {Object} Questions and ids that were not found
+   */
+  getQuestions(ids) {
+    const questions = [];
+    const missing = [];
+
+    ids.forEach(id => {
+      const bank = this.get(id);
+      if (bank) {
+        questions.push(...bank.questions);
+      } else {
+        missing.push(id);
+      }
+    });
+
+    return { questions, missing };
+  }
+
+  /**
+   * Delete a question bank
+   * @param {string} id - Bank id
+   * @returns {Promise<boolean>} Whether the bank existed
+   */
+  async remove(id) {
+    return this.collection.remove(id);
+  }
+}
+
+module.exports = new QuestionBankStore();
@@ -0,0 +1,146 @@
+const llm = require('./llm');
+const quizValidator = require('./quizValidator');
+
+const SEMANTIC_DUPLICATE_THRESHOLD = parseFloat(process.env.SEMANTIC_DUPLICATE_THRESHOLD) || 0.88;
+const LEXICAL_DUPLICATE_THRESHOLD = 0.6;
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Word stems of a text: lowercase words of three or more letters cut to six
+ * characters, so "photosynthesis" and "photosynthetic" match
+ * @param {string} text - Text
+ * @returns {Set<string>} Stems
+ */
+function stems(text) {
+  return new Set((String(text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [])
+    .map(word => word.slice(0, 6)));
+}
+
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(stem => {
+    if (b.has(stem)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+class QuestionSimilarity {
+  constructor() {
+    this.llm = llm;
+  }
+
+  /**
+   * Text a question is compared by: the question with its answer, so two
+   * questions worded alike but about different facts stay apart
+   * @param {Object} question - Question
+   * @returns {string} Comparison text
+   */
+  describe(question) {
+    return [question.question, quizValidator.formatAnswer(question)].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Build an index of questions that new questions must not duplicate.
+   * Questions are compared by embedding when the provider supports it and by
+   * word-stem overlap otherwise.
+   * @param {Array<Object>} questions - Questions already in use
+   * @param {Object} options - Optional abort signal
+   * @returns {Promise<Object>} Index with filter(candidates, limit), method and threshold
+   */
+  async createIndex(questions, options = {}) {
+    const { signal } = options;
+    const entries = [];
+    const models = new Set();
+    let method = null;
+
+    // Embeddings are tried first; providers without them fall back to word overlap for good
+    const featurize = async (items) => {
+      const texts = items.map(question => this.describe(question));
+      if (texts.length === 0) return [];
+
+      if (method !== 'lexical') {
+        try {
+          const { embeddings, model } = await this.llm.embed(texts, { signal });
+          method = 'embedding';
+          if (model) models.add(model);
+          return embeddings;
+        } catch (error) {
+          if (signal?.aborted || method === 'embedding') throw error;
+          console.warn(`⚠️ Embeddings unavailable, comparing questions by word overlap: ${error.message}`);
+          method = 'lexical';
+        }
+      }
+
+      return texts.map(stems);
+    };
+
+    const similarity = (a, b) => (method === 'embedding' ? cosineSimilarity(a, b) : jaccardSimilarity(a, b));
+    const threshold = () => (method === 'embedding' ? SEMANTIC_DUPLICATE_THRESHOLD : LEXICAL_DUPLICATE_THRESHOLD);
+
+    const features = await featurize(questions);
+    questions.forEach((question, index) => entries.push({ question, features: features[index] }));
+
+    return {
+      get method() {
+        return method;
+      },
+      get threshold() {
+        return threshold();
+      },
+      models,
+
+      /**
+       * Accept candidates that are not near-duplicates of indexed questions
+       * or of candidates accepted before them; accepted candidates join the index
+       * @param {Array<Object>} candidates - Validated candidate questions
+       * @param {number} limit - Stop after accepting this many
+       * @returns {Promise<Object>} { accepted, duplicates: [{ question, match, similarity }] }
+       */
+      filter: async (candidates, limit = Infinity) => {
+        const accepted = [];
+        const duplicates = [];
+        if (candidates.length === 0 || limit <= 0) return { accepted, duplicates };
+
+        const candidateFeatures = await featurize(candidates);
+
+        candidates.forEach((candidate, index) => {
+          if (accepted.length >= limit) return;
+
+          let best = null;
+          let bestScore = 0;
+          entries.forEach(entry => {
+            const score = similarity(candidateFeatures[index], entry.features);
+            if (score > bestScore) {
+              best = entry.question;
+              bestScore = score;
+            }
+          });
+
+          if (best && bestScore >= threshold()) {
+            duplicates.push({ question: candidate, match: best, similarity: Math.round(bestScore * 100) / 100 });
+            return;
+          }
+
+          accepted.push(candidate);
+          entries.push({ question: candidate, features: candidateFeatures[index] });
+        });
+
+        return { accepted, duplicates };
+      }
+    };
+  }
+}
+
+module.exports = new QuestionSimilarity();
@@ -0,0 +1,80 @@
+const QUESTIONS_KEY = /"questions"\s*:\s*\[/;
+
+/**
+ * Incrementally extracts question objects from a streamed quiz JSON document
+ * ({ "title": ..., "questions": [ {...}, {...} ] }). Each question is returned
+ * as soon as its closing brace arrives, long before the document is complete.
+ */
+class QuestionStreamParser {
+  constructor() {
+    this.buffer = '';
+    this.position = -1;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.objectStart = -1;
+    this.finished = false;
+  }
+
+  /**
+   * Add streamed text
+   * @param {string} chunk - Next piece of the completion
+   * @returns {Array<Object>} Questions completed by this chunk
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const completed = [];
+
+    if (this.position < 0) {
+      const match = this.buffer.match(QUESTIONS_KEY);
+      if (!match) return completed;
+      this.position = match.index + match[0].length;
+    }
+
+    for (; this.position < this.buffer.length && !this.finished; this.position++) {
+      const char = this.buffer[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = true;
+      } else if (char === '{' || char === '[') {
+        if (this.depth === 0 && char === '{') this.objectStart = this.position;
+        this.depth++;
+      } else if (char === '}' || char === ']') {
+        if (this.depth === 0) {
+          // End of the questions array
+          this.finished = true;
+          break;
+        }
+        this.depth--;
+        if (this.depth === 0 && char === '}') {
+          const question = this.parse(this.buffer.slice(this.objectStart, this.position + 1));
+          if (question) completed.push(question);
+          this.objectStart = -1;
+        }
+      }
+    }
+
+    return completed;
+  }
+
+  parse(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = QuestionStreamParser;
@@ -0,0 +1,452 @@
+const JSZip = require('jszip');
+
+const EXPORT_FORMATS = ['gift', 'qti', 'aiken', 'csv'];
+const FLASHCARD_FORMATS = ['csv', 'tsv'];
+const CSV_COLUMNS = [
+  'id', 'type', 'difficulty', 'topic', 'question', 'options', 'correct_answer', 'accepted_answers', 'explanation',
+  'prompts', 'tolerance', 'unit', 'rubric', 'bloom_level'
+];
+const LIST_SEPARATOR = '|';
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function slugify(text) {
+  return String(text || 'quiz')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60) || 'quiz';
+}
+
+class QuizExporter {
+  /**
+   * Export a quiz to an LMS interchange format
+   * @param {Object} quiz - Quiz with title, description and questions
+   * @param {string} format - One of gift, qti, aiken, csv
+   * @returns {Promise<Object>} File body, filename, content type and skipped question ids
+   */
+  async export(quiz, format) {
+    const baseName = slugify(quiz.title);
+
+    switch (format) {
+      case 'gift':
+        return { ...this.toGIFT(quiz), filename: `${baseName}.gift.txt`, contentType: 'text/plain; charset=utf-8' };
+      case 'aiken':
+        return { ...this.toAiken(quiz), filename: `${baseName}.aiken.txt`, contentType: 'text/plain; charset=utf-8' };
+      case 'csv':
+        return { ...this.toCSV(quiz), filename: `${baseName}.csv`, contentType: 'text/csv; charset=utf-8' };
+      case 'qti':
+        return { ...(await this.toQTI(quiz)), filename: `${baseName}.qti.zip`, contentType: 'application/zip' };
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Export a flashcard deck as an Anki text import: front, back and tags
+   * columns, with header lines telling Anki the separator and columns
+   * @param {Object} deck - Deck with title and cards
+   * @param {string} format - csv or tsv
+   * @returns {Object} File body, filename and content type
+   */
+  exportFlashcards(deck, format) {
+    if (!FLASHCARD_FORMATS.includes(format)) {
+      throw new Error(`Unsupported flashcard format: ${format}`);
+    }
+
+    const separator = format === 'tsv' ? '\t' : ',';
+    const cell = (value) => {
+      const text = String(value ?? '');
+      return text.includes(separator) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [
+      `#separator:${format === 'tsv' ? 'tab' : 'comma'}`,
+      '#html:false',
+      `#deck:${String(deck.title || 'Flashcards').replace(/[\r\n]+/g, ' ')}`,
+      '#tags column:3',
+      ...deck.cards.map(card => [
+        card.front,
+        card.back,
+        // Anki tags are space-separated
+        (card.tags || []).map(tag => String(tag).replace(/\s+/g, '_')).join(' ')
+      ].map(cell).join(separator))
+    ];
+
+    return {
+      body: lines.join('\n') + '\n',
+      filename: `${slugify(deck.title)}.anki.${format === 'tsv' ? 'txt' : 'csv'}`,
+      contentType: `${format === 'tsv' ? 'text/tab-separated-values' : 'text/csv'}; charset=utf-8`
+    };
+  }
+
+  /**
+   * Moodle GIFT. Explanations become general feedback (####).
+   * @param {Object} quiz - Quiz
+   * @returns {Object} GIFT text and skipped question ids
+   */
+  toGIFT(quiz) {
+    const escape = (text) => String(text ?? '').replace(/([~=#{}:\\])/g, '\\$1').replace(/\r?\n/g, '\\n');
+    const skipped = [];
+    const blocks = [`// ${quiz.title || 'Quiz'}`];
+
+    if (quiz.description) {
+      blocks[0] += `\n// ${quiz.description.replace(/\r?\n/g, ' ')}`;
+    }
+
+    quiz.questions.forEach(question => {
+      const name = `::Q${question.id}${question.topic ? ` ${escape(question.topic)}` : ''}::`;
+      const feedback = question.explanation ? `####${escape(question.explanation)}` : '';
+
+      switch (question.type) {
+        case 'multiple-choice':
+        case 'topic-specific': {
+          const answers = question.options
+            .map(option => `  ${option === question.correctAnswer ? '=' : '~'}${escape(option)}`)
+            .join('\n');
+          blocks.push(`${name}${escape(question.question)} {\n${answers}\n${feedback ? `  ${feedback}\n` : ''}}`);
+          break;
+        }
+        case 'true-false':
+          blocks.push(`${name}${escape(question.question)} {${question.correctAnswer ? 'TRUE' : 'FALSE'}${feedback}}`);
+          break;
+        case 'fill-in-blank': {
+          const answers = [question.correctAnswer, ...(question.acceptedAnswers || [])]
+            .map(answer => `=${escape(answer)}`)
+            .join(' ');
+          const [before, ...after] = question.question.split('_____');
+          blocks.push(`${name}${escape(before)}{${answers}${feedback}}${escape(after.join('_____'))}`);
+          break;
+        }
+        case 'multi-select': {
+          // Correct options share 100%; each wrong one takes it all back
+          const weight = (100 / question.correctAnswer.length).toFixed(5).replace(/\.?0+$/, '');
+          const answers = question.options
+            .map(option => `  ~%${question.correctAnswer.includes(option) ? weight : '-100'}%${escape(option)}`)
+            .join('\n');
+          blocks.push(`${name}${escape(question.question)} {\n${answers}\n${feedback ? `  ${feedback}\n` : ''}}`);
+          break;
+        }
+        case 'matching': {
+          const pairs = question.prompts
+            .map(prompt => `  =${escape(prompt)} -> ${escape(question.correctAnswer[prompt])}`)
+            .join('\n');
+          blocks.push(`${name}${escape(question.question)} {\n${pairs}\n${feedback ? `  ${feedback}\n` : ''}}`);
+          break;
+        }
+        case 'numeric': {
+          const unit = question.unit ? ` (${escape(question.unit)})` : '';
+          blocks.push(`${name}${escape(question.question)}${unit} {#${question.correctAnswer}:${question.tolerance || 0}${feedback}}`);
+          break;
+        }
+        case 'short-answer':
+          // An essay question: graded by hand in the LMS
+          blocks.push(`${name}${escape(question.question)} {${feedback}}`);
+          break;
+        default:
+          skipped.push(question.id);
+      }
+    });
+
+    return { body: blocks.join('\n\n') + '\n', skipped };
+  }
+
+  /**
+   * Aiken. Only single-answer choice questions are representable, and the
+   * format has no feedback field, so fill-in-blank items are skipped.
+   * @param {Object} quiz - Quiz
+   * @returns {Object} Aiken text and skipped question ids
+   */
+  toAiken(quiz) {
+    const skipped = [];
+    const blocks = [];
+    const oneLine = (text) => String(text ?? '').replace(/\s*\r?\n\s*/g, ' ').trim();
+
+    quiz.questions.forEach(question => {
+      let options;
+      let correctIndex;
+
+      if (question.type === 'true-false') {
+        options = ['True', 'False'];
+        correctIndex = question.correctAnswer ? 0 : 1;
+      } else if (Array.isArray(question.options) && question.options.length <= 26) {
+        options = question.options;
+        correctIndex = options.indexOf(question.correctAnswer);
+      }
+
+      if (!options || correctIndex < 0) {
+        skipped.push(question.id);
+        return;
+      }
+
+      const letter = (index) => String.fromCharCode(65 + index);
+      blocks.push([
+        oneLine(question.question),
+        ...options.map((option, index) => `${letter(index)}. ${oneLine(option)}`),
+        `ANSWER: ${letter(correctIndex)}`
+      ].join('\n'));
+    });
+
+    return { body: blocks.join('\n\n') + '\n', skipped };
+  }
+
+  /**
+   * CSV with one row per question. List fields are joined with "|"; matching
+   * answer keys and rubrics are written as JSON.
+   * @param {Object} quiz - Quiz
+   * @returns {Object} CSV text and skipped question ids
+   */
+  toCSV(quiz) {
+    const cell = (value) => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = quiz.questions.map(question => [
+      question.id,
+      question.type,
+      question.difficulty,
+      question.topic,
+      question.question,
+      (question.options || []).join(LIST_SEPARATOR),
+      this.csvAnswer(question.correctAnswer),
+      (question.acceptedAnswers || []).join(LIST_SEPARATOR),
+      question.explanation,
+      (question.prompts || []).join(LIST_SEPARATOR),
+      question.tolerance,
+      question.unit,
+      question.rubric ? JSON.stringify(question.rubric) : '',
+      question.bloomLevel
+    ].map(cell).join(','));
+
+    return { body: [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n', skipped: [] };
+  }
+
+  csvAnswer(answer) {
+    if (Array.isArray(answer)) return answer.join(LIST_SEPARATOR);
+    if (answer && typeof answer === 'object') return JSON.stringify(answer);
+    return answer;
+  }
+
+  /**
+   * IMS QTI 2.1 content package: one item per question, an assessment test and
+   * a manifest. Explanations are shown as modal feedback.
+   * @param {Object} quiz - Quiz
+   * @returns {Promise<Object>} Zip buffer and skipped question ids
+   */
+  async toQTI(quiz) {
+    const zip = new JSZip();
+    const skipped = [];
+    const items = [];
+
+    quiz.questions.forEach(question => {
+      const identifier = `item-${question.id}`;
+      const xml = this.buildQTIItem(question, identifier);
+      if (!xml) {
+        skipped.push(question.id);
+        return;
+      }
+      items.push({ identifier, href: `items/${identifier}.xml` });
+      zip.file(`items/${identifier}.xml`, xml);
+    });
+
+    zip.file('assessment.xml', this.buildQTITest(quiz, items));
+    zip.file('imsmanifest.xml', this.buildQTIManifest(quiz, items));
+
+    const body = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    return { body, skipped };
+  }
+
+  buildQTIItem(question, identifier) {
+    const title = escapeXml(`Q${question.id}${question.topic ? ` - ${question.topic}` : ''}`);
+    let responseDeclaration;
+    let body;
+    let scoring;
+
+    const matchScoring = `
+    <responseCondition>
+      <responseIf>
+        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+      <responseElse>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>
+      </responseElse>
+    </responseCondition>`;
+
+    if (question.type === 'fill-in-blank') {
+      const answers = [question.correctAnswer, ...(question.acceptedAnswers || [])];
+      responseDeclaration = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${escapeXml(question.correctAnswer)}</value></correctResponse>
+    <mapping defaultValue="0" upperBound="1">
+${answers.map(answer => `      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>`;
+      const [before, ...after] = question.question.split('_____');
+      body = `<p>${escapeXml(before)}<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(String(question.correctAnswer).length, 10)}"/>${escapeXml(after.join('_____'))}</p>`;
+      scoring = `
+    <setOutcomeValue identifier="SCORE"><mapResponse identifier="RESPONSE"/></setOutcomeValue>`;
+    } else if (question.type === 'multi-select') {
+      responseDeclaration = `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="identifier">
+    <correctResponse>
+${question.correctAnswer.map(answer => `      <value>choice-${question.options.indexOf(answer) + 1}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>`;
+      body = `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="0">
+      <prompt>${escapeXml(question.question)}</prompt>
+${question.options.map((option, index) => `      <simpleChoice identifier="choice-${index + 1}">${escapeXml(option)}</simpleChoice>`).join('\n')}
+    </choiceInteraction>`;
+      scoring = matchScoring;
+    } else if (question.type === 'ordering') {
+      responseDeclaration = `<responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>
+${question.correctAnswer.map(item => `      <value>choice-${question.options.indexOf(item) + 1}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>`;
+      body = `<orderInteraction responseIdentifier="RESPONSE" shuffle="false">
+      <prompt>${escapeXml(question.question)}</prompt>
+${question.options.map((option, index) => `      <simpleChoice identifier="choice-${index + 1}">${escapeXml(option)}</simpleChoice>`).join('\n')}
+    </orderInteraction>`;
+      scoring = matchScoring;
+    } else if (question.type === 'matching') {
+      responseDeclaration = `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+    <correctResponse>
+${question.prompts.map((prompt, index) => `      <value>prompt-${index + 1} choice-${question.options.indexOf(question.correctAnswer[prompt]) + 1}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>`;
+      body = `<matchInteraction responseIdentifier="RESPONSE" shuffle="false" maxAssociations="${question.prompts.length}">
+      <prompt>${escapeXml(question.question)}</prompt>
+      <simpleMatchSet>
+${question.prompts.map((prompt, index) => `        <simpleAssociableChoice identifier="prompt-${index + 1}" matchMax="1">${escapeXml(prompt)}</simpleAssociableChoice>`).join('\n')}
+      </simpleMatchSet>
+      <simpleMatchSet>
+${question.options.map((option, index) => `        <simpleAssociableChoice identifier="choice-${index + 1}" matchMax="${question.prompts.length}">${escapeXml(option)}</simpleAssociableChoice>`).join('\n')}
+      </simpleMatchSet>
+    </matchInteraction>`;
+      scoring = matchScoring;
+    } else if (question.type === 'numeric') {
+      const tolerance = question.tolerance || 0;
+      responseDeclaration = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+    <correctResponse><value>${question.correctAnswer}</value></correctResponse>
+  </responseDeclaration>`;
+      body = `<p>${escapeXml(question.question)}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/>${question.unit ? ` ${escapeXml(question.unit)}` : ''}</p>`;
+      scoring = `
+    <responseCondition>
+      <responseIf>
+        <equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+      <responseElse>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>
+      </responseElse>
+    </responseCondition>`;
+    } else if (question.type === 'short-answer') {
+      // Scored by hand against the rubric, so there is no response processing for the score
+      responseDeclaration = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>`;
+      body = `<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="5">
+      <prompt>${escapeXml(question.question)}</prompt>
+    </extendedTextInteraction>`;
+      scoring = '';
+    } else {
+      let options;
+      let correctIndex;
+
+      if (question.type === 'true-false') {
+        options = ['True', 'False'];
+        correctIndex = question.correctAnswer ? 0 : 1;
+      } else if (Array.isArray(question.options)) {
+        options = question.options;
+        correctIndex = options.indexOf(question.correctAnswer);
+      }
+      if (!options || correctIndex < 0) return null;
+
+      responseDeclaration = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>choice-${correctIndex + 1}</value></correctResponse>
+  </responseDeclaration>`;
+      body = `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>${escapeXml(question.question)}</prompt>
+${options.map((option, index) => `      <simpleChoice identifier="choice-${index + 1}">${escapeXml(option)}</simpleChoice>`).join('\n')}
+    </choiceInteraction>`;
+      scoring = matchScoring;
+    }
+
+    const feedback = question.explanation
+      ? `
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(question.explanation)}</modalFeedback>`
+      : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1p2.xsd"
+  identifier="${identifier}" title="${title}" adaptive="false" timeDependent="false">
+  ${responseDeclaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    ${body}
+  </itemBody>
+  <responseProcessing>${scoring}
+    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>
+  </responseProcessing>${feedback}
+</assessmentItem>
+`;
+  }
+
+  buildQTITest(quiz, items) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1p2.xsd"
+  identifier="assessment" title="${escapeXml(quiz.title || 'Quiz')}">
+  <testPart identifier="part-1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section-1" title="${escapeXml(quiz.title || 'Quiz')}" visible="true">
+${items.map(item => `      <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`).join('\n')}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+  }
+
+  buildQTIManifest(quiz, items) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd"
+  identifier="manifest-${slugify(quiz.title)}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="assessment" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+${items.map(item => `      <dependency identifierref="${item.identifier}"/>`).join('\n')}
+    </resource>
+${items.map(item => `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">
+      <file href="${item.href}"/>
+    </resource>`).join('\n')}
+  </resources>
+</manifest>
+`;
+  }
+}
+
+module.exports = new QuizExporter();
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
+module.exports.FLASHCARD_FORMATS = FLASHCARD_FORMATS;
+module.exports.slugify = slugify;
+module.exports.CSV_COLUMNS = CSV_COLUMNS;
+module.exports.LIST_SEPARATOR = LIST_SEPARATOR;
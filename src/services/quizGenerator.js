@@ -1,59 +1,162 @@
-const OpenAI = require('openai');
+const llm = require('./llm');
+const { estimateTokens } = require('./llm');
+const contentChunker = require('./contentChunker');
+const quizValidator = require('./quizValidator');
+const QuestionStreamParser = require('./questionStreamParser');
+const citationLocator = require('./citationLocator');
+const questionSimilarity = require('./questionSimilarity');
+const llmCache = require('./llmCache');
+const promptLibrary = require('./promptLibrary');
+const { findLanguage, detectLanguage, describeLanguage } = require('../utils/languages');
+const { allocate, interleave, tally } = require('../utils/distribution');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const MAX_QUIZ_SECTION_CHARS = 12000;
+const MAX_TOPIC_SECTION_CHARS = 8000;
+const MAX_REPAIR_ATTEMPTS = 2;
+const MAX_BANK_QUESTIONS_IN_PROMPT = 60;
+const MAX_STYLE_EXAMPLES = 5;
+const MAX_CONCURRENT_SECTIONS = parseInt(process.env.LLM_MAX_CONCURRENCY) || 3;
+const MAX_VERIFY_BATCH = 10;
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+// Tokens of earlier conversation sent with each tutor message
+const CHAT_HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 3000;
 
 class QuizGenerator {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.llm = llm;
+  }
+
+  /**
+   * Generate quiz from content. Quizzes are only cached when the request opts
+   * in with a cache variant; asking again with the same content, settings and
+   * variant returns the same quiz, while a new variant produces a new one.
+   * @param {Object} options - Quiz generation options (cacheVariant and bypassCache control caching;
+   * prompt is a promptLibrary selection, the default template when omitted)
+   * @param {Object} handlers - Optional streaming handlers
+   * @param {Function} handlers.onQuestion - Called with each question as soon as it is complete and valid
+   * @param {AbortSignal} handlers.signal - Aborts in-flight completions
+   * @returns {Promise<Object>} Generated quiz
+   */
+  async generateQuiz(options, handlers = {}) {
+    options = { ...options, prompt: promptLibrary.resolve('quiz', options.prompt) };
+
+    if (options.cacheVariant === undefined) {
+      return this.buildQuiz(options, handlers);
+    }
+
+    const { value, cache } = await llmCache.wrap('generateQuiz', {
+      content: options.content,
+      options: {
+        variant: options.cacheVariant,
+        model: this.llm.getSettings('generateQuiz').model,
+        numberOfQuestions: options.numberOfQuestions,
+        difficulty: options.difficulty,
+        questionTypes: options.questionTypes,
+        bloomLevels: options.bloomLevels,
+        specificTopics: options.specificTopics,
+        prioritizeImportant: options.prioritizeImportant,
+        bankQuestions: (options.bankQuestions || []).map(question => question.question),
+        bankMode: options.bankMode,
+        language: options.language,
+        verify: options.verify,
+        sourceSetId: options.sourceSet?.id,
+        prompt: { template: options.prompt.template, version: options.prompt.version }
+      },
+      bypass: options.bypassCache
+    }, () => this.buildQuiz(options, handlers));
+
+    // A cached quiz was never streamed, so replay its questions
+    if (cache.hit && handlers.onQuestion) {
+      value.quiz.questions.forEach(question => handlers.onQuestion(question));
+    }
+
+    return { ...value, metadata: { ...value.metadata, cache } };
   }
 
   /**
-   * Generate quiz from content
+   * Build a quiz with the LLM. Long content is split into sections; questions
+   * are generated per section and merged so the quiz covers the whole document.
    * @param {Object} options - Quiz generation options
+   * @param {Object} handlers - Optional onQuestion callback and abort signal
    * @returns {Promise<Object>} Generated quiz
    */
-  async generateQuiz(options) {
-    const {
-      content,
-      numberOfQuestions,
-      difficulty,
-      questionTypes,
-      specificTopics,
-      prioritizeImportant
-    } = options;
+  async buildQuiz(options, handlers = {}) {
+    const { onQuestion, signal } = handlers;
+    const { content, numberOfQuestions } = options;
 
-    const systemPrompt = this.buildSystemPrompt();
-    const userPrompt = this.buildUserPrompt({
-      content,
-      numberOfQuestions,
-      difficulty,
-      questionTypes,
-      specificTopics,
-      prioritizeImportant
-    });
+    const sections = contentChunker.split(content, { maxChars: MAX_QUIZ_SECTION_CHARS });
+    const plan = this.planDistribution(sections, numberOfQuestions);
+    const blueprint = this.buildBlueprint(options);
+    const questionPlan = this.planQuestions(blueprint, numberOfQuestions);
+    const cite = (question) => citationLocator.cite(question, content, sections, options.sourceSet);
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 4000,
-        response_format: { type: 'json_object' }
-      });
+      const streamer = onQuestion ? this.createQuestionStreamer(options, onQuestion, cite) : null;
+
+      // Sections take consecutive slices of the plan, each getting a share of the mix
+      let planned = 0;
+      const sectionPlans = plan.map(({ count }) => questionPlan.slice(planned, planned += count));
+
+      const results = await mapWithConcurrency(plan, MAX_CONCURRENT_SECTIONS, ({ section, count }, index) =>
+        this.generateSectionQuiz({ ...options, questionPlan: sectionPlans[index] }, section, count, sections.length, {
+          signal,
+          onQuestion: streamer && (question => streamer.offer(question, section))
+        })
+      );
+
+      let merged = this.mergeSectionQuizzes(results);
+      if (streamer) {
+        // Keep already-streamed questions first so their ids stay stable
+        merged = { ...merged, questions: [...streamer.emitted, ...streamer.skipped] };
+      }
+
+      const { quiz, validation, models } = await this.validateAndRepair(merged, options, sections, blueprint, { signal });
+      results.forEach(result => models.add(result.model));
+      // Streamed questions were cited when they were emitted
+      quiz.questions = quiz.questions.map(question => (question.citation ? question : cite(question)));
+
+      if (streamer) {
+        streamer.flush(quiz.questions);
+      }
+
+      // Optional grounding check; runs after streaming so it never delays the first questions
+      let verification;
+      if (options.verify) {
+        const verified = await this.verifyQuestions(quiz.questions, sections, options.verify, { signal });
+        verified.models.forEach(model => models.add(model));
+        quiz.questions = verified.questions;
+        verification = verified.summary;
+        console.log(`🔍 Verified ${verification.checked} questions: ${verification.flagged} flagged, ${verification.dropped.length} dropped`);
+      }
+
+      console.log(`✅ Generated ${quiz.questions.length} questions from ${plan.length}/${sections.length} sections`);
 
-      const result = JSON.parse(response.choices[0].message.content);
-      
-      console.log(`✅ Generated ${result.questions?.length || 0} questions`);
-      
       return {
-        quiz: result,
+        quiz,
         metadata: {
-          totalQuestions: result.questions?.length || 0,
-          difficulty,
-          questionTypes,
+          totalQuestions: quiz.questions.length,
+          // A single level, or "mixed" when a distribution was requested
+          difficulty: this.describeMix(blueprint.difficulty),
+          questionTypes: Object.keys(blueprint.type).filter(type => blueprint.type[type] > 0),
+          distribution: this.buildDistribution(blueprint, quiz.questions),
+          model: [...models].join(', '),
+          coverage: this.buildCoverage(sections, quiz.questions),
+          validation,
+          ...(verification && { verification }),
+          language: describeLanguage(findLanguage(options.language) || detectLanguage(content)),
+          ...(options.sourceSet && {
+            sourceSet: {
+              id: options.sourceSet.id,
+              name: options.sourceSet.name,
+              files: options.sourceSet.files.map(file => file.filename)
+            }
+          }),
+          ...(options.bankQuestions?.length > 0 && {
+            questionBank: { mode: options.bankMode || 'avoid', referenceQuestions: options.bankQuestions.length }
+          }),
+          // Template version the quiz was written from, so it can be reproduced
+          prompt: options.prompt,
           generatedAt: new Date().toISOString()
         }
       };
@@ -64,33 +167,826 @@ class QuizGenerator {
   }
 
   /**
-   * Analyze content to extract available topics
-   * @param {string} content - Educational content
-   * @returns {Promise<Object>} Extracted topics
+   * Track questions streamed to the caller. Valid, non-duplicate questions are
+   * emitted immediately; anything else is held back for the repair pass.
+   * @param {Object} options - Quiz generation options
+   * @param {Function} onQuestion - Called with each emitted question
+   * @param {Function} cite - Attaches a source citation to a question
+   * @returns {Object} Streamer with offer() and flush()
    */
-  async analyzeTopics(content) {
-    const prompt = `Analyze the following educational content and identify the main topics, concepts, and key areas covered. Return a JSON object with:
-- topics: array of main topic names
-- keyConcepts: array of important concepts/definitions
-- suggestedDifficulty: recommended difficulty level based on content complexity
+  createQuestionStreamer(options, onQuestion, cite) {
+    const { numberOfQuestions } = options;
+    const seen = new Set(this.getAvoidQuestions(options).map(text => quizValidator.normalizeText(text)));
+    const emitted = [];
+    const skipped = [];
 
-Educational Content:
-${content.substring(0, 8000)}
+    const emit = (question) => {
+      emitted.push(question);
+      onQuestion(question);
+    };
+
+    return {
+      emitted,
+      skipped,
+      offer(raw, section) {
+        const tagged = raw && typeof raw === 'object' ? { ...raw, sectionIndex: section.index } : raw;
+        const { question, issues } = quizValidator.validateQuestion(tagged);
+        const key = issues.length === 0 ? quizValidator.normalizeText(question.question) : null;
+
+        if (!key || seen.has(key) || emitted.length >= numberOfQuestions) {
+          skipped.push(tagged);
+          return;
+        }
+
+        seen.add(key);
+        emit(cite({ ...question, id: emitted.length + 1 }));
+      },
+      flush(questions) {
+        questions.slice(emitted.length).forEach(emit);
+      }
+    };
+  }
+
+  /**
+   * Validate the merged quiz, repair what can be fixed in place and re-request
+   * only the questions that are broken or missing
+   * @param {Object} quiz - Merged quiz
+   * @param {Object} options - Quiz generation options
+   * @param {Array<Object>} sections - Content sections
+   * @param {Object} blueprint - Requested mix; replacements fill what is still missing from it
+   * @param {Object} handlers - Optional abort signal
+   * @returns {Promise<Object>} Validated quiz, validation report and models used
+   */
+  async validateAndRepair(quiz, options, sections, blueprint, handlers = {}) {
+    const { numberOfQuestions } = options;
+    const avoidQuestions = this.getAvoidQuestions(options);
+    const models = new Set();
+    const repairs = [];
+    let regeneratedQuestions = 0;
+    let attempts = 0;
+
+    let report = quizValidator.validate(quiz, { numberOfQuestions, avoidQuestions });
+    repairs.push(...report.repairs);
+
+    while (report.missing > 0 && attempts < MAX_REPAIR_ATTEMPTS) {
+      attempts++;
+      const plan = this.planRepair(sections, report);
+      const questionPlan = this.planQuestions(blueprint, report.missing, report.questions);
+      let planned = 0;
+      const sectionPlans = plan.map(({ count }) => questionPlan.slice(planned, planned += count));
+
+      console.log(`🔧 Re-requesting ${report.missing} question(s), attempt ${attempts}`);
+
+      const results = await mapWithConcurrency(plan, MAX_CONCURRENT_SECTIONS, ({ section, count }, index) =>
+        this.generateSectionQuiz(
+          {
+            ...options,
+            questionPlan: sectionPlans[index],
+            existingQuestions: report.questions.map(question => question.question)
+          },
+          section,
+          count,
+          sections.length,
+          { signal: handlers.signal }
+        )
+      );
+      results.forEach(result => models.add(result.model));
+
+      const replacements = this.mergeSectionQuizzes(results).questions;
+      regeneratedQuestions += replacements.length;
+
+      const previousRejected = report.rejected;
+      report = quizValidator.validate(
+        { questions: [...report.questions, ...replacements] },
+        { numberOfQuestions, avoidQuestions }
+      );
+      report.rejected = [...previousRejected, ...report.rejected];
+      repairs.push(...report.repairs);
+    }
+
+    const issues = report.rejected.flatMap(entry => entry.issues);
+    if (report.missing > 0) {
+      issues.push({
+        questionId: null,
+        message: `Generated ${report.questions.length} of ${numberOfQuestions} requested questions`
+      });
+    }
+
+    return {
+      quiz: { ...quiz, questions: report.questions },
+      models,
+      validation: {
+        valid: report.missing === 0,
+        // Re-validating after each attempt can record the same repair twice
+        repairs: repairs.filter((repair, index) => repairs.findIndex(other =>
+          other.questionId === repair.questionId && other.message === repair.message) === index),
+        issues,
+        droppedQuestions: report.rejected.length,
+        regeneratedQuestions,
+        repairAttempts: attempts
+      }
+    };
+  }
+
+  /**
+   * Replace selected questions of an existing quiz. Each replacement comes
+   * from the same section and keeps the type and difficulty of the question
+   * it replaces (instructions such as "harder" take priority), and must not
+   * duplicate the questions that stay, by meaning as well as by wording.
+   * Replacements take over the ids of the questions they replace.
+   * @param {Array<Object>} questions - Current quiz questions
+   * @param {string} content - Source content the quiz was generated from
+   * @param {Object} options - Regeneration options
+   * @param {Array} options.questionIds - Ids of the questions to replace
+   * @param {string} options.instructions - Optional free-text instructions
+   * @param {string} options.language - Optional output language code
+   * @param {Object} options.sourceSet - Optional source set the content came from
+   * @param {Object} options.prompt - Optional promptLibrary selection; the default template when omitted
+   * @param {Object} handlers - Optional abort signal
+   * @returns {Promise<Object>} Updated questions, what was replaced and what could not be
+   */
+  async regenerateQuestions(questions, content, options, handlers = {}) {
+    const { signal } = handlers;
+    options = { ...options, prompt: promptLibrary.resolve('quiz', options.prompt) };
+    const ids = new Set(options.questionIds.map(String));
+    const targets = questions.filter(question => ids.has(String(question.id)));
+    const remaining = questions.filter(question => !ids.has(String(question.id)));
+    const sections = contentChunker.split(content, { maxChars: MAX_QUIZ_SECTION_CHARS });
+    const models = new Set();
+    const rejected = [];
+
+    try {
+      const duplicateIndex = await questionSimilarity.createIndex(remaining, { signal });
+      const seen = new Set(questions.map(question => quizValidator.normalizeText(question.question)));
+
+      // One request per section, type, difficulty and Bloom level so every replacement fits the slot it fills
+      const groups = new Map();
+      targets.forEach(target => {
+        const section = this.findQuestionSection(target, content, sections);
+        const difficulty = target.difficulty || 'medium';
+        const key = `${section.index}|${target.type}|${difficulty}|${target.bloomLevel || ''}`;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            section,
+            type: target.type,
+            difficulty,
+            bloomLevel: target.bloomLevel,
+            targets: [],
+            replacements: []
+          });
+        }
+        groups.get(key).targets.push(target);
+      });
+
+      for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        const pending = [...groups.values()].filter(group => group.replacements.length < group.targets.length);
+        if (pending.length === 0) break;
+
+        const accepted = [...groups.values()].flatMap(group => group.replacements);
+        const results = await mapWithConcurrency(pending, MAX_CONCURRENT_SECTIONS, group =>
+          this.generateSectionQuiz(
+            {
+              ...options,
+              difficulty: group.difficulty,
+              questionTypes: [group.type],
+              questionPlan: Array.from({ length: group.targets.length - group.replacements.length }, () => ({
+                type: group.type,
+                difficulty: group.difficulty,
+                ...(group.bloomLevel && { bloomLevel: group.bloomLevel })
+              })),
+              specificTopics: [],
+              prioritizeImportant: true,
+              existingQuestions: [...remaining, ...accepted].map(question => question.question)
+                .concat(rejected.map(entry => entry.question)),
+              replacedQuestions: group.targets
+            },
+            group.section,
+            group.targets.length - group.replacements.length,
+            sections.length,
+            { signal }
+          )
+        );
+
+        for (const [index, result] of results.entries()) {
+          const group = pending[index];
+          models.add(result.model);
+
+          const candidates = [];
+          (Array.isArray(result.quiz.questions) ? result.quiz.questions : []).forEach(raw => {
+            const { question, issues } = quizValidator.validateQuestion(raw);
+            const text = question && typeof question.question === 'string' ? question.question : '';
+
+            if (issues.length > 0) {
+              rejected.push({ question: text, reason: issues.join('; ') });
+            } else if (this.questionShape(question.type) !== this.questionShape(group.type)) {
+              rejected.push({ question: text, reason: `Type ${question.type} does not match ${group.type}` });
+            } else if (seen.has(quizValidator.normalizeText(text))) {
+              rejected.push({ question: text, reason: 'Repeats an existing question' });
+            } else {
+              candidates.push({ ...question, type: group.type, sectionIndex: group.section.index });
+            }
+          });
+
+          const needed = group.targets.length - group.replacements.length;
+          const { accepted: fresh, duplicates } = await duplicateIndex.filter(candidates, needed);
+          duplicates.forEach(({ question, match, similarity }) => {
+            rejected.push({ question: question.question, reason: `Too similar to "${match.question}" (${similarity})` });
+          });
+          fresh.forEach(question => {
+            seen.add(quizValidator.normalizeText(question.question));
+            group.replacements.push(question);
+          });
+        }
+      }
+
+      const replacements = new Map();
+      groups.forEach(group => {
+        group.targets.forEach((target, index) => {
+          const replacement = group.replacements[index];
+          if (replacement) {
+            replacements.set(target.id, citationLocator.cite({ ...replacement, id: target.id }, content, sections, options.sourceSet));
+          }
+        });
+      });
+
+      duplicateIndex.models.forEach(model => models.add(model));
+      console.log(`🔄 Regenerated ${replacements.size}/${targets.length} questions`);
+
+      return {
+        questions: questions.map(question => replacements.get(question.id) || question),
+        replaced: targets
+          .filter(target => replacements.has(target.id))
+          .map(target => ({ id: target.id, previous: target.question, question: replacements.get(target.id) })),
+        unreplaced: targets.filter(target => !replacements.has(target.id)).map(target => target.id),
+        rejected,
+        similarity: { method: duplicateIndex.method, threshold: duplicateIndex.threshold },
+        model: [...models].join(', '),
+        prompt: options.prompt
+      };
+    } catch (error) {
+      console.error('Question regeneration error:', error);
+      throw new Error(`Failed to regenerate questions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the section a question was generated from: the section it records,
+   * else the one holding its citation or the sentence that best matches it
+   * @param {Object} question - Question
+   * @param {string} content - Full source content
+   * @param {Array<Object>} sections - Content sections
+   * @returns {Object} Section
+   */
+  findQuestionSection(question, content, sections) {
+    if (sections[question.sectionIndex]) {
+      return sections[question.sectionIndex];
+    }
+
+    let offset = question.citation?.startOffset;
+    if (typeof offset !== 'number') {
+      const located = citationLocator.findBestSentence(content, `${question.question} ${quizValidator.formatAnswer(question)}`);
+      offset = located ? located.start : 0;
+    }
+
+    return sections.find(section => offset >= section.startOffset && offset < section.endOffset) || sections[0];
+  }
+
+  // Topic-specific questions share the multiple-choice shape
+  questionShape(type) {
+    return type === 'topic-specific' ? 'multiple-choice' : type;
+  }
+
+  /**
+   * Check each question against the section it was generated from: is the
+   * marked answer supported by the content, is it actually right, and could
+   * any distractor also be defended? Every question gets a verification with
+   * a confidence score and the supporting passage. In "drop" mode flagged
+   * questions are removed; ids are left as they are so ids already streamed
+   * to a client stay valid.
+   * @param {Array<Object>} questions - Validated, cited questions
+   * @param {Array<Object>} sections - Content sections
+   * @param {Object} settings - Verification settings
+   * @param {string} settings.mode - "flag" (keep and mark) or "drop"
+   * @param {number} settings.minConfidence - Questions scoring lower are flagged
+   * @param {Object} handlers - Optional abort signal
+   * @returns {Promise<Object>} Verified questions, summary and models used
+   */
+  async verifyQuestions(questions, sections, settings, handlers = {}) {
+    const { mode = 'flag', minConfidence = DEFAULT_MIN_CONFIDENCE } = settings;
+    const models = new Set();
+
+    const batches = [];
+    sections.forEach(section => {
+      const sectionQuestions = questions.filter(question => question.sectionIndex === section.index);
+      for (let i = 0; i < sectionQuestions.length; i += MAX_VERIFY_BATCH) {
+        batches.push({ section, questions: sectionQuestions.slice(i, i + MAX_VERIFY_BATCH) });
+      }
+    });
+
+    const results = await mapWithConcurrency(batches, MAX_CONCURRENT_SECTIONS, async ({ section, questions: batch }) => {
+      try {
+        return await this.verifySectionQuestions(section, batch, handlers);
+      } catch (error) {
+        if (handlers.signal?.aborted) throw error;
+        // A failed check leaves these questions unverified instead of failing the quiz
+        console.error('Verification error:', error);
+        return { verdicts: [], model: null };
+      }
+    });
+
+    const verdicts = new Map();
+    results.forEach(result => {
+      if (result.model) models.add(result.model);
+      result.verdicts.forEach(verdict => {
+        if (verdict && typeof verdict === 'object') verdicts.set(String(verdict.id), verdict);
+      });
+    });
+
+    const checked = [];
+    const kept = [];
+    const dropped = [];
+    questions.forEach(question => {
+      const section = sections.find(entry => entry.index === question.sectionIndex);
+      const verification = this.buildVerification(verdicts.get(String(question.id)), section, minConfidence);
+      checked.push(verification);
+
+      if (mode === 'drop' && verification.status === 'flagged') {
+        dropped.push({ id: question.id, question: question.question, issues: verification.issues });
+      } else {
+        kept.push({ ...question, verification });
+      }
+    });
+
+    const scores = checked.filter(entry => entry.confidence !== null).map(entry => entry.confidence);
+
+    return {
+      questions: kept,
+      models,
+      summary: {
+        mode,
+        minConfidence,
+        checked: scores.length,
+        verified: checked.filter(entry => entry.status === 'verified').length,
+        flagged: checked.filter(entry => entry.status === 'flagged').length,
+        unverified: checked.filter(entry => entry.status === 'unverified').length,
+        dropped,
+        averageConfidence: scores.length > 0
+          ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100
+          : null
+      }
+    };
+  }
+
+  /**
+   * Ask the model to check a batch of questions from one section
+   * @param {Object} section - Content section the questions were generated from
+   * @param {Array<Object>} questions - Questions to check
+   * @param {Object} handlers - Optional abort signal
+   * @returns {Promise<Object>} Verdicts keyed by question id and model used
+   */
+  async verifySectionQuestions(section, questions, handlers = {}) {
+    const checks = questions.map(({ id, type, question, options, prompts, correctAnswer, acceptedAnswers, tolerance, unit, rubric }) => ({
+      id, type, question, options, prompts, correctAnswer, acceptedAnswers, tolerance, unit, rubric
+    }));
+
+    const prompt = `You are checking quiz questions against the educational content they were written from. Using only the content below, decide for each question:
+1. Whether the content supports the marked correct answer
+2. Whether the marked answer is actually correct
+3. For every wrong option (distractor), whether the content would also make it a defensible answer
+4. How confident you are that the question is sound and has exactly one defensible answer, from 0 to 1
+
+Return a JSON object with this structure:
+{
+  "results": [
+    {
+      "id": 1,
+      "answerSupported": true,
+      "answerCorrect": true,
+      "suggestedAnswer": null,
+      "distractors": [{ "option": "Option text", "defensible": false, "reason": "Why it is or is not defensible" }],
+      "confidence": 0.9,
+      "supportingPassage": "The sentence(s) from the content that support the answer",
+      "notes": "Short description of any problem, or an empty string"
+    }
+  ]
+}
+
+Rules:
+- Judge only from the content, never from outside knowledge
+- "supportingPassage" must be copied word for word from the content; use an empty string if nothing in the content supports the answer
+- When the marked answer is wrong, set "answerCorrect" to false and put the right answer in "suggestedAnswer"
+- True/False: the answer is supported when the content confirms or contradicts the statement as marked; leave "distractors" empty
+- Fill in the Blank: list any other term that fits the blank equally well as a defensible distractor
+- Multi-select: the answer is correct only when exactly the marked options are right; list every unmarked option as a distractor
+- Matching and Ordering: the answer is correct only when every pair or position is right; leave "distractors" empty
+- Numeric: the answer is correct when the content gives or implies the value within the tolerance; leave "distractors" empty
+- Short answer: judge the model answer and whether the rubric criteria follow from the content; leave "distractors" empty
+- Return exactly one result per question, using the question's id
+
+CONTENT:
+${section.content}
+
+QUESTIONS:
+${JSON.stringify(checks, null, 2)}
 
 Return valid JSON only.`;
 
+    const response = await this.llm.complete('verify', {
+      messages: [
+        { role: 'user', content: prompt }
+      ],
+      json: true,
+      context: { content: section.content, questions: checks },
+      signal: handlers.signal
+    });
+
+    const result = JSON.parse(response.content);
+
+    return {
+      verdicts: Array.isArray(result.results) ? result.results : [],
+      model: response.model
+    };
+  }
+
+  /**
+   * Turn the model's verdict into a question's verification. The supporting
+   * passage only counts when it is really in the section; otherwise the
+   * confidence is halved.
+   * @param {Object} verdict - Verdict returned for the question
+   * @param {Object} section - Section the question was generated from
+   * @param {number} minConfidence - Questions scoring lower are flagged
+   * @returns {Object} { status, confidence, supportingPassage, issues, ... }
+   */
+  buildVerification(verdict, section, minConfidence) {
+    if (!verdict || !section) {
+      return {
+        status: 'unverified',
+        confidence: null,
+        supportingPassage: null,
+        issues: ['The question could not be verified']
+      };
+    }
+
+    const quoted = typeof verdict.supportingPassage === 'string' ? verdict.supportingPassage : '';
+    const located = quoted ? citationLocator.findExcerpt(section.content, quoted) : null;
+    const reported = Math.min(Math.max(Number(verdict.confidence) || 0, 0), 1);
+    const confidence = Math.round((located ? reported : reported / 2) * 100) / 100;
+
+    const distractors = (Array.isArray(verdict.distractors) ? verdict.distractors : [])
+      .filter(entry => entry && typeof entry === 'object' && entry.option !== undefined)
+      .map(entry => ({
+        option: String(entry.option),
+        defensible: entry.defensible === true,
+        reason: typeof entry.reason === 'string' ? entry.reason : ''
+      }));
+    const defensible = distractors.filter(entry => entry.defensible);
+
+    const issues = [];
+    if (verdict.answerSupported === false) {
+      issues.push('The content does not support the marked answer');
+    }
+    if (verdict.answerCorrect === false) {
+      issues.push(verdict.suggestedAnswer
+        ? `The marked answer looks wrong; the content points to "${verdict.suggestedAnswer}"`
+        : 'The marked answer looks wrong');
+    }
+    if (defensible.length > 0) {
+      issues.push(`More than one defensible answer: ${defensible.map(entry => `"${entry.option}"`).join(', ')}`);
+    }
+    if (confidence < minConfidence) {
+      issues.push(`Confidence ${confidence} is below ${minConfidence}`);
+    }
+
+    return {
+      status: issues.length > 0 ? 'flagged' : 'verified',
+      confidence,
+      supportingPassage: located
+        ? section.content.slice(located.start, located.end).replace(/\s+/g, ' ').trim()
+        : null,
+      passageFound: Boolean(located),
+      issues,
+      ...(distractors.length > 0 && { distractors }),
+      ...(typeof verdict.notes === 'string' && verdict.notes.trim() && { notes: verdict.notes.trim() })
+    };
+  }
+
+  /**
+   * Question texts from the imported bank that new questions must not repeat
+   * @param {Object} options - Quiz generation options
+   * @returns {string[]} Question texts
+   */
+  getAvoidQuestions(options) {
+    const { bankQuestions = [], bankMode = 'avoid' } = options;
+    if (bankMode === 'style') return [];
+    return bankQuestions.map(question => question.question);
+  }
+
+  /**
+   * Pick a few bank questions as style examples, covering the requested types first
+   * @param {Array<Object>} bankQuestions - Imported questions
+   * @param {string[]} questionTypes - Requested question types
+   * @returns {Array<Object>} Example questions
+   */
+  selectStyleExamples(bankQuestions, questionTypes) {
+    const examples = [];
+    const byType = questionTypes.map(type => bankQuestions.filter(question => question.type === type));
+
+    for (let round = 0; examples.length < MAX_STYLE_EXAMPLES; round++) {
+      const picked = byType.map(list => list[round]).filter(Boolean);
+      if (picked.length === 0) break;
+      examples.push(...picked.slice(0, MAX_STYLE_EXAMPLES - examples.length));
+    }
+
+    if (examples.length === 0) {
+      examples.push(...bankQuestions.slice(0, MAX_STYLE_EXAMPLES));
+    }
+
+    return examples.map(({ id, sectionIndex, ...question }) => question);
+  }
+
+  /**
+   * Choose sections to re-request questions from: the sections that produced
+   * rejected questions first, then the least-covered sections
+   * @param {Array<Object>} sections - Content sections
+   * @param {Object} report - Validation report
+   * @returns {Array<Object>} Sections paired with their question count
+   */
+  planRepair(sections, report) {
+    const counts = new Map();
+    const add = (index) => counts.set(index, (counts.get(index) || 0) + 1);
+
+    const rejectedSections = report.rejected
+      .map(entry => entry.question?.sectionIndex)
+      .filter(index => sections[index]);
+
+    const covered = sections.map(() => 0);
+    report.questions.forEach(question => {
+      if (sections[question.sectionIndex]) covered[question.sectionIndex]++;
+    });
+
+    for (let i = 0; i < report.missing; i++) {
+      let index = rejectedSections[i];
+      if (index === undefined) {
+        index = covered.indexOf(Math.min(...covered));
+      }
+      covered[index]++;
+      add(index);
+    }
+
+    return [...counts.entries()].map(([index, count]) => ({ section: sections[index], count }));
+  }
+
+  /**
+   * Decide how many questions each section contributes. Every section gets at
+   * least one question when there are enough to go around; the rest are shared
+   * out in proportion to section length. With fewer questions than sections,
+   * evenly spaced sections are picked.
+   * @param {Array<Object>} sections - Content sections
+   * @param {number} numberOfQuestions - Total questions requested
+   * @returns {Array<Object>} Sections paired with their question count
+   */
+  planDistribution(sections, numberOfQuestions) {
+    if (numberOfQuestions < sections.length) {
+      const picked = new Set();
+      for (let i = 0; i < numberOfQuestions; i++) {
+        picked.add(Math.floor(((i + 0.5) * sections.length) / numberOfQuestions));
+      }
+      return [...picked].map(index => ({ section: sections[index], count: 1 }));
+    }
+
+    const totalLength = sections.reduce((sum, section) => sum + section.content.length, 0) || 1;
+    const remaining = numberOfQuestions - sections.length;
+    const shares = sections.map(section => {
+      const exact = (remaining * section.content.length) / totalLength;
+      return { section, count: 1 + Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+
+    // Largest-remainder rounding so counts add up to exactly numberOfQuestions
+    let leftover = numberOfQuestions - shares.reduce((sum, share) => sum + share.count, 0);
+    [...shares]
+      .sort((a, b) => b.remainder - a.remainder || a.section.index - b.section.index)
+      .forEach(share => {
+        if (leftover > 0) {
+          share.count++;
+          leftover--;
+        }
+      });
+
+    return shares.map(({ section, count }) => ({ section, count }));
+  }
+
+  /**
+   * Requested question counts per difficulty, type and (optionally) Bloom
+   * level. Each may be given as a single value, a list shared evenly, or
+   * weights or counts per value.
+   * @param {Object} options - Quiz generation options
+   * @returns {Object} { difficulty, type, bloomLevel } counts; bloomLevel is null when not targeted
+   */
+  buildBlueprint(options) {
+    const { numberOfQuestions, difficulty, questionTypes, bloomLevels } = options;
+    const weights = (value) => {
+      if (typeof value === 'string') return { [value]: 1 };
+      if (Array.isArray(value)) return value.reduce((acc, key) => ({ ...acc, [key]: (acc[key] || 0) + 1 }), {});
+      return value;
+    };
+
+    return {
+      difficulty: allocate(weights(difficulty), numberOfQuestions),
+      type: allocate(weights(questionTypes), numberOfQuestions),
+      bloomLevel: bloomLevels ? allocate(weights(bloomLevels), numberOfQuestions) : null
+    };
+  }
+
+  /**
+   * Plan the type, difficulty and Bloom level of the next questions so the
+   * quiz ends up as close to the blueprint as possible. Questions already
+   * accepted count towards the targets, so repair requests fill what is missing.
+   * @param {Object} blueprint - Targets from buildBlueprint
+   * @param {number} count - Number of questions to plan
+   * @param {Array<Object>} existing - Questions already in the quiz
+   * @returns {Array<Object>} [{ type, difficulty, bloomLevel }]
+   */
+  planQuestions(blueprint, count, existing = []) {
+    const sequenceFor = (field, targets, pairedWith) => {
+      const achieved = tally(existing, field);
+      const remaining = Object.fromEntries(Object.entries(targets)
+        .map(([key, target]) => [key, Math.max(target - (achieved[key] || 0), 0)]));
+      const weights = Object.values(remaining).some(value => value > 0) ? remaining : targets;
+
+      // Prefer values not yet paired with this slot's type, so e.g. the easy questions are not all true/false
+      return interleave(allocate(weights, count), (key, index, sequence) => (pairedWith
+        ? sequence.filter((value, i) => value === key && pairedWith[i] === pairedWith[index]).length
+        : 0));
+    };
+
+    const types = sequenceFor('type', blueprint.type);
+    const difficulties = sequenceFor('difficulty', blueprint.difficulty, types);
+    const bloomLevels = blueprint.bloomLevel ? sequenceFor('bloomLevel', blueprint.bloomLevel, types) : [];
+
+    return types.map((type, index) => ({
+      type,
+      difficulty: difficulties[index],
+      ...(bloomLevels[index] && { bloomLevel: bloomLevels[index] })
+    }));
+  }
+
+  /**
+   * Requested against achieved question counts for each targeted dimension
+   * @param {Object} blueprint - Targets from buildBlueprint
+   * @param {Array<Object>} questions - Final questions
+   * @returns {Object} { difficulty, questionTypes, bloomLevels }, each { requested, achieved, met }
+   */
+  buildDistribution(blueprint, questions) {
+    const compare = (targets, field) => {
+      const achieved = tally(questions, field, targets ? Object.keys(targets) : []);
+      return {
+        requested: targets,
+        achieved,
+        met: targets ? Object.keys(achieved).every(key => achieved[key] === (targets[key] || 0)) : null
+      };
+    };
+
+    return {
+      difficulty: compare(blueprint.difficulty, 'difficulty'),
+      questionTypes: compare(blueprint.type, 'type'),
+      bloomLevels: compare(blueprint.bloomLevel, 'bloomLevel')
+    };
+  }
+
+  // Name of the only value with questions, or "mixed"
+  describeMix(counts) {
+    const used = Object.keys(counts).filter(key => counts[key] > 0);
+    return used.length === 1 ? used[0] : 'mixed';
+  }
+
+  /**
+   * Generate questions for a single content section
+   * @param {Object} options - Quiz generation options
+   * @param {Object} section - Content section
+   * @param {number} count - Number of questions to generate for this section
+   * @param {number} totalSections - Number of sections in the document
+   * @param {Object} handlers - Optional onQuestion callback (streams the completion) and abort signal
+   * @returns {Promise<Object>} Section quiz, section and model used
+   */
+  async generateSectionQuiz(options, section, count, totalSections, handlers = {}) {
+    const { onQuestion, signal } = handlers;
+    const sectionOptions = {
+      ...options,
+      content: section.content,
+      numberOfQuestions: count
+    };
+    const parser = onQuestion ? new QuestionStreamParser() : null;
+
+    const response = await this.llm.complete('generateQuiz', {
+      messages: [
+        { role: 'system', content: this.buildSystemPrompt(options.prompt) },
+        { role: 'user', content: this.buildUserPrompt({ ...sectionOptions, section, totalSections }) }
+      ],
+      json: true,
+      context: sectionOptions,
+      signal,
+      onToken: parser && (delta => parser.push(delta).forEach(onQuestion))
+    });
+
+    const result = JSON.parse(response.content);
+
+    return {
+      section,
+      quiz: result,
+      model: response.model
+    };
+  }
+
+  /**
+   * Merge per-section quizzes in document order, tagging each question with its section
+   * @param {Array<Object>} results - Section quiz results
+   * @returns {Object} Merged quiz
+   */
+  mergeSectionQuizzes(results) {
+    const questions = [];
+
+    results.forEach(({ section, quiz }) => {
+      (Array.isArray(quiz.questions) ? quiz.questions : []).forEach(question => {
+        questions.push(question && typeof question === 'object'
+          ? { ...question, sectionIndex: section.index }
+          : question);
+      });
+    });
+
+    const [first] = results;
+
+    return {
+      title: first?.quiz.title || 'Generated Quiz',
+      description: results.length > 1
+        ? `Covers ${results.map(result => result.section.title).join(', ')}`
+        : first?.quiz.description || '',
+      questions
+    };
+  }
+
+  /**
+   * Summarise which sections the quiz covers and how questions are spread
+   * @param {Array<Object>} sections - Content sections
+   * @param {Array<Object>} questions - Merged questions
+   * @returns {Object} Coverage metadata
+   */
+  buildCoverage(sections, questions) {
+    const counts = sections.map(() => 0);
+    questions.forEach(question => {
+      counts[question.sectionIndex]++;
+    });
+
+    return {
+      totalSections: sections.length,
+      coveredSections: counts.filter(count => count > 0).length,
+      sections: sections.map((section, index) => ({
+        index: section.index,
+        title: section.title,
+        startOffset: section.startOffset,
+        endOffset: section.endOffset,
+        characters: section.content.length,
+        questionCount: counts[index]
+      }))
+    };
+  }
+
+  /**
+   * Analyze content to extract available topics. Long content is analyzed
+   * section by section and the results are merged.
+   * @param {string} content - Educational content
+   * @param {Object} options - Analysis options
+   * @param {string} options.language - Language code for topic names; the content's language when omitted
+   * @param {boolean} options.bypassCache - Ignore a cached analysis and refresh it
+   * @returns {Promise<Object>} Extracted topics
+   */
+  async analyzeTopics(content, options = {}) {
+    const sections = contentChunker.split(content, { maxChars: MAX_TOPIC_SECTION_CHARS });
+
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o',
-        messages: [
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.5,
-        max_tokens: 1500,
-        response_format: { type: 'json_object' }
+      const { value, cache } = await llmCache.wrap('analyzeTopics', {
+        content,
+        options: { language: options.language, model: this.llm.getSettings('analyzeTopics').model },
+        bypass: options.bypassCache
+      }, async () => {
+        const results = await mapWithConcurrency(sections, MAX_CONCURRENT_SECTIONS, section =>
+          this.analyzeSectionTopics(section.content, options)
+        );
+
+        if (results.length === 1) {
+          return results[0];
+        }
+
+        return {
+          ...this.mergeTopicAnalyses(results),
+          sections: sections.map((section, index) => ({
+            index: section.index,
+            title: section.title,
+            topics: results[index].topics || []
+          }))
+        };
       });
 
-      return JSON.parse(response.choices[0].message.content);
+      return { ...value, cache };
     } catch (error) {
       console.error('Topic analysis error:', error);
       throw new Error(`Failed to analyze topics: ${error.message}`);
@@ -98,57 +994,123 @@ Return valid JSON only.`;
   }
 
   /**
-   * Get detailed explanation for a question (AI Help feature)
-   * @param {Object} questionData - Question details
-   * @returns {Promise<Object>} Detailed explanation
+   * Run topic analysis on a single section of content
+   * @param {string} content - Section content
+   * @param {Object} options - Analysis options (language)
+   * @returns {Promise<Object>} Topics, key concepts and suggested difficulty
    */
-  async getDetailedExplanation(questionData) {
-    const { question, correctAnswer, userAnswer, explanation, topic } = questionData;
+  async analyzeSectionTopics(content, options = {}) {
+    const prompt = `Analyze the following educational content and identify the main topics, concepts, and key areas covered. Return a JSON object with:
+- topics: array of main topic names
+- keyConcepts: array of important concepts/definitions
+- suggestedDifficulty: recommended difficulty level based on content complexity (easy, medium or hard, in English)
 
-    const prompt = `You are a friendly and patient tutor helping a student understand a concept they got wrong on a quiz.
+${this.buildLanguageInstruction(options.language, 'the content', 'Write the topic names and key concepts')}
 
-The student answered this question incorrectly and needs help understanding why the correct answer is right.
+Educational Content:
+${content.substring(0, MAX_TOPIC_SECTION_CHARS)}
 
-QUESTION: ${question}
+Return valid JSON only.`;
 
-CORRECT ANSWER: ${correctAnswer}
+    const response = await this.llm.complete('analyzeTopics', {
+      messages: [
+        { role: 'user', content: prompt }
+      ],
+      json: true,
+      context: { content }
+    });
 
-STUDENT'S ANSWER: ${userAnswer || '(No answer provided)'}
+    return JSON.parse(response.content);
+  }
 
-ORIGINAL EXPLANATION: ${explanation}
+  /**
+   * Combine per-section topic analyses, ranking topics by how many sections mention them
+   * @param {Array<Object>} results - Section analyses
+   * @returns {Object} Merged topics, key concepts and suggested difficulty
+   */
+  mergeTopicAnalyses(results) {
+    const rank = (lists) => {
+      const entries = new Map();
+      lists.forEach((list, sectionIndex) => {
+        (list || []).forEach(item => {
+          const key = String(item).toLowerCase().trim();
+          if (!entries.has(key)) entries.set(key, { item, count: 0, firstSeen: sectionIndex });
+          entries.get(key).count++;
+        });
+      });
+      return [...entries.values()]
+        .sort((a, b) => b.count - a.count || a.firstSeen - b.firstSeen)
+        .map(entry => entry.item);
+    };
 
-${topic ? `TOPIC: ${topic}` : ''}
+    const difficultyVotes = {};
+    results.forEach(result => {
+      const level = result.suggestedDifficulty;
+      if (level) difficultyVotes[level] = (difficultyVotes[level] || 0) + 1;
+    });
+    const suggestedDifficulty = Object.keys(difficultyVotes)
+      .sort((a, b) => difficultyVotes[b] - difficultyVotes[a])[0] || 'medium';
 
-Please provide a detailed, easy-to-understand explanation that:
-1. Starts with a friendly, encouraging tone
-2. Explains the concept in simple terms, as if teaching a beginner
-3. Uses real-world analogies or examples to make it relatable
-4. Breaks down WHY the correct answer is right step by step
-5. If the student gave a wrong answer, gently explains why that answer is incorrect
-6. Provides a memory tip or trick to remember this concept
-7. Ends with a brief summary
+    return {
+      topics: rank(results.map(result => result.topics)),
+      keyConcepts: rank(results.map(result => result.keyConcepts)),
+      suggestedDifficulty
+    };
+  }
 
-Use clear paragraphs and make it conversational. Don't use complex jargon.`;
+  /**
+   * Get detailed explanation for a question (AI Help feature)
+   * @param {Object} questionData - Question details (bypassCache skips a cached explanation; prompt is
+   * a promptLibrary selection with the persona, the default one when omitted)
+   * @param {Object} handlers - Optional onToken callback (streams the reply) and abort signal
+   * @returns {Promise<Object>} Detailed explanation
+   */
+  async getDetailedExplanation(questionData, handlers = {}) {
+    const { onToken, signal } = handlers;
+    const { question, correctAnswer, userAnswer, explanation, topic, language, bypassCache } = questionData;
+
+    const prompt = promptLibrary.resolve('explanation', questionData.prompt);
+
+    const message = promptLibrary.render(prompt, 'user', {
+      question,
+      correctAnswer,
+      userAnswer: userAnswer || null,
+      explanation: explanation || null,
+      topic: topic || null,
+      languageInstruction: this.buildLanguageInstruction(language, 'the question', 'Write your explanation')
+    });
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o',
-        messages: [
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 1500
+      // The question and both answers are the cached "content"; the student's answer changes the reply
+      const { value: detailedExplanation, cache } = await llmCache.wrap('explain', {
+        content: [question, correctAnswer, userAnswer, explanation, topic].join('\n'),
+        options: { language, model: this.llm.getSettings('explain').model, prompt },
+        bypass: bypassCache
+      }, async () => {
+        const response = await this.llm.complete('explain', {
+          messages: [
+            { role: 'user', content: message }
+          ],
+          context: questionData,
+          onToken,
+          signal
+        });
+        return response.content;
       });
 
-      const detailedExplanation = response.choices[0].message.content;
+      if (cache.hit && onToken) {
+        onToken(detailedExplanation);
+      }
       
-      console.log(`✅ AI Help generated for topic: ${topic || 'general'}`);
+      console.log(`✅ AI Help ${cache.hit ? 'served from cache' : 'generated'} for topic: ${topic || 'general'}`);
 
       return {
         detailedExplanation,
         question,
         correctAnswer,
-        topic
+        topic,
+        prompt,
+        cache
       };
     } catch (error) {
       console.error('AI Help error:', error);
@@ -157,41 +1119,39 @@ Use clear paragraphs and make it conversational. Don't use complex jargon.`;
   }
 
   /**
-   * Chat with AI tutor for follow-up questions
-   * @param {Object} options - Chat options
+   * Chat with AI tutor for follow-up questions. Only the most recent turns of
+   * chatHistory that fit the history token budget are sent; a summary of
+   * earlier turns can be passed instead of them.
+   * @param {Object} options - Chat options (prompt is a promptLibrary selection with the persona)
+   * @param {Object} handlers - Optional onToken callback (streams the reply) and abort signal
    * @returns {Promise<Object>} AI response
    */
-  async chatWithTutor(options) {
-    const { question, correctAnswer, chatHistory, userMessage, topic } = options;
-
-    const systemPrompt = `You are a friendly, patient AI tutor helping a student understand a quiz question they got wrong or are confused about.
+  async chatWithTutor(options, handlers = {}) {
+    const { onToken, signal } = handlers;
+    const { question, correctAnswer, userAnswer, explanation, chatHistory, summary, userMessage, topic, language } = options;
 
-QUESTION CONTEXT:
-- Question: ${question}
-- Correct Answer: ${correctAnswer}
-- Topic: ${topic || 'General'}
+    const prompt = promptLibrary.resolve('tutor-chat', options.prompt);
 
-GUIDELINES:
-1. Be encouraging and supportive - never make the student feel bad
-2. Explain concepts in simple terms
-3. Use analogies and real-world examples
-4. If they ask for more examples, provide different ones
-5. If they're still confused, try a completely different approach
-6. Keep responses conversational but educational
-7. Use emojis occasionally to be friendly 😊
-8. If they understand, congratulate them!
-9. Answer any follow-up questions they have about this topic
-
-Remember: Your goal is to help them truly understand, not just memorize.`;
+    const systemPrompt = promptLibrary.render(prompt, 'system', {
+      question,
+      correctAnswer,
+      topic: topic || null,
+      userAnswer: userAnswer || null,
+      explanation: explanation || null,
+      summary: summary || null,
+      languageInstruction: this.buildLanguageInstruction(language, "the student's latest message", 'Reply')
+    });
 
     // Build messages array with chat history
     const messages = [
       { role: 'system', content: systemPrompt }
     ];
 
-    // Add chat history
-    if (chatHistory && chatHistory.length > 0) {
-      chatHistory.forEach(msg => {
+    // Add as much recent chat history as the budget allows
+    const budget = CHAT_HISTORY_TOKEN_BUDGET - estimateTokens(userMessage) - estimateTokens(summary);
+    const { recent } = this.fitChatHistory(chatHistory || [], budget);
+    if (recent.length > 0) {
+      recent.forEach(msg => {
         messages.push({
           role: msg.role,
           content: msg.content
@@ -203,15 +1163,16 @@ Remember: Your goal is to help them truly understand, not just memorize.`;
     messages.push({ role: 'user', content: userMessage });
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o',
+      const response = await this.llm.complete('chat', {
         messages,
-        temperature: 0.8,
-        max_tokens: 1000
+        context: options,
+        onToken,
+        signal
       });
 
       return {
-        message: response.choices[0].message.content
+        message: response.content,
+        prompt
       };
     } catch (error) {
       console.error('Chat error:', error);
@@ -219,99 +1180,182 @@ Remember: Your goal is to help them truly understand, not just memorize.`;
     }
   }
 
+  /**
+   * Split a conversation into the newest messages that fit a token budget and
+   * the older ones that do not
+   * @param {Array<Object>} messages - Messages, oldest first
+   * @param {number} budget - Token budget
+   * @returns {Object} { recent, older }
+   */
+  fitChatHistory(messages, budget) {
+    let used = 0;
+    let start = messages.length;
+    while (start > 0 && used + estimateTokens(messages[start - 1].content) <= budget) {
+      start--;
+      used += estimateTokens(messages[start].content);
+    }
+    return { recent: messages.slice(start), older: messages.slice(0, start) };
+  }
+
+  /**
+   * Keep a stored tutor conversation within the history token budget. Once it
+   * no longer fits, the older turns are folded into the running summary and
+   * only the newest half of the budget is kept verbatim, so the next few turns
+   * do not need another summary. If summarizing fails the older turns are dropped.
+   * @param {Object} session - Chat session: question context, messages, summary and summarizedMessages
+   * @param {string} userMessage - The student's new message
+   * @param {Object} handlers - Optional abort signal
+   * @returns {Promise<Object>} { chatHistory, summary, summarizedMessages }
+   */
+  async compactChatHistory(session, userMessage, handlers = {}) {
+    const { signal } = handlers;
+    const { messages, summary, summarizedMessages } = session;
+    const pending = messages.slice(summarizedMessages);
+    const budget = CHAT_HISTORY_TOKEN_BUDGET - estimateTokens(userMessage) - estimateTokens(summary);
+
+    if (pending.reduce((sum, message) => sum + estimateTokens(message.content), 0) <= budget) {
+      return { chatHistory: pending, summary, summarizedMessages };
+    }
+
+    const { recent, older } = this.fitChatHistory(pending, Math.floor(budget / 2));
+    let nextSummary = summary;
+    try {
+      nextSummary = await this.summarizeChat(older, { ...session.question, summary, language: session.language }, { signal });
+      console.log(`🗜️ Summarized ${older.length} older messages of chat ${session.id}`);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn(`⚠️ Chat summary failed, dropping ${older.length} older messages: ${error.message}`);
+    }
+
+    return {
+      chatHistory: recent,
+      summary: nextSummary,
+      summarizedMessages: summarizedMessages + older.length
+    };
+  }
+
+  /**
+   * Summarize tutoring turns, extending the summary of the turns before them
+   * @param {Array<Object>} messages - Messages to summarize, oldest first
+   * @param {Object} options - Question context, previous summary and language
+   * @param {Object} handlers - Optional abort signal
+   * @returns {Promise<string>} Summary of the conversation so far
+   */
+  async summarizeChat(messages, options, handlers = {}) {
+    const { signal } = handlers;
+    const { question, correctAnswer, summary, language } = options;
+
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'Student' : 'Tutor'}: ${message.content}`)
+      .join('\n\n');
+
+    const prompt = `Summarize this part of a tutoring conversation about a quiz question so the tutor can continue it without the full transcript.
+
+QUESTION: ${question}
+CORRECT ANSWER: ${correctAnswer}
+${summary ? `
+SUMMARY OF THE CONVERSATION BEFORE THIS PART:
+${summary}
+` : ''}
+CONVERSATION:
+${transcript}
+
+Write one short paragraph (at most 150 words) covering the whole conversation so far: what the student asked or misunderstood, what was explained, the examples already used, and what the student now understands. Reply with the summary only.
+
+${this.buildLanguageInstruction(language, 'the conversation', 'Write the summary')}`;
+
+    const response = await this.llm.complete('summarizeChat', {
+      messages: [
+        { role: 'user', content: prompt }
+      ],
+      context: { messages, summary },
+      signal
+    });
+
+    return response.content.trim();
+  }
+
   /**
    * Build system prompt for quiz generation
+   * @param {Object} prompt - promptLibrary selection
    * @returns {string} System prompt
    */
-  buildSystemPrompt() {
-    return `You are an expert educational quiz generator. Your task is to create high-quality, pedagogically sound quiz questions from educational content.
-
-Guidelines:
-1. Each question must be clear, unambiguous, and directly related to the content
-2. Questions should test understanding, not just memorization
-3. For multiple-choice questions, create 4 plausible options with exactly one correct answer
-4. Distractors (wrong options) should be plausible but clearly incorrect
-5. Provide concise but thorough explanations for correct answers
-6. Vary question difficulty according to the specified level
-7. Cover diverse concepts from the content
-8. Ensure questions are grammatically correct and professionally written
-
-Output Format - Return a valid JSON object with this structure:
-{
-  "title": "Quiz title based on content",
-  "description": "Brief description of what this quiz covers",
-  "questions": [
-    {
-      "id": 1,
-      "type": "multiple-choice|true-false|fill-in-blank",
-      "difficulty": "easy|medium|hard",
-      "topic": "Specific topic this question covers",
-      "question": "The question text",
-      "options": ["Option A", "Option B", "Option C", "Option D"], // For MCQ
-      "correctAnswer": "The correct answer or option letter",
-      "explanation": "Clear explanation of why this answer is correct"
+  buildSystemPrompt(prompt) {
+    return promptLibrary.render(prompt, 'system', {});
+  }
+
+  /**
+   * Tell the model which language to write in
+   * @param {string} language - Target language code or name; match the source when omitted
+   * @param {string} source - What to match when no language is given, e.g. "the content"
+   * @param {string} subject - What is being written, e.g. "Write your explanation"
+   * @returns {string} Instruction sentence
+   */
+  buildLanguageInstruction(language, source, subject) {
+    const target = findLanguage(language);
+    if (!target) {
+      return `${subject} in the same language as ${source}.`;
     }
-  ]
-}`;
+    return `${subject} in ${target.name} (${target.nativeName}), even if ${source} is in another language.`;
   }
 
   /**
    * Build user prompt for quiz generation
-   * @param {Object} options - Generation options
+   * @param {Object} options - Generation options (section/totalSections when chunked) with
+   * the questionPlan giving each question's type, difficulty and optional Bloom level, and
+   * the prompt selection whose user template is filled in
    * @returns {string} User prompt
    */
   buildUserPrompt(options) {
     const {
       content,
       numberOfQuestions,
-      difficulty,
-      questionTypes,
+      questionPlan,
       specificTopics,
-      prioritizeImportant
+      prioritizeImportant,
+      section,
+      totalSections = 1,
+      existingQuestions = [],
+      bankQuestions = [],
+      bankMode = 'avoid',
+      language,
+      replacedQuestions = [],
+      instructions
     } = options;
 
-    let prompt = `Generate a quiz with exactly ${numberOfQuestions} questions from the following educational content.
-
-REQUIREMENTS:
-- Difficulty Level: ${difficulty.toUpperCase()}
-- Question Types: ${questionTypes.join(', ')}
-${specificTopics.length > 0 ? `- Focus on these topics: ${specificTopics.join(', ')}` : '- Cover all major topics from the content'}
-${prioritizeImportant ? '- Prioritize frequently mentioned and high-importance concepts' : ''}
-
-DIFFICULTY GUIDELINES:
-- Easy: Basic recall, definitions, simple facts
-- Medium: Application of concepts, understanding relationships
-- Hard: Analysis, synthesis, complex problem-solving
+    const describe = (field) => Object.entries(tally(questionPlan, field))
+      .map(([value, count]) => `${count} ${value}`)
+      .join(', ');
+    const questionTypes = [...new Set(questionPlan.map(slot => slot.type))];
+    const targetsBloom = questionPlan.some(slot => slot.bloomLevel);
+    const listQuestions = (questions) => questions.map(question => `- ${question}`).join('\n');
 
-QUESTION TYPE SPECIFICATIONS:
-`;
-
-    if (questionTypes.includes('multiple-choice')) {
-      prompt += `- Multiple Choice: 4 options (A, B, C, D), one correct answer
-`;
-    }
-    if (questionTypes.includes('true-false')) {
-      prompt += `- True/False: Statement that is clearly true or false
-`;
-    }
-    if (questionTypes.includes('fill-in-blank')) {
-      prompt += `- Fill in the Blank: Sentence with key term removed, indicated by _____
-`;
-    }
-    if (questionTypes.includes('topic-specific')) {
-      prompt += `- Topic-Specific: Deep questions on specific topics mentioned
-`;
-    }
-
-    prompt += `
-EDUCATIONAL CONTENT:
----
-${content.substring(0, 12000)}
----
-
-Generate the quiz now. Ensure all ${numberOfQuestions} questions are unique and well-distributed across the content. Return valid JSON only.`;
-
-    return prompt;
+    return promptLibrary.render(options.prompt, 'user', {
+      numberOfQuestions,
+      section: totalSections > 1 ? { number: section.index + 1, total: totalSections, title: section.title } : null,
+      mix: {
+        difficulty: describe('difficulty'),
+        type: describe('type'),
+        bloomLevel: targetsBloom ? describe('bloomLevel') : ''
+      },
+      specificTopics,
+      prioritizeImportant: Boolean(prioritizeImportant),
+      languageInstruction: this.buildLanguageInstruction(language, 'the educational content', 'Write the title, description, questions, options, answers and explanations'),
+      types: Object.fromEntries(questionTypes.map(type => [type, true])),
+      questionPlan: questionPlan
+        .map((slot, index) => `${index + 1}. ${[slot.type, slot.difficulty, slot.bloomLevel].filter(Boolean).join(', ')}`)
+        .join('\n'),
+      bankQuestions: bankQuestions.length > 0 && bankMode !== 'style'
+        ? listQuestions(bankQuestions.slice(0, MAX_BANK_QUESTIONS_IN_PROMPT).map(question => question.question.substring(0, 200)))
+        : '',
+      styleExamples: bankQuestions.length > 0 && bankMode !== 'avoid'
+        ? JSON.stringify(this.selectStyleExamples(bankQuestions, questionTypes), null, 2)
+        : '',
+      existingQuestions: listQuestions(existingQuestions),
+      replacedQuestions: listQuestions(replacedQuestions.map(question => question.question)),
+      instructions: instructions || '',
+      content: content.substring(0, MAX_QUIZ_SECTION_CHARS)
+    });
   }
 }
 
@@ -0,0 +1,358 @@
+const quizValidator = require('./quizValidator');
+const { CSV_COLUMNS, LIST_SEPARATOR } = require('./quizExporter');
+
+const IMPORT_FORMATS = ['gift', 'aiken', 'csv'];
+const ESCAPED = '\u0000';
+
+class QuizImporter {
+  /**
+   * Parse a question bank into the quiz question schema
+   * @param {string} text - Question bank contents
+   * @param {string} format - gift, aiken, csv or auto
+   * @returns {Object} Valid questions, detected format and per-question issues
+   */
+  import(text, format = 'auto') {
+    const source = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const detected = format === 'auto' ? this.detectFormat(source) : format;
+
+    let parsed;
+    switch (detected) {
+      case 'gift':
+        parsed = this.parseGIFT(source);
+        break;
+      case 'aiken':
+        parsed = this.parseAiken(source);
+        break;
+      case 'csv':
+        parsed = this.parseCSV(source);
+        break;
+      default:
+        throw new Error(`Unsupported import format: ${format}`);
+    }
+
+    const report = quizValidator.validate({ questions: parsed.questions });
+
+    return {
+      format: detected,
+      questions: report.questions,
+      issues: [
+        ...parsed.issues,
+        ...report.rejected.flatMap(entry => entry.issues)
+      ]
+    };
+  }
+
+  /**
+   * Guess the format from the content
+   * @param {string} text - Question bank contents
+   * @returns {string} Detected format
+   */
+  detectFormat(text) {
+    const firstLine = text.trim().split('\n')[0].toLowerCase();
+    if (/^ANSWER:\s*[A-Z]\s*$/m.test(text)) return 'aiken';
+    if (firstLine.includes(',') && firstLine.includes('question')) return 'csv';
+    if (/\{[\s\S]*\}/.test(text)) return 'gift';
+    throw new Error('Could not detect question bank format; specify gift, aiken or csv');
+  }
+
+  /**
+   * Moodle GIFT. Supports multiple choice, true/false and short-answer/missing-word
+   * questions (imported as fill-in-blank). $CATEGORY lines set the topic.
+   * @param {string} text - GIFT source
+   * @returns {Object} Parsed questions and issues
+   */
+  parseGIFT(text) {
+    const questions = [];
+    const issues = [];
+    let category = null;
+
+    // Protect escaped characters so the structural characters can be split on safely
+    const escapes = [];
+    const protectedText = text.replace(/\\([~=#{}:\\n])/g, (match, char) => {
+      escapes.push(char === 'n' ? '\n' : char);
+      return `${ESCAPED}${escapes.length - 1}${ESCAPED}`;
+    });
+    const restore = (value) => value
+      .replace(new RegExp(`${ESCAPED}(\\d+)${ESCAPED}`, 'g'), (match, index) => escapes[index])
+      .trim();
+
+    const blocks = protectedText
+      .split('\n')
+      .filter(line => !line.trim().startsWith('//'))
+      .join('\n')
+      .split(/\n\s*\n/)
+      .map(block => block.trim())
+      .filter(Boolean);
+
+    blocks.forEach(block => {
+      const categoryMatch = block.match(/^\$CATEGORY:\s*(.+)$/m);
+      if (categoryMatch) {
+        category = restore(categoryMatch[1]).split('/').pop().trim() || null;
+        block = block.replace(/^\$CATEGORY:.*$/m, '').trim();
+        if (!block) return;
+      }
+
+      const id = questions.length + 1;
+      const match = block.match(/^(?:::([\s\S]*?)::)?\s*(?:\[\w+\])?([\s\S]*?)\{([\s\S]*)\}([\s\S]*)$/);
+      if (!match) {
+        issues.push({ questionId: id, message: 'GIFT block has no answer section' });
+        return;
+      }
+
+      const [, title = '', before, answerBlock, after] = match;
+      const titleTopic = restore(title).match(/^Q\d+\s+(.+)$/);
+      const base = {
+        id,
+        topic: titleTopic ? titleTopic[1] : category || 'General'
+      };
+
+      const generalFeedbackIndex = answerBlock.indexOf('####');
+      const answers = generalFeedbackIndex >= 0 ? answerBlock.slice(0, generalFeedbackIndex) : answerBlock;
+      const explanation = generalFeedbackIndex >= 0 ? restore(answerBlock.slice(generalFeedbackIndex + 4)) : '';
+      const questionText = restore(before);
+      const trailingText = restore(after);
+      const trimmedAnswers = answers.trim();
+
+      // True/false: {T}, {TRUE}, {F}, {FALSE}, optionally followed by #feedback
+      const booleanMatch = trimmedAnswers.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/i);
+      if (booleanMatch) {
+        questions.push({
+          ...base,
+          type: 'true-false',
+          question: [questionText, trailingText].filter(Boolean).join(' '),
+          correctAnswer: booleanMatch[1].toUpperCase().startsWith('T'),
+          explanation
+        });
+        return;
+      }
+
+      if (/->/.test(trimmedAnswers) || trimmedAnswers.startsWith('#')) {
+        issues.push({ questionId: id, message: 'Matching and numerical GIFT questions are not supported' });
+        return;
+      }
+
+      const entries = [...trimmedAnswers.matchAll(/([=~])([^=~]*)/g)].map(([, marker, body]) => {
+        const [answer, feedback = ''] = body.split('#');
+        const weight = answer.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+        return {
+          correct: marker === '=' || (weight && parseFloat(weight[1]) > 0),
+          text: restore(answer.replace(/^\s*%-?\d+(?:\.\d+)?%/, '')),
+          feedback: restore(feedback)
+        };
+      });
+
+      if (entries.length === 0) {
+        issues.push({ questionId: id, message: 'GIFT question has no answers' });
+        return;
+      }
+
+      if (entries.some(entry => !entry.correct)) {
+        const correct = entries.find(entry => entry.correct);
+        questions.push({
+          ...base,
+          type: 'multiple-choice',
+          question: [questionText, trailingText].filter(Boolean).join(' '),
+          options: entries.map(entry => entry.text),
+          correctAnswer: correct ? correct.text : null,
+          explanation: explanation || (correct && correct.feedback) || ''
+        });
+        return;
+      }
+
+      // Only correct answers: short answer, or missing word when text follows the braces
+      questions.push({
+        ...base,
+        type: 'fill-in-blank',
+        question: `${questionText} _____ ${trailingText}`.replace(/\s+/g, ' ').trim(),
+        correctAnswer: entries[0].text,
+        acceptedAnswers: entries.slice(1).map(entry => entry.text),
+        explanation: explanation || entries[0].feedback
+      });
+    });
+
+    return { questions, issues };
+  }
+
+  /**
+   * Aiken multiple choice. Questions whose options are exactly True/False are
+   * imported as true/false.
+   * @param {string} text - Aiken source
+   * @returns {Object} Parsed questions and issues
+   */
+  parseAiken(text) {
+    const questions = [];
+    const issues = [];
+
+    text.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean).forEach(block => {
+      const id = questions.length + 1;
+      const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+      const questionLines = [];
+      const options = [];
+      let answerLetter = null;
+
+      lines.forEach(line => {
+        const option = line.match(/^([A-Z])[.)]\s+(.*)$/);
+        const answer = line.match(/^ANSWER:\s*([A-Z])\s*$/i);
+        if (answer) {
+          answerLetter = answer[1].toUpperCase();
+        } else if (option && !answerLetter) {
+          options.push(option[2]);
+        } else if (options.length === 0) {
+          questionLines.push(line);
+        }
+      });
+
+      if (!answerLetter || options.length < 2) {
+        issues.push({ questionId: id, message: 'Aiken question needs options and an ANSWER line' });
+        return;
+      }
+
+      const correctAnswer = options[answerLetter.charCodeAt(0) - 65];
+      const isTrueFalse = options.length === 2 &&
+        options[0].toLowerCase() === 'true' && options[1].toLowerCase() === 'false';
+
+      questions.push({
+        id,
+        type: isTrueFalse ? 'true-false' : 'multiple-choice',
+        topic: 'General',
+        question: questionLines.join(' '),
+        ...(isTrueFalse ? { correctAnswer: answerLetter === 'A' } : { options, correctAnswer }),
+        explanation: ''
+      });
+    });
+
+    return { questions, issues };
+  }
+
+  /**
+   * CSV using the export columns. option_a, option_b, ... columns and an
+   * "answer" column are accepted as alternatives.
+   * @param {string} text - CSV source
+   * @returns {Object} Parsed questions and issues
+   */
+  parseCSV(text) {
+    const rows = this.parseCSVRows(text);
+    const issues = [];
+
+    if (rows.length === 0) {
+      return { questions: [], issues: [{ questionId: null, message: 'CSV is empty' }] };
+    }
+
+    const header = rows[0].map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+    if (!header.includes('question')) {
+      return {
+        questions: [],
+        issues: [{ questionId: null, message: `CSV header must include: ${CSV_COLUMNS.join(', ')}` }]
+      };
+    }
+
+    const splitList = (value) => (value || '')
+      .split(LIST_SEPARATOR)
+      .map(item => item.trim())
+      .filter(Boolean);
+
+    const questions = rows.slice(1)
+      .filter(row => row.some(cell => cell.trim().length > 0))
+      .map((row, index) => {
+        const record = {};
+        header.forEach((name, column) => {
+          record[name] = row[column] ?? '';
+        });
+
+        const letterOptions = header
+          .filter(name => /^option_[a-z]$/.test(name))
+          .sort()
+          .map(name => record[name].trim())
+          .filter(Boolean);
+        const options = record.options ? splitList(record.options) : letterOptions;
+        let correctAnswer = record.correct_answer ?? record.answer;
+        const type = record.type || (options.length > 0 ? 'multiple-choice' : 'fill-in-blank');
+
+        // List answers are "|"-separated; answer keys are JSON
+        if (['multi-select', 'ordering'].includes(type)) {
+          correctAnswer = splitList(correctAnswer);
+        } else if (type === 'matching') {
+          correctAnswer = this.parseJSONCell(correctAnswer);
+        }
+
+        const question = {
+          id: index + 1,
+          type,
+          topic: record.topic || 'General',
+          question: record.question,
+          correctAnswer,
+          explanation: record.explanation || ''
+        };
+        if (record.difficulty) question.difficulty = record.difficulty;
+        if (options.length > 0) question.options = options;
+        if (record.accepted_answers) question.acceptedAnswers = splitList(record.accepted_answers);
+        if (record.prompts) question.prompts = splitList(record.prompts);
+        if (record.tolerance) question.tolerance = record.tolerance;
+        if (record.unit) question.unit = record.unit;
+        if (record.rubric) question.rubric = this.parseJSONCell(record.rubric);
+        if (record.bloom_level) question.bloomLevel = record.bloom_level;
+
+        return question;
+      });
+
+    return { questions, issues };
+  }
+
+  parseJSONCell(value) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      // Left as text so the validator reports the question instead of failing the import
+      return value;
+    }
+  }
+
+  /**
+   * Split RFC 4180 CSV into rows of cells
+   * @param {string} text - CSV source
+   * @returns {Array<string[]>} Rows
+   */
+  parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n') {
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell.length > 0 || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+}
+
+module.exports = new QuizImporter();
+module.exports.IMPORT_FORMATS = IMPORT_FORMATS;
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { JsonCollection } = require('./jsonStore');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class QuizStore {
+  constructor() {
+    this.collection = new JsonCollection('quizzes');
+  }
+
+  /**
+   * Hash source content so stored quizzes can be matched to their material
+   * @param {string} content - Source content
+   * @returns {string} SHA-256 hex digest
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content || '').digest('hex');
+  }
+
+  /**
+   * Persist a generated quiz with its metadata and source content
+   * @param {Object} generated - Result of quizGenerator.generateQuiz
+   * @param {string} content - Source content the quiz was generated from
+   * @returns {Promise<Object>} Stored quiz
+   */
+  async save(generated, content) {
+    const { quiz, metadata } = generated;
+
+    return this.collection.insert({
+      title: quiz.title,
+      description: quiz.description,
+      questions: quiz.questions,
+      metadata,
+      source: {
+        contentHash: this.hashContent(content),
+        contentLength: (content || '').length,
+        content
+      }
+    });
+  }
+
+  /**
+   * Get a stored quiz
+   * @param {string} id - Quiz id
+   * @param {Object} options - Read options
+   * @param {boolean} options.includeContent - Include the full source content
+   * @returns {Object|null} Stored quiz or null
+   */
+  get(id, options = {}) {
+    const quiz = this.collection.get(id);
+    if (!quiz) return null;
+    return options.includeContent ? quiz : this.withoutContent(quiz);
+  }
+
+  /**
+   * List stored quizzes, newest first
+   * @param {Object} options - Pagination and filters
+   * @returns {Object} Quiz summaries and pagination info
+   */
+  list(options = {}) {
+    const { topic, difficulty } = options;
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const topicQuery = topic ? String(topic).toLowerCase() : null;
+
+    const matches = this.collection
+      .find(quiz => {
+        if (difficulty && quiz.metadata?.difficulty !== difficulty) return false;
+        if (topicQuery && !this.getTopics(quiz).some(t => t.toLowerCase().includes(topicQuery))) return false;
+        return true;
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      items: matches.slice((page - 1) * limit, page * limit).map(quiz => this.summarize(quiz)),
+      pagination: {
+        page,
+        limit,
+        total: matches.length,
+        totalPages: Math.ceil(matches.length / limit)
+      }
+    };
+  }
+
+  /**
+   * Update editable fields of a stored quiz
+   * @param {string} id - Quiz id
+   * @param {Object} changes - title, description and/or questions
+   * @returns {Promise<Object|null>} Updated quiz or null if not found
+   */
+  async update(id, changes) {
+    const allowed = {};
+    ['title', 'description', 'questions'].forEach(field => {
+      if (changes[field] !== undefined) allowed[field] = changes[field];
+    });
+
+    const existing = this.collection.get(id);
+    if (!existing) return null;
+
+    if (allowed.questions) {
+      allowed.metadata = {
+        ...existing.metadata,
+        totalQuestions: allowed.questions.length,
+        editedAt: new Date().toISOString()
+      };
+    }
+
+    const updated = await this.collection.update(id, allowed);
+    return this.withoutContent(updated);
+  }
+
+  /**
+   * Delete a stored quiz
+   * @param {string} id - Quiz id
+   * @returns {Promise<boolean>} Whether the quiz existed
+   */
+  async remove(id) {
+    return this.collection.remove(id);
+  }
+
+  getTopics(quiz) {
+    return [...new Set((quiz.questions || []).map(question => question.topic).filter(Boolean))];
+  }
+
+  summarize(quiz) {
+    return {
+      id: quiz.id,
+      title: quiz.title,
+      description: quiz.description,
+      difficulty: quiz.metadata?.difficulty,
+      totalQuestions: (quiz.questions || []).length,
+      topics: this.getTopics(quiz),
+      createdAt: quiz.createdAt,
+      updatedAt: quiz.updatedAt
+    };
+  }
+
+  withoutContent(quiz) {
+    const { content, ...source } = quiz.source || {};
+    return { ...quiz, source };
+  }
+}
+
+module.exports = new QuizStore();
@@ -0,0 +1,626 @@
+const QUESTION_TYPES = [
+  'multiple-choice',
+  'true-false',
+  'fill-in-blank',
+  'topic-specific',
+  'multi-select',
+  'matching',
+  'ordering',
+  'numeric',
+  'short-answer'
+];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+// Revised Bloom's taxonomy, lowest to highest cognitive level
+const BLOOM_LEVELS = ['remember', 'understand', 'apply', 'analyze', 'evaluate', 'create'];
+const BLOOM_ALIASES = {
+  'remembering': 'remember',
+  'knowledge': 'remember',
+  'understanding': 'understand',
+  'comprehension': 'understand',
+  'applying': 'apply',
+  'application': 'apply',
+  'analyse': 'analyze',
+  'analyzing': 'analyze',
+  'analysing': 'analyze',
+  'analysis': 'analyze',
+  'evaluating': 'evaluate',
+  'evaluation': 'evaluate',
+  'creating': 'create',
+  'synthesis': 'create'
+};
+const BLANK = '_____';
+
+// Names models commonly use for the supported types
+const TYPE_ALIASES = {
+  'mcq': 'multiple-choice',
+  'multiple-select': 'multi-select',
+  'multiple-response': 'multi-select',
+  'multiple-answer': 'multi-select',
+  'match': 'matching',
+  'sequence': 'ordering',
+  'sequencing': 'ordering',
+  'numerical': 'numeric',
+  'number': 'numeric',
+  'short-text': 'short-answer',
+  'open-ended': 'short-answer',
+  'free-text': 'short-answer'
+};
+
+const NUMBER_PATTERN = /^\s*([-+]?(?:\d+(?:\.\d+)?|\.\d+)(?:e[-+]?\d+)?)\s*(.*?)\s*$/i;
+
+const TRUE_VALUES = ['true', 't', 'yes', 'correct'];
+const FALSE_VALUES = ['false', 'f', 'no', 'incorrect'];
+
+class QuizValidator {
+  /**
+   * Check every question against its per-type schema, repairing what can be
+   * fixed in place. Questions that cannot be repaired are returned separately.
+   * @param {Object} quiz - Quiz as returned by the model
+   * @param {Object} options - Expected shape
+   * @param {number} options.numberOfQuestions - Number of questions requested
+   * @param {string[]} options.avoidQuestions - Existing question texts that must not be repeated
+   * @param {boolean} options.keepDuplicates - Keep repeated questions, e.g. in a quiz a teacher has saved
+   * @returns {Object} Valid questions, rejected questions, repairs and shortfall
+   */
+  validate(quiz, options = {}) {
+    const { numberOfQuestions, avoidQuestions = [], keepDuplicates = false } = options;
+    const questions = [];
+    const rejected = [];
+    const repairs = [];
+    const seen = new Set();
+    const avoided = new Set(avoidQuestions.map(text => this.normalizeText(text)));
+
+    (Array.isArray(quiz?.questions) ? quiz.questions : []).forEach((raw, index) => {
+      const originalId = raw?.id ?? index + 1;
+      const { question, issues, fixes } = this.validateQuestion(raw);
+
+      fixes.forEach(message => repairs.push({ questionId: originalId, message }));
+
+      if (issues.length > 0) {
+        rejected.push({ question: raw, issues: issues.map(message => ({ questionId: originalId, message })) });
+        return;
+      }
+
+      const key = this.normalizeText(question.question);
+      if (avoided.has(key)) {
+        rejected.push({ question: raw, issues: [{ questionId: originalId, message: 'Repeats a question bank item' }] });
+        return;
+      }
+      if (seen.has(key) && !keepDuplicates) {
+        rejected.push({ question: raw, issues: [{ questionId: originalId, message: 'Duplicate question' }] });
+        return;
+      }
+      seen.add(key);
+      questions.push(question);
+    });
+
+    let extra = 0;
+    if (numberOfQuestions && questions.length > numberOfQuestions) {
+      extra = questions.length - numberOfQuestions;
+      questions.splice(numberOfQuestions);
+    }
+
+    if (questions.some((question, index) => question.id !== index + 1)) {
+      questions.forEach((question, index) => {
+        question.id = index + 1;
+      });
+      repairs.push({ questionId: null, message: 'Renumbered question ids' });
+    }
+
+    return {
+      questions,
+      rejected,
+      repairs,
+      extra,
+      missing: numberOfQuestions ? Math.max(numberOfQuestions - questions.length, 0) : 0
+    };
+  }
+
+  /**
+   * Validate and repair a single question
+   * @param {Object} raw - Question as returned by the model
+   * @returns {Object} Repaired question, blocking issues and applied fixes
+   */
+  validateQuestion(raw) {
+    const issues = [];
+    const fixes = [];
+
+    if (!raw || typeof raw !== 'object') {
+      return { question: raw, issues: ['Question is not an object'], fixes };
+    }
+
+    const question = { ...raw };
+
+    if (typeof question.question !== 'string' || question.question.trim().length === 0) {
+      issues.push('Missing question text');
+    } else {
+      question.question = question.question.trim();
+    }
+
+    if (typeof question.type === 'string') {
+      const type = question.type.toLowerCase().trim().replace(/[\s_/]+/g, '-');
+      const normalized = TYPE_ALIASES[type] || type;
+      if (normalized !== question.type) {
+        fixes.push(`Normalized type "${question.type}" to "${normalized}"`);
+        question.type = normalized;
+      }
+    }
+    if (!QUESTION_TYPES.includes(question.type)) {
+      issues.push(`Unknown question type: ${question.type}`);
+      return { question, issues, fixes };
+    }
+
+    if (question.difficulty !== undefined && !DIFFICULTIES.includes(question.difficulty)) {
+      const lower = String(question.difficulty).toLowerCase();
+      if (DIFFICULTIES.includes(lower)) {
+        question.difficulty = lower;
+        fixes.push(`Normalized difficulty to "${lower}"`);
+      } else {
+        issues.push(`Invalid difficulty: ${question.difficulty}`);
+      }
+    }
+
+    if (question.bloomLevel !== undefined && !BLOOM_LEVELS.includes(question.bloomLevel)) {
+      const lower = String(question.bloomLevel).toLowerCase().trim();
+      const level = BLOOM_LEVELS.includes(lower) ? lower : BLOOM_ALIASES[lower];
+      if (level) {
+        fixes.push(`Normalized Bloom level "${question.bloomLevel}" to "${level}"`);
+        question.bloomLevel = level;
+      } else {
+        fixes.push(`Removed unknown Bloom level "${question.bloomLevel}"`);
+        delete question.bloomLevel;
+      }
+    }
+
+    if (typeof question.topic !== 'string' || question.topic.trim().length === 0) {
+      question.topic = 'General';
+      fixes.push('Set missing topic to "General"');
+    }
+
+    if (typeof question.explanation !== 'string') {
+      question.explanation = '';
+      fixes.push('Set missing explanation to empty string');
+    }
+
+    if (issues.length === 0) {
+      const validator = this.typeValidators()[question.type];
+      validator.call(this, question, issues, fixes);
+    }
+
+    return { question, issues, fixes };
+  }
+
+  typeValidators() {
+    return {
+      'multiple-choice': this.validateMultipleChoice,
+      'topic-specific': this.validateMultipleChoice,
+      'true-false': this.validateTrueFalse,
+      'fill-in-blank': this.validateFillInBlank,
+      'multi-select': this.validateMultiSelect,
+      'matching': this.validateMatching,
+      'ordering': this.validateOrdering,
+      'numeric': this.validateNumeric,
+      'short-answer': this.validateShortAnswer
+    };
+  }
+
+  /**
+   * Trim the options of a choice question and check they are usable
+   * @param {Object} question - Question being repaired
+   * @param {string} label - Question kind used in messages, e.g. "Multiple-choice"
+   * @param {number} minimum - Fewest options allowed
+   * @param {string[]} issues - Blocking issues
+   * @param {string[]} fixes - Applied fixes
+   * @returns {boolean} Whether the options are valid
+   */
+  cleanOptions(question, label, minimum, issues, fixes) {
+    if (!Array.isArray(question.options)) {
+      issues.push(`${label} question has no options`);
+      return false;
+    }
+
+    const options = question.options
+      .map(option => String(option).trim())
+      .filter(option => option.length > 0);
+    const stripped = options.map(option => option.replace(/^\(?[A-Ha-h][).:]\s+/, ''));
+
+    // Drop "A) " style prefixes only when every option has one
+    if (stripped.every((option, index) => option !== options[index])) {
+      question.options = stripped;
+      fixes.push('Removed letter prefixes from options');
+    } else {
+      question.options = options;
+    }
+
+    if (question.options.length < minimum) {
+      issues.push(`${label} question needs at least ${minimum === 2 ? 'two' : minimum} options`);
+      return false;
+    }
+
+    if (new Set(question.options.map(option => option.toLowerCase())).size !== question.options.length) {
+      issues.push(`${label} options are not unique`);
+      return false;
+    }
+
+    return true;
+  }
+
+  validateMultipleChoice(question, issues, fixes) {
+    if (!this.cleanOptions(question, 'Multiple-choice', 2, issues, fixes)) return;
+
+    const answer = this.resolveOption(question.correctAnswer, question.options);
+    if (answer === null) {
+      issues.push(`Correct answer "${question.correctAnswer}" is not one of the options`);
+      return;
+    }
+    if (answer !== question.correctAnswer) {
+      fixes.push(`Normalized correct answer "${question.correctAnswer}" to "${answer}"`);
+      question.correctAnswer = answer;
+    }
+  }
+
+  validateTrueFalse(question, issues, fixes) {
+    let answer = question.correctAnswer;
+
+    if (typeof answer !== 'boolean') {
+      answer = this.parseBoolean(answer);
+      if (answer === null) {
+        issues.push(`True/false answer "${question.correctAnswer}" is not a boolean`);
+        return;
+      }
+      fixes.push(`Converted true/false answer "${question.correctAnswer}" to ${answer}`);
+      question.correctAnswer = answer;
+    }
+
+    question.options = ['True', 'False'];
+  }
+
+  validateFillInBlank(question, issues, fixes) {
+    if (typeof question.correctAnswer !== 'string' || question.correctAnswer.trim().length === 0) {
+      issues.push('Fill-in-blank question has no answer');
+      return;
+    }
+    question.correctAnswer = question.correctAnswer.trim();
+
+    if (question.acceptedAnswers !== undefined) {
+      const original = Array.isArray(question.acceptedAnswers) ? question.acceptedAnswers : [];
+      const accepted = original.filter(answer => typeof answer === 'string' && answer.trim().length > 0);
+      if (!Array.isArray(question.acceptedAnswers) || accepted.length !== original.length) {
+        fixes.push('Removed invalid entries from acceptedAnswers');
+      }
+      question.acceptedAnswers = accepted.map(answer => answer.trim());
+    }
+
+    if (!question.question.includes(BLANK) || /_{6,}/.test(question.question)) {
+      const answerPattern = new RegExp(`\\b${this.escapeRegExp(question.correctAnswer)}\\b`, 'i');
+
+      if (/_{3,}/.test(question.question)) {
+        question.question = question.question.replace(/_{3,}/g, BLANK);
+        fixes.push('Normalized blank marker to _____');
+      } else if (answerPattern.test(question.question)) {
+        question.question = question.question.replace(answerPattern, BLANK);
+        fixes.push('Replaced answer in question text with _____');
+      } else {
+        issues.push('Fill-in-blank question does not contain _____');
+        return;
+      }
+    }
+
+    delete question.options;
+  }
+
+  validateMultiSelect(question, issues, fixes) {
+    if (!this.cleanOptions(question, 'Multi-select', 3, issues, fixes)) return;
+
+    const selected = this.resolveOptionList(question.correctAnswer, question.options);
+    if (selected.length === 0 || selected.includes(null)) {
+      issues.push(`Correct answers ${JSON.stringify(question.correctAnswer)} are not all options`);
+      return;
+    }
+
+    // Keep the answers in option order so equal answer keys compare equal
+    const answers = question.options.filter(option => selected.includes(option));
+    if (answers.length === question.options.length) {
+      issues.push('Multi-select question marks every option as correct');
+      return;
+    }
+    if (JSON.stringify(answers) !== JSON.stringify(question.correctAnswer)) {
+      fixes.push('Normalized correct answers to option texts in option order');
+      question.correctAnswer = answers;
+    }
+  }
+
+  validateMatching(question, issues, fixes) {
+    // Accept the common [{ left, right }] shape and convert it to prompts, options and an answer key
+    if (Array.isArray(question.pairs)) {
+      const pairs = question.pairs.filter(pair => pair && pair.left !== undefined && pair.right !== undefined);
+      question.prompts = pairs.map(pair => String(pair.left).trim());
+      question.correctAnswer = Object.fromEntries(pairs.map(pair => [String(pair.left).trim(), String(pair.right).trim()]));
+      if (!Array.isArray(question.options)) {
+        question.options = [...new Set(pairs.map(pair => String(pair.right).trim()))].sort((a, b) => a.localeCompare(b));
+      }
+      delete question.pairs;
+      fixes.push('Converted pairs to prompts, options and an answer key');
+    }
+
+    if (!Array.isArray(question.prompts)) {
+      issues.push('Matching question has no prompts');
+      return;
+    }
+    question.prompts = question.prompts.map(prompt => String(prompt).trim()).filter(prompt => prompt.length > 0);
+    if (question.prompts.length < 2) {
+      issues.push('Matching question needs at least two prompts');
+      return;
+    }
+    if (new Set(question.prompts.map(prompt => prompt.toLowerCase())).size !== question.prompts.length) {
+      issues.push('Matching prompts are not unique');
+      return;
+    }
+
+    if (!this.cleanOptions(question, 'Matching', 2, issues, fixes)) return;
+
+    const key = question.correctAnswer;
+    if (!key || typeof key !== 'object' || Array.isArray(key)) {
+      issues.push('Matching question has no answer key');
+      return;
+    }
+
+    const answers = {};
+    for (const prompt of question.prompts) {
+      const match = this.resolveOption(this.lookupKey(key, prompt), question.options);
+      if (match === null) {
+        issues.push(`Prompt "${prompt}" is not matched to one of the options`);
+        return;
+      }
+      answers[prompt] = match;
+    }
+
+    if (JSON.stringify(answers) !== JSON.stringify(key)) {
+      fixes.push('Normalized the matching answer key');
+      question.correctAnswer = answers;
+    }
+  }
+
+  validateOrdering(question, issues, fixes) {
+    if (!Array.isArray(question.options) && Array.isArray(question.correctAnswer)) {
+      question.options = [...question.correctAnswer];
+      fixes.push('Took the items to order from the correct answer');
+    }
+    if (!this.cleanOptions(question, 'Ordering', 3, issues, fixes)) return;
+
+    const order = Array.isArray(question.correctAnswer)
+      ? question.correctAnswer.map(item => this.resolveOption(item, question.options))
+      : [];
+    if (order.length !== question.options.length || order.includes(null) || new Set(order).size !== order.length) {
+      issues.push('Ordering answer must list every item exactly once');
+      return;
+    }
+    if (JSON.stringify(order) !== JSON.stringify(question.correctAnswer)) {
+      fixes.push('Normalized the correct order to item texts');
+      question.correctAnswer = order;
+    }
+
+    // Items shown in the correct order would give the answer away
+    if (JSON.stringify(question.options) === JSON.stringify(order)) {
+      const sorted = [...order].sort((a, b) => a.localeCompare(b));
+      question.options = JSON.stringify(sorted) === JSON.stringify(order) ? sorted.reverse() : sorted;
+      fixes.push('Reordered items so they do not show the correct order');
+    }
+  }
+
+  validateNumeric(question, issues, fixes) {
+    const parsed = this.parseNumber(question.correctAnswer);
+    if (parsed === null) {
+      issues.push(`Numeric answer "${question.correctAnswer}" is not a number`);
+      return;
+    }
+    if (parsed.value !== question.correctAnswer) {
+      fixes.push(`Converted numeric answer "${question.correctAnswer}" to ${parsed.value}`);
+      question.correctAnswer = parsed.value;
+    }
+
+    if (typeof question.unit === 'string' && question.unit.trim().length > 0) {
+      question.unit = question.unit.trim();
+    } else if (parsed.unit) {
+      question.unit = parsed.unit;
+      fixes.push(`Took unit "${parsed.unit}" from the answer`);
+    } else {
+      delete question.unit;
+    }
+
+    if (question.tolerance === undefined || question.tolerance === null) {
+      question.tolerance = 0;
+    } else {
+      const tolerance = this.parseNumber(question.tolerance);
+      if (tolerance === null || tolerance.value < 0) {
+        issues.push(`Tolerance "${question.tolerance}" is not a non-negative number`);
+        return;
+      }
+      question.tolerance = tolerance.value;
+    }
+
+    delete question.options;
+  }
+
+  validateShortAnswer(question, issues, fixes) {
+    if ((typeof question.correctAnswer !== 'string' || !question.correctAnswer.trim()) &&
+      typeof question.modelAnswer === 'string') {
+      question.correctAnswer = question.modelAnswer;
+      fixes.push('Used modelAnswer as the correct answer');
+    }
+    delete question.modelAnswer;
+
+    if (typeof question.correctAnswer !== 'string' || question.correctAnswer.trim().length === 0) {
+      issues.push('Short-answer question has no model answer');
+      return;
+    }
+    question.correctAnswer = question.correctAnswer.trim();
+
+    const rubric = (Array.isArray(question.rubric) ? question.rubric : [])
+      .map(entry => (typeof entry === 'string'
+        ? { criterion: entry.trim(), points: 1 }
+        : {
+          criterion: String(entry?.criterion ?? entry?.description ?? '').trim(),
+          points: Number(entry?.points ?? 1)
+        }))
+      .filter(entry => entry.criterion.length > 0);
+
+    if (rubric.length === 0) {
+      issues.push('Short-answer question has no rubric');
+      return;
+    }
+    if (rubric.some(entry => !Number.isFinite(entry.points) || entry.points <= 0)) {
+      issues.push('Rubric points must be positive numbers');
+      return;
+    }
+
+    if (JSON.stringify(rubric) !== JSON.stringify(question.rubric)) {
+      fixes.push('Normalized the rubric');
+    }
+    question.rubric = rubric;
+    question.maxPoints = rubric.reduce((sum, entry) => sum + entry.points, 0);
+
+    delete question.options;
+  }
+
+  /**
+   * Interpret a true/false answer given as a boolean or text
+   * @param {*} value - Answer value
+   * @returns {boolean|null} Boolean answer, or null if it is not recognisable
+   */
+  parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value ?? '').toLowerCase().trim().replace(/[.!]$/, '');
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    return null;
+  }
+
+  /**
+   * Map an answer given as a letter, index or differently-cased text to the option text.
+   * A number that is also the text of an option (options "1" to "4") means that option.
+   * @param {*} answer - Answer as returned by the model
+   * @param {string[]} options - Option texts
+   * @returns {string|null} Matching option text, or null
+   */
+  resolveOption(answer, options) {
+    if (answer === undefined || answer === null) return null;
+
+    const text = String(answer).trim();
+    if (options.includes(text)) return text;
+
+    if (typeof answer === 'number' && Number.isInteger(answer)) {
+      return options[answer] ?? null;
+    }
+
+    const letterMatch = text.match(/^(?:option\s+)?\(?([A-Za-z])\)?[).:]?(?:\s+(.*))?$/i);
+    if (letterMatch && letterMatch[1].length === 1) {
+      const index = letterMatch[1].toUpperCase().charCodeAt(0) - 65;
+      const rest = letterMatch[2];
+      if (index >= 0 && index < options.length && (!rest || this.normalizeText(rest) === this.normalizeText(options[index]))) {
+        return options[index];
+      }
+    }
+
+    const normalized = this.normalizeText(text);
+    if (!normalized) return null;
+    return options.find(option => this.normalizeText(option) === normalized) || null;
+  }
+
+  /**
+   * Map a list of answers (an array, or text separated by commas or semicolons)
+   * to option texts
+   * @param {*} value - Answers as given
+   * @param {string[]} options - Option texts
+   * @returns {Array<string|null>} Option text per answer, null where none matches
+   */
+  resolveOptionList(value, options) {
+    if (value === undefined || value === null || value === '') return [];
+    if (Array.isArray(value)) return value.map(item => this.resolveOption(item, options));
+
+    // A single option may itself contain a comma
+    const whole = this.resolveOption(value, options);
+    if (whole !== null) return [whole];
+    return String(value).split(/\s*[,;]\s*/).filter(Boolean).map(item => this.resolveOption(item, options));
+  }
+
+  /**
+   * Read a key from an answer object, ignoring case and surrounding space
+   * @param {Object} object - Object keyed by prompt
+   * @param {string} key - Prompt
+   * @returns {*} Value, or undefined
+   */
+  lookupKey(object, key) {
+    if (Object.prototype.hasOwnProperty.call(object, key)) return object[key];
+    const normalized = this.normalizeText(key);
+    if (!normalized) return undefined;
+    const match = Object.keys(object).find(candidate => this.normalizeText(candidate) === normalized);
+    return match === undefined ? undefined : object[match];
+  }
+
+  /**
+   * Parse a number written on its own or followed by a unit, e.g. "9.81 m/s²".
+   * Commas are read as thousands separators when followed by three digits,
+   * otherwise as decimal points.
+   * @param {*} value - Number or text
+   * @returns {Object|null} { value, unit } or null when no number is found
+   */
+  parseNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? { value, unit: '' } : null;
+    if (typeof value !== 'string') return null;
+
+    const text = value.replace(/,(?=\d{3}(?!\d))/g, '').replace(',', '.');
+    const match = text.match(NUMBER_PATTERN);
+    if (!match) return null;
+
+    const number = Number(match[1]);
+    return Number.isFinite(number) ? { value: number, unit: match[2] } : null;
+  }
+
+  /**
+   * Readable text for an answer of a question, for prompts and exports
+   * @param {Object} question - Question
+   * @param {*} value - Answer to format; defaults to the correct answer
+   * @returns {string} Answer text
+   */
+  formatAnswer(question, value = question.correctAnswer) {
+    if (value === undefined || value === null) return '';
+
+    switch (question.type) {
+      case 'true-false': {
+        const parsed = this.parseBoolean(value);
+        return parsed === null ? String(value) : (parsed ? 'True' : 'False');
+      }
+      case 'multi-select':
+        return Array.isArray(value) ? value.join(', ') : String(value);
+      case 'ordering':
+        return Array.isArray(value) ? value.join(' → ') : String(value);
+      case 'matching':
+        return value && typeof value === 'object'
+          ? Object.entries(value).map(([prompt, match]) => `${prompt} → ${match}`).join('; ')
+          : String(value);
+      case 'numeric': {
+        if (value !== question.correctAnswer) return String(value);
+        const tolerance = question.tolerance > 0 ? ` (±${question.tolerance})` : '';
+        return `${value}${question.unit ? ` ${question.unit}` : ''}${tolerance}`;
+      }
+      default:
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+  }
+
+  // Letters and digits of any script, so non-Latin text does not normalize to ""
+  normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = new QuizValidator();
+module.exports.QUESTION_TYPES = QUESTION_TYPES;
+module.exports.DIFFICULTIES = DIFFICULTIES;
+module.exports.BLOOM_LEVELS = BLOOM_LEVELS;
+module.exports.BLANK = BLANK;
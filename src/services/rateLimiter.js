@@ -0,0 +1,61 @@
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * In-memory sliding-window rate limiter. Each bucket keeps the timestamps of
+ * the requests made in the current window, so limits are exact rather than
+ * reset on fixed boundaries.
+ */
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map();
+    this.longestWindowMs = 0;
+
+    setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Count a request against a bucket if it is under its limit
+   * @param {string} key - Bucket name, e.g. "<keyId>:llm"
+   * @param {number} limit - Requests allowed per window
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Object} { allowed, limit, remaining, resetAt, retryAfter (seconds, when not allowed) }
+   */
+  consume(key, limit, windowMs = 60 * 1000) {
+    const now = Date.now();
+    this.longestWindowMs = Math.max(this.longestWindowMs, windowMs);
+
+    const hits = (this.buckets.get(key) || []).filter(time => time > now - windowMs);
+    this.buckets.set(key, hits);
+
+    if (hits.length >= limit) {
+      const resetAt = hits[0] + windowMs;
+      return {
+        allowed: false,
+        limit,
+        remaining: 0,
+        resetAt,
+        retryAfter: Math.max(Math.ceil((resetAt - now) / 1000), 1)
+      };
+    }
+
+    hits.push(now);
+    return {
+      allowed: true,
+      limit,
+      remaining: limit - hits.length,
+      resetAt: hits[0] + windowMs
+    };
+  }
+
+  cleanup() {
+    const cutoff = Date.now() - this.longestWindowMs;
+    this.buckets.forEach((hits, key) => {
+      if (hits.length === 0 || hits[hits.length - 1] <= cutoff) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = new RateLimiter();
+module.exports.RateLimiter = RateLimiter;
@@ -0,0 +1,112 @@
+const { JsonCollection } = require('./jsonStore');
+
+class SourceSetStore {
+  constructor() {
+    this.collection = new JsonCollection('sourceSets');
+  }
+
+  /**
+   * Combine several extracted files into one stored source set. Each file
+   * starts with a "# <file name>" heading, where the chunker prefers to start
+   * a new section (small files can still share one); file and page offsets
+   * point into the combined content.
+   * @param {string} name - Source set name
+   * @param {Array<Object>} documents - [{ filename, fileType, content, pages }]
+   * @returns {Promise<Object>} Stored source set
+   */
+  async create(name, documents) {
+    const files = [];
+    let content = '';
+
+    documents.forEach((document, index) => {
+      if (content) content += '\n\n';
+      const startOffset = content.length;
+      content += `# ${document.filename}\n\n`;
+      const contentStart = content.length;
+      content += document.content;
+
+      files.push({
+        index,
+        filename: document.filename,
+        fileType: document.fileType,
+        startOffset,
+        contentStart,
+        endOffset: content.length,
+        pages: (document.pages || []).map(page => ({
+          ...page,
+          startOffset: contentStart + page.startOffset,
+          endOffset: contentStart + page.endOffset
+        }))
+      });
+    });
+
+    return this.collection.insert({
+      name: name || documents.map(document => document.filename).join(', '),
+      files,
+      content
+    });
+  }
+
+  /**
+   * Get a source set
+   * @param {string} id - Source set id
+   * @param {Object} options - Read options
+   * @param {boolean} options.includeContent - Include the combined content
+   * @returns {Object|null} Source set or null
+   */
+  get(id, options = {}) {
+    const sourceSet = this.collection.get(id);
+    if (!sourceSet) return null;
+    return options.includeContent ? sourceSet : this.summarize(sourceSet);
+  }
+
+  /**
+   * List source sets without their content, newest first
+   * @returns {Array<Object>} Source set summaries
+   */
+  list() {
+    return this.collection
+      .find()
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(sourceSet => this.summarize(sourceSet));
+  }
+
+  /**
+   * Delete a source set
+   * @param {string} id - Source set id
+   * @returns {Promise<boolean>} Whether the source set existed
+   */
+  async remove(id) {
+    return this.collection.remove(id);
+  }
+
+  /**
+   * Find the file and page that contain an offset of the combined content
+   * @param {Object} sourceSet - Source set with files
+   * @param {number} offset - Offset into the combined content
+   * @returns {Object} { file, page } (either may be null)
+   */
+  locate(sourceSet, offset) {
+    const file = (sourceSet?.files || []).find(entry =>
+      offset >= entry.startOffset && offset < entry.endOffset) || null;
+    const page = file
+      ? file.pages.find(entry => offset >= entry.startOffset && offset < entry.endOffset) || null
+      : null;
+    return { file, page };
+  }
+
+  summarize(sourceSet) {
+    const { content, ...summary } = sourceSet;
+    return {
+      ...summary,
+      files: sourceSet.files.map(({ pages, ...file }) => ({
+        ...file,
+        contentLength: file.endOffset - file.contentStart,
+        totalPages: pages.length
+      })),
+      contentLength: (content || '').length
+    };
+  }
+}
+
+module.exports = new SourceSetStore();
@@ -0,0 +1,360 @@
+const llm = require('./llm');
+const contentChunker = require('./contentChunker');
+const quizValidator = require('./quizValidator');
+const llmCache = require('./llmCache');
+const { findLanguage, detectLanguage, describeLanguage } = require('../utils/languages');
+const { allocate } = require('../utils/distribution');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const MAX_STUDY_SECTION_CHARS = 12000;
+const MAX_CONCURRENT_SECTIONS = parseInt(process.env.LLM_MAX_CONCURRENCY) || 3;
+const MAX_TAGS_PER_CARD = 5;
+const MATERIAL_NAMES = { flashcards: 'flashcards', summarize: 'summary', glossary: 'glossary' };
+const SUMMARY_DETAIL = {
+  brief: 'at most 3 key points per section and no subsections',
+  standard: '3-5 key points per section, with subsections where the content has clear subtopics',
+  detailed: '5-8 key points per section, with subsections for every subtopic'
+};
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Anki tags cannot contain spaces
+function toTag(value) {
+  return cleanText(value).toLowerCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Study materials made from the same content as quizzes: flashcard decks,
+ * hierarchical summaries and key-term glossaries. Long content is processed
+ * section by section like quiz generation, and every result is cached by
+ * content hash.
+ */
+class StudyMaterialGenerator {
+  constructor() {
+    this.llm = llm;
+  }
+
+  /**
+   * Generate a flashcard deck
+   * @param {Object} options - content, numberOfCards, specificTopics, language, sourceSet, bypassCache
+   * @returns {Promise<Object>} { deck: { title, cards }, metadata }
+   */
+  async generateFlashcards(options) {
+    const { content, numberOfCards } = options;
+    const sections = contentChunker.split(content, { maxChars: MAX_STUDY_SECTION_CHARS });
+
+    // Cards are shared out by section length, so every part of the content gets some
+    const counts = allocate(Object.fromEntries(sections.map(section => [section.index, section.content.length])), numberOfCards);
+
+    return this.cached('flashcards', options, async () => {
+      const results = await mapWithConcurrency(sections, MAX_CONCURRENT_SECTIONS, section => (counts[section.index] > 0
+        ? this.complete('flashcards', this.buildFlashcardPrompt(section.content, counts[section.index], options), {
+          content: section.content,
+          numberOfCards: counts[section.index],
+          specificTopics: options.specificTopics
+        })
+        : { result: { cards: [] } }));
+
+      const seen = new Set();
+      const cards = [];
+      results.forEach(({ result }) => {
+        (Array.isArray(result.cards) ? result.cards : []).forEach(card => {
+          const front = cleanText(card?.front);
+          const back = cleanText(card?.back);
+          // Fronts of only symbols, e.g. formulas, have no letters to normalize
+          const key = quizValidator.normalizeText(front) || front.toLowerCase();
+          if (!front || !back || seen.has(key)) return;
+          seen.add(key);
+
+          const topic = cleanText(card.topic) || 'General';
+          const tags = [...new Set([topic, ...(Array.isArray(card.tags) ? card.tags : [])].map(toTag).filter(Boolean))];
+          cards.push({ id: cards.length + 1, front, back, topic, tags: tags.slice(0, MAX_TAGS_PER_CARD) });
+        });
+      });
+
+      console.log(`🃏 Generated ${Math.min(cards.length, numberOfCards)} flashcards from ${sections.length} sections`);
+
+      return {
+        deck: {
+          title: cleanText(results.find(({ result }) => cleanText(result.title))?.result.title) || 'Flashcards',
+          cards: cards.slice(0, numberOfCards)
+        },
+        metadata: this.buildMetadata(options, sections, results, { totalCards: Math.min(cards.length, numberOfCards) })
+      };
+    });
+  }
+
+  /**
+   * Generate a hierarchical summary: an overview, then sections with key
+   * points and nested subsections. Each part of a long document becomes a
+   * top-level section and the overview is written from their summaries.
+   * @param {Object} options - content, detail (brief, standard or detailed), specificTopics, language, sourceSet, bypassCache
+   * @returns {Promise<Object>} { summary: { title, overview, sections }, metadata }
+   */
+  async generateSummary(options) {
+    const { content } = options;
+    const sections = contentChunker.split(content, { maxChars: MAX_STUDY_SECTION_CHARS });
+
+    return this.cached('summarize', options, async () => {
+      const results = await mapWithConcurrency(sections, MAX_CONCURRENT_SECTIONS, section =>
+        this.complete('summarize', this.buildSummaryPrompt(section.content, options), {
+          content: section.content,
+          specificTopics: options.specificTopics
+        })
+      );
+      const parts = results.map(({ result }) => ({
+        title: cleanText(result.title),
+        overview: cleanText(result.overview),
+        sections: this.cleanSummarySections(result.sections)
+      }));
+
+      let summary;
+      if (parts.length === 1) {
+        summary = { title: parts[0].title || 'Summary', overview: parts[0].overview, sections: parts[0].sections };
+      } else {
+        const combined = await this.complete('summarize', this.buildOverviewPrompt(parts, options), { parts });
+        results.push(combined);
+        summary = {
+          title: cleanText(combined.result.title) || parts[0].title || 'Summary',
+          overview: cleanText(combined.result.overview),
+          sections: parts.map((part, index) => ({
+            heading: part.title || sections[index].title,
+            summary: part.overview,
+            keyPoints: [],
+            subsections: part.sections
+          }))
+        };
+      }
+
+      console.log(`📝 Summarized ${sections.length} sections`);
+
+      return {
+        summary,
+        metadata: this.buildMetadata(options, sections, results, { detail: options.detail })
+      };
+    });
+  }
+
+  /**
+   * Generate a glossary of key terms, alphabetized and without duplicates
+   * @param {Object} options - content, maxTerms, specificTopics, language, sourceSet, bypassCache
+   * @returns {Promise<Object>} { glossary: { title, terms }, metadata }
+   */
+  async generateGlossary(options) {
+    const { content, maxTerms } = options;
+    const sections = contentChunker.split(content, { maxChars: MAX_STUDY_SECTION_CHARS });
+    const counts = allocate(Object.fromEntries(sections.map(section => [section.index, section.content.length])), maxTerms);
+
+    return this.cached('glossary', options, async () => {
+      const results = await mapWithConcurrency(sections, MAX_CONCURRENT_SECTIONS, section => (counts[section.index] > 0
+        ? this.complete('glossary', this.buildGlossaryPrompt(section.content, counts[section.index], options), {
+          content: section.content,
+          maxTerms: counts[section.index],
+          specificTopics: options.specificTopics
+        })
+        : { result: { terms: [] } }));
+
+      // The same term defined in several sections keeps its first definition
+      const terms = new Map();
+      results.forEach(({ result }) => {
+        (Array.isArray(result.terms) ? result.terms : []).forEach(entry => {
+          const term = cleanText(entry?.term);
+          const definition = cleanText(entry?.definition);
+          const key = term.toLowerCase();
+          if (!term || !definition || terms.has(key)) return;
+
+          terms.set(key, {
+            term,
+            definition,
+            topic: cleanText(entry.topic) || 'General',
+            ...(Array.isArray(entry.aliases) && entry.aliases.length > 0 && {
+              aliases: entry.aliases.map(cleanText).filter(Boolean)
+            })
+          });
+        });
+      });
+
+      const language = findLanguage(options.language) || detectLanguage(content);
+      const sorted = [...terms.values()]
+        .sort((a, b) => a.term.localeCompare(b.term, language?.code, { sensitivity: 'base' }))
+        .slice(0, maxTerms);
+
+      console.log(`📖 Generated a glossary of ${sorted.length} terms from ${sections.length} sections`);
+
+      return {
+        glossary: { title: 'Glossary', terms: sorted },
+        metadata: this.buildMetadata(options, sections, results, { totalTerms: sorted.length })
+      };
+    });
+  }
+
+  /**
+   * Serve a study material from the LLM cache or build and cache it
+   * @param {string} operation - LLM operation, also the cache namespace
+   * @param {Object} options - Request options; those that change the result are part of the key
+   * @param {Function} build - async () => result
+   * @returns {Promise<Object>} Result with metadata.cache
+   */
+  async cached(operation, options, build) {
+    try {
+      const { value, cache } = await llmCache.wrap(operation, {
+        content: options.content,
+        options: {
+          model: this.llm.getSettings(operation).model,
+          numberOfCards: options.numberOfCards,
+          maxTerms: options.maxTerms,
+          detail: options.detail,
+          specificTopics: options.specificTopics,
+          language: options.language,
+          sourceSetId: options.sourceSet?.id
+        },
+        bypass: options.bypassCache
+      }, build);
+
+      return { ...value, metadata: { ...value.metadata, cache } };
+    } catch (error) {
+      console.error(`Study material error (${MATERIAL_NAMES[operation]}):`, error);
+      throw new Error(`Failed to generate ${MATERIAL_NAMES[operation]}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run one JSON completion
+   * @param {string} operation - LLM operation
+   * @param {string} prompt - User prompt
+   * @param {Object} context - Provider context
+   * @returns {Promise<Object>} { result, model }
+   */
+  async complete(operation, prompt, context) {
+    const response = await this.llm.complete(operation, {
+      messages: [
+        { role: 'user', content: prompt }
+      ],
+      json: true,
+      context
+    });
+
+    return { result: JSON.parse(response.content), model: response.model };
+  }
+
+  buildFlashcardPrompt(content, count, options) {
+    return `Create ${count} flashcards for spaced-repetition study from the educational content below.
+
+RULES:
+- "front" is a question, term or cue; "back" is the answer, short enough to recall (at most two sentences)
+- Each card tests one fact or idea, and no two cards test the same thing
+- Only use information stated in the content
+- "topic" is the topic the card belongs to; "tags" are 1-3 short keywords
+${this.buildTopicInstruction(options.specificTopics)}
+${this.buildLanguageInstruction(options.language, 'Write the cards, topics and tags')}
+
+Return JSON only, in this format:
+{"title": "Deck title", "cards": [{"front": "...", "back": "...", "topic": "...", "tags": ["..."]}]}
+
+Educational Content:
+${content}`;
+  }
+
+  buildSummaryPrompt(content, options) {
+    return `Summarize the educational content below as a structured study summary.
+
+RULES:
+- "overview" is 2-4 sentences on what the content covers and its main conclusions
+- Follow the structure of the content: one section per major topic, in the order they appear
+- Use ${SUMMARY_DETAIL[options.detail]}
+- Key points are single sentences a student could revise from; only use information stated in the content
+${this.buildTopicInstruction(options.specificTopics)}
+${this.buildLanguageInstruction(options.language, 'Write the summary')}
+
+Return JSON only, in this format:
+{"title": "...", "overview": "...", "sections": [{"heading": "...", "summary": "...", "keyPoints": ["..."], "subsections": [{"heading": "...", "summary": "...", "keyPoints": ["..."]}]}]}
+
+Educational Content:
+${content}`;
+  }
+
+  buildOverviewPrompt(parts, options) {
+    return `These are summaries of consecutive parts of one document. Write a title and an overview of the whole document.
+
+RULES:
+- "overview" is 3-5 sentences on what the document covers and its main conclusions
+- Only use information in the summaries
+${this.buildTopicInstruction(options.specificTopics)}
+${this.buildLanguageInstruction(options.language, 'Write the title and overview')}
+
+Return JSON only, in this format:
+{"title": "...", "overview": "..."}
+
+Summaries:
+${parts.map((part, index) => `${index + 1}. ${part.title}: ${part.overview}`).join('\n')}`;
+  }
+
+  buildGlossaryPrompt(content, count, options) {
+    return `Build a glossary of the key terms in the educational content below: at most ${count} terms, the most important first.
+
+RULES:
+- Pick terms a student must know: technical vocabulary, named concepts, people, events and formulas
+- "definition" is one or two sentences, based on how the content uses the term
+- "topic" is the topic the term belongs to; "aliases" lists abbreviations or other names used in the content, if any
+${this.buildTopicInstruction(options.specificTopics)}
+${this.buildLanguageInstruction(options.language, 'Write the definitions and topics')}
+
+Return JSON only, in this format:
+{"terms": [{"term": "...", "definition": "...", "topic": "...", "aliases": []}]}
+
+Educational Content:
+${content}`;
+  }
+
+  buildTopicInstruction(specificTopics = []) {
+    return specificTopics.length > 0
+      ? `- Only cover these topics and leave out material unrelated to them: ${specificTopics.join(', ')}`
+      : '- Cover the whole content';
+  }
+
+  buildLanguageInstruction(language, subject) {
+    const target = findLanguage(language);
+    return target
+      ? `- ${subject} in ${target.name} (${target.nativeName}), even if the content is in another language`
+      : `- ${subject} in the same language as the content`;
+  }
+
+  /**
+   * Keep well-formed summary sections, two levels deep at most
+   * @param {Array<Object>} sections - Sections from the model
+   * @param {number} depth - Current depth
+   * @returns {Array<Object>} { heading, summary, keyPoints, subsections }
+   */
+  cleanSummarySections(sections, depth = 0) {
+    return (Array.isArray(sections) ? sections : [])
+      .filter(section => section && cleanText(section.heading))
+      .map(section => ({
+        heading: cleanText(section.heading),
+        summary: cleanText(section.summary),
+        keyPoints: (Array.isArray(section.keyPoints) ? section.keyPoints : []).map(cleanText).filter(Boolean),
+        subsections: depth === 0 ? this.cleanSummarySections(section.subsections, depth + 1) : []
+      }));
+  }
+
+  buildMetadata(options, sections, results, extra) {
+    return {
+      ...extra,
+      specificTopics: options.specificTopics,
+      sections: sections.length,
+      model: [...new Set(results.map(result => result.model).filter(Boolean))].join(', '),
+      language: describeLanguage(findLanguage(options.language) || detectLanguage(options.content)),
+      ...(options.sourceSet && {
+        sourceSet: {
+          id: options.sourceSet.id,
+          name: options.sourceSet.name,
+          files: options.sourceSet.files.map(file => file.filename)
+        }
+      }),
+      generatedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new StudyMaterialGenerator();
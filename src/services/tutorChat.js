@@ -0,0 +1,242 @@
+const quizGenerator = require('./quizGenerator');
+const quizStore = require('./quizStore');
+const quizValidator = require('./quizValidator');
+const attemptStore = require('./attemptStore');
+const chatSessionStore = require('./chatSessionStore');
+const promptLibrary = require('./promptLibrary');
+const { parseLanguage } = require('../utils/languages');
+
+const MAX_LEARNER_ID_CHARS = 100;
+const MAX_CHAT_MESSAGE_CHARS = 5000;
+// The system prompt is the server's; clients may only send the conversation
+const CHAT_ROLES = ['user', 'assistant'];
+
+/**
+ * Tutor chat requests: one-off chats that send their own history, and
+ * sessions whose transcript the server keeps in chatSessionStore.
+ */
+class TutorChat {
+  constructor() {
+    // Sessions with a reply being generated; a second message has to wait for it
+    this.busySessions = new Set();
+  }
+
+  /**
+   * Validate client-side chat history: user and assistant turns with text content
+   * @param {Array<Object>} chatHistory - Messages, oldest first
+   * @returns {Object} { chatHistory } or { status, error }
+   */
+  parseHistory(chatHistory) {
+    if (chatHistory === undefined || chatHistory === null) {
+      return { chatHistory: [] };
+    }
+    if (!Array.isArray(chatHistory)) {
+      return { status: 400, error: 'chatHistory must be an array of messages' };
+    }
+
+    const invalid = chatHistory.findIndex(message => !message || !CHAT_ROLES.includes(message.role) ||
+      typeof message.content !== 'string');
+    if (invalid !== -1) {
+      return {
+        status: 400,
+        error: `chatHistory[${invalid}] must have a role of ${CHAT_ROLES.join(' or ')} and text content`
+      };
+    }
+
+    return { chatHistory: chatHistory.map(({ role, content }) => ({ role, content })) };
+  }
+
+  /**
+   * Validate an AI tutor chat request
+   * @param {Object} body - Request body
+   * @returns {Object} { chatOptions } or { status, error }
+   */
+  parseRequest(body) {
+    const { question, userMessage, topic, language } = body;
+    let { correctAnswer } = body;
+
+    if (!question || correctAnswer === undefined || correctAnswer === null || correctAnswer === '' || !userMessage) {
+      return { status: 400, error: 'Question, correct answer, and user message are required' };
+    }
+    if (typeof userMessage !== 'string' || userMessage.trim().length === 0) {
+      return { status: 400, error: 'User message is required' };
+    }
+    if (userMessage.length > MAX_CHAT_MESSAGE_CHARS) {
+      return { status: 400, error: `User message must be at most ${MAX_CHAT_MESSAGE_CHARS} characters` };
+    }
+
+    const history = this.parseHistory(body.chatHistory);
+    if (history.error) {
+      return history;
+    }
+
+    if (typeof correctAnswer === 'object') {
+      correctAnswer = quizValidator.formatAnswer({ type: body.type, correctAnswer });
+    }
+
+    const outputLanguage = parseLanguage(language);
+    if (outputLanguage.error) {
+      return outputLanguage;
+    }
+
+    const promptChoice = promptLibrary.parseChoice(body, 'tutor-chat');
+    if (promptChoice.error) {
+      return promptChoice;
+    }
+
+    return {
+      chatOptions: {
+        question,
+        correctAnswer,
+        chatHistory: history.chatHistory,
+        userMessage,
+        topic,
+        language: outputLanguage.language,
+        prompt: promptChoice.prompt
+      }
+    };
+  }
+
+  /**
+   * Validate a request to start a tutor chat session. The question comes inline
+   * or from a stored quiz, with the learner's answer when an attempt is referenced.
+   * @param {Object} body - Request body
+   * @returns {Object} { session } or { status, error }
+   */
+  parseSessionRequest(body) {
+    let { question, correctAnswer, userAnswer, explanation, topic } = body;
+    const { quizId, attemptId, questionId, learnerId } = body;
+    let language = body.language;
+
+    if (quizId && questionId !== undefined) {
+      const quiz = quizStore.get(quizId);
+      const stored = quiz && quiz.questions.find(q => String(q.id) === String(questionId));
+      if (!stored) {
+        return { status: 404, error: 'Question not found' };
+      }
+
+      const attempt = attemptId ? attemptStore.get(quizId, attemptId) : null;
+      if (attemptId && !attempt) {
+        return { status: 404, error: 'Attempt not found' };
+      }
+      const result = attempt && attempt.results.find(r => String(r.questionId) === String(questionId));
+
+      ({ question, explanation, topic } = stored);
+      correctAnswer = quizValidator.formatAnswer(stored);
+      userAnswer = result && result.answer !== null ? quizValidator.formatAnswer(stored, result.answer) : undefined;
+      if (!language && quiz.metadata?.language) language = quiz.metadata.language.code;
+    }
+
+    if (!question || correctAnswer === undefined || correctAnswer === null || correctAnswer === '') {
+      return { status: 400, error: 'Question and correct answer, or quizId and questionId, are required' };
+    }
+
+    if (typeof correctAnswer === 'object') {
+      correctAnswer = quizValidator.formatAnswer({ type: body.type, correctAnswer });
+    }
+    if (userAnswer && typeof userAnswer === 'object') {
+      userAnswer = quizValidator.formatAnswer({ type: body.type }, userAnswer);
+    }
+
+    if (learnerId !== undefined && (typeof learnerId !== 'string' || learnerId.length === 0 ||
+      learnerId.length > MAX_LEARNER_ID_CHARS)) {
+      return { status: 400, error: `learnerId must be a string of at most ${MAX_LEARNER_ID_CHARS} characters` };
+    }
+
+    const outputLanguage = parseLanguage(language);
+    if (outputLanguage.error) {
+      return outputLanguage;
+    }
+
+    const promptChoice = promptLibrary.parseChoice(body, 'tutor-chat');
+    if (promptChoice.error) {
+      return promptChoice;
+    }
+
+    return {
+      session: {
+        quizId: quizId || null,
+        questionId: quizId && questionId !== undefined ? questionId : null,
+        attemptId: quizId && attemptId ? attemptId : null,
+        learnerId: learnerId || null,
+        question: { question, correctAnswer, userAnswer, explanation, topic },
+        language: outputLanguage.language || null,
+        // Pinned so the tutor keeps the same template and persona for the whole conversation
+        prompt: promptLibrary.resolve('tutor-chat', promptChoice.prompt)
+      }
+    };
+  }
+
+  /**
+   * Validate a message posted to a chat session and claim the session for the reply
+   * @param {string} sessionId - Session id
+   * @param {Object} body - Request body
+   * @returns {Object} { session, message } or { status, error }
+   */
+  claimSession(sessionId, body) {
+    const session = chatSessionStore.get(sessionId);
+    if (!session) {
+      return { status: 404, error: 'Chat session not found' };
+    }
+
+    const { message } = body;
+    if (typeof message !== 'string' || message.trim().length === 0) {
+      return { status: 400, error: 'Message is required' };
+    }
+    if (message.length > MAX_CHAT_MESSAGE_CHARS) {
+      return { status: 400, error: `Message must be at most ${MAX_CHAT_MESSAGE_CHARS} characters` };
+    }
+
+    if (this.busySessions.has(sessionId)) {
+      return { status: 409, error: 'The previous message in this session is still being answered' };
+    }
+    this.busySessions.add(sessionId);
+
+    return { session, message };
+  }
+
+  /**
+   * Answer a message in a chat session and store the turn. Older turns are
+   * summarized first when the conversation no longer fits the history budget.
+   * @param {Object} session - Stored session
+   * @param {string} message - The student's message
+   * @param {Object} handlers - Optional onToken callback and abort signal
+   * @returns {Promise<Object>} Reply and the session's message counts
+   * @throws {Error} 404 SESSION_DELETED if the session is deleted before the turn is stored
+   */
+  async replyInSession(session, message, handlers = {}) {
+    try {
+      const history = await quizGenerator.compactChatHistory(session, message, { signal: handlers.signal });
+      const response = await quizGenerator.chatWithTutor({
+        ...session.question,
+        language: session.language,
+        prompt: session.prompt || undefined,
+        chatHistory: history.chatHistory.map(({ role, content }) => ({ role, content })),
+        summary: history.summary,
+        userMessage: message
+      }, handlers);
+
+      const updated = await chatSessionStore.addTurn(session.id, [
+        { role: 'user', content: message },
+        { role: 'assistant', content: response.message }
+      ], history);
+      if (!updated) {
+        const error = new Error('Chat session was deleted while the reply was being written');
+        error.status = 404;
+        error.code = 'SESSION_DELETED';
+        throw error;
+      }
+
+      return {
+        sessionId: session.id,
+        message: response.message,
+        messageCount: updated.messages.length,
+        summarizedMessages: updated.summarizedMessages
+      };
+    } finally {
+      this.busySessions.delete(session.id);
+    }
+  }
+}
+
+module.exports = new TutorChat();
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const llm = require('./llm');
+const { estimateCost } = require('./llm/pricing');
+const { DATA_DIR } = require('./jsonStore');
+
+const USAGE_DIR = path.join(DATA_DIR, 'usage');
+const DEFAULT_REPORT_DAYS = 30;
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    errors: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    estimatedCalls: 0,
+    cost: 0,
+    unpricedCalls: 0,
+    latencyMs: 0
+  };
+}
+
+function addToTotals(totals, record) {
+  totals.calls++;
+  if (record.status !== 'ok') totals.errors++;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.totalTokens += record.totalTokens;
+  if (record.estimated) totals.estimatedCalls++;
+  if (record.cost === null) totals.unpricedCalls++;
+  else totals.cost += record.cost;
+  totals.latencyMs += record.latencyMs;
+}
+
+function finishTotals(totals) {
+  const { latencyMs, ...rest } = totals;
+  return {
+    ...rest,
+    cost: Math.round(totals.cost * 1e6) / 1e6,
+    averageLatencyMs: totals.calls > 0 ? Math.round(latencyMs / totals.calls) : null
+  };
+}
+
+/**
+ * Records every LLM call with its tokens, latency and estimated cost. Calls
+ * made while handling a request are tagged with the request's route and API
+ * key through AsyncLocalStorage, so services do not have to pass them along.
+ * Records are appended to one JSON-lines file per month.
+ */
+class UsageTracker {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.writeQueue = Promise.resolve();
+    llm.on('usage', call => this.record(call));
+  }
+
+  /**
+   * Express middleware: track the LLM calls made while handling the request
+   */
+  middleware() {
+    return (req, res, next) => {
+      this.storage.run({ req, calls: [] }, next);
+    };
+  }
+
+  /**
+   * Store a finished LLM call, tagged with the current request
+   * @param {Object} call - Usage event emitted by the LLM client
+   * @returns {Object} Stored record
+   */
+  record(call) {
+    const context = this.storage.getStore();
+    const req = context?.req;
+    const record = {
+      timestamp: new Date().toISOString(),
+      ...call,
+      cost: estimateCost(call.model, call.promptTokens, call.completionTokens),
+      // req.route is only known once a route matched, i.e. by the time the LLM is called
+      route: req ? `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}` : null,
+      clientId: req?.apiKey?.id || null,
+      clientName: req?.apiKey?.name || null
+    };
+
+    if (context) context.calls.push(record);
+    this.append(record);
+    return record;
+  }
+
+  append(record) {
+    const filePath = path.join(USAGE_DIR, `${record.timestamp.slice(0, 7)}.jsonl`);
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.promises.mkdir(USAGE_DIR, { recursive: true });
+        await fs.promises.appendFile(filePath, `${JSON.stringify(record)}\n`, 'utf-8');
+      })
+      .catch(error => console.error('Usage write error:', error));
+  }
+
+  /**
+   * Usage of the LLM calls made so far while handling the current request
+   * @returns {Object} Totals with a per-operation breakdown
+   */
+  current() {
+    const calls = this.storage.getStore()?.calls || [];
+    const totals = emptyTotals();
+    const byOperation = {};
+
+    calls.forEach(call => {
+      addToTotals(totals, call);
+      byOperation[call.operation] = byOperation[call.operation] || emptyTotals();
+      addToTotals(byOperation[call.operation], call);
+    });
+
+    const summary = finishTotals(totals);
+    return {
+      calls: summary.calls,
+      promptTokens: summary.promptTokens,
+      completionTokens: summary.completionTokens,
+      totalTokens: summary.totalTokens,
+      estimated: summary.estimatedCalls > 0,
+      cost: summary.unpricedCalls > 0 && summary.unpricedCalls === summary.calls ? null : summary.cost,
+      models: [...new Set(calls.map(call => call.model))],
+      byOperation: Object.fromEntries(Object.entries(byOperation).map(([operation, entry]) => {
+        const { calls: count, totalTokens, cost } = finishTotals(entry);
+        return [operation, { calls: count, totalTokens, cost }];
+      }))
+    };
+  }
+
+  /**
+   * Aggregate stored usage
+   * @param {Object} options - Report filters
+   * @param {string} options.from - First day (YYYY-MM-DD); defaults to 30 days ago
+   * @param {string} options.to - Last day (YYYY-MM-DD); defaults to today
+   * @param {string} options.clientId - Only calls made with this API key
+   * @param {string} options.route - Only calls made from this route
+   * @param {string} options.model - Only calls to this model
+   * @returns {Promise<Object>} Totals plus breakdowns by day, route, model, operation and client
+   */
+  async report(options = {}) {
+    const today = new Date().toISOString().slice(0, 10);
+    const to = options.to || today;
+    const from = options.from ||
+      new Date(Date.parse(to) - (DEFAULT_REPORT_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    await this.writeQueue;
+    const records = await this.readRange(from, to);
+
+    const totals = emptyTotals();
+    const groups = { byDay: {}, byRoute: {}, byModel: {}, byOperation: {}, byClient: {} };
+    const add = (group, key, record) => {
+      groups[group][key] = groups[group][key] || emptyTotals();
+      addToTotals(groups[group][key], record);
+    };
+
+    records
+      .filter(record => !options.clientId || record.clientId === options.clientId)
+      .filter(record => !options.route || record.route === options.route)
+      .filter(record => !options.model || record.model === options.model)
+      .forEach(record => {
+        addToTotals(totals, record);
+        add('byDay', record.timestamp.slice(0, 10), record);
+        add('byRoute', record.route || '(background)', record);
+        add('byModel', record.model, record);
+        add('byOperation', record.operation, record);
+        add('byClient', record.clientId ? `${record.clientName} (${record.clientId})` : '(none)', record);
+      });
+
+    const finish = (group) => Object.fromEntries(
+      Object.entries(group)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, entry]) => [key, finishTotals(entry)])
+    );
+
+    return {
+      from,
+      to,
+      currency: 'USD',
+      totals: finishTotals(totals),
+      byDay: finish(groups.byDay),
+      byRoute: finish(groups.byRoute),
+      byModel: finish(groups.byModel),
+      byOperation: finish(groups.byOperation),
+      byClient: finish(groups.byClient)
+    };
+  }
+
+  /**
+   * Read the records of the months overlapping a date range, keeping those inside it
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @returns {Promise<Array<Object>>} Usage records
+   */
+  async readRange(from, to) {
+    let files;
+    try {
+      files = await fs.promises.readdir(USAGE_DIR);
+    } catch (error) {
+      return [];
+    }
+
+    const months = files
+      .filter(file => /^\d{4}-\d{2}\.jsonl$/.test(file))
+      .filter(file => file.slice(0, 7) >= from.slice(0, 7) && file.slice(0, 7) <= to.slice(0, 7));
+
+    const records = [];
+    for (const file of months) {
+      const text = await fs.promises.readFile(path.join(USAGE_DIR, file), 'utf-8');
+      text.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          const record = JSON.parse(line);
+          const day = record.timestamp.slice(0, 10);
+          if (day >= from && day <= to) records.push(record);
+        } catch (error) {
+          // A line cut short by a crash is skipped rather than failing the report
+        }
+      });
+    }
+    return records;
+  }
+}
+
+module.exports = new UsageTracker();
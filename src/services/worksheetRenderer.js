@@ -0,0 +1,707 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { escapeHtml } = require('../utils/markup');
+const { createRandom, shuffle } = require('../utils/seededRandom');
+const { slugify } = require('./quizExporter');
+const quizValidator = require('./quizValidator');
+
+const RENDER_DOCUMENTS = ['worksheet', 'answer-key'];
+const RENDER_FORMATS = ['html', 'pdf'];
+const PAGE_SIZES = ['A4', 'LETTER'];
+const DEFAULT_PAGE_SIZE = PAGE_SIZES.includes(String(process.env.WORKSHEET_PAGE_SIZE).toUpperCase())
+  ? String(process.env.WORKSHEET_PAGE_SIZE).toUpperCase()
+  : 'A4';
+const DEFAULT_ANSWER_LINES = 4;
+const MAX_ANSWER_LINES = 20;
+const MAX_VARIANT_SEED_CHARS = 64;
+const MAX_DATE_CHARS = 100;
+const MAX_INSTRUCTIONS_CHARS = 1000;
+
+// The built-in PDF fonts only cover Western European text; point these at
+// TrueType files to print quizzes in other scripts
+const PDF_FONT = process.env.WORKSHEET_FONT || 'Helvetica';
+const PDF_BOLD_FONT = process.env.WORKSHEET_BOLD_FONT || process.env.WORKSHEET_FONT || 'Helvetica-Bold';
+
+// Options that only make sense after the others, wherever a shuffle puts the rest
+const PINNED_OPTION = /^(all|none|both|neither) of (the )?(above|these|them)\b/i;
+
+// Fill-in-blank gaps, however long the model made them
+const BLANK_PATTERN = /_{3,}/g;
+const PDF_BLANK = '_______________';
+
+const letter = (index) => String.fromCharCode(65 + index);
+const pointsLabel = (points) => `${points} ${points === 1 ? 'point' : 'points'}`;
+
+/**
+ * Renders quizzes as printable worksheets and answer keys, in HTML (to
+ * print from a browser) or PDF. Shuffled variants are driven by a seed, so
+ * the worksheet and answer key of one variant can be rendered separately.
+ */
+class WorksheetRenderer {
+  /**
+   * Validate worksheet render options from a request body or query string
+   * @param {Object} source - req.body or req.query
+   * @returns {Object} { options } or { error }
+   */
+  parseOptions(source) {
+    const { document = 'worksheet', format = 'html', seed, date, instructions } = source;
+    // Query strings carry booleans as text
+    const flag = (value, fallback) => (value === undefined || value === '' ? fallback : value === true || value === 'true');
+
+    if (!RENDER_DOCUMENTS.includes(document)) {
+      return { error: `Document must be one of: ${RENDER_DOCUMENTS.join(', ')}` };
+    }
+
+    if (!RENDER_FORMATS.includes(format)) {
+      return { error: `Format must be one of: ${RENDER_FORMATS.join(', ')}` };
+    }
+
+    const pageSize = source.pageSize === undefined ? undefined : String(source.pageSize).toUpperCase();
+    if (pageSize !== undefined && !PAGE_SIZES.includes(pageSize)) {
+      return { error: `Page size must be one of: ${PAGE_SIZES.join(', ')}` };
+    }
+
+    if (seed !== undefined && (!['string', 'number'].includes(typeof seed) ||
+      String(seed).trim().length === 0 || String(seed).length > MAX_VARIANT_SEED_CHARS)) {
+      return { error: `Seed must be a number or a string of up to ${MAX_VARIANT_SEED_CHARS} characters` };
+    }
+
+    const answerLines = source.answerLines === undefined ? undefined : Number(source.answerLines);
+    if (answerLines !== undefined &&
+      (!Number.isInteger(answerLines) || answerLines < 0 || answerLines > MAX_ANSWER_LINES)) {
+      return { error: `answerLines must be between 0 and ${MAX_ANSWER_LINES}` };
+    }
+
+    if (date !== undefined && (typeof date !== 'string' || date.length > MAX_DATE_CHARS)) {
+      return { error: `Date must be a string of up to ${MAX_DATE_CHARS} characters` };
+    }
+
+    if (instructions !== undefined && (typeof instructions !== 'string' || instructions.length > MAX_INSTRUCTIONS_CHARS)) {
+      return { error: `Instructions must be a string of up to ${MAX_INSTRUCTIONS_CHARS} characters` };
+    }
+
+    return {
+      options: {
+        document,
+        format,
+        pageSize,
+        seed: seed === undefined ? undefined : String(seed).trim(),
+        shuffleQuestions: flag(source.shuffleQuestions, false),
+        shuffleOptions: flag(source.shuffleOptions, false),
+        nameField: flag(source.nameField, true),
+        dateField: flag(source.dateField, true),
+        date: date ? date.trim() : undefined,
+        instructions: instructions ? instructions.trim() : undefined,
+        answerLines
+      }
+    };
+  }
+
+  /**
+   * Validate a quiz and render it, leaving out questions that fail validation.
+   * Repeated questions are printed: the quiz is rendered as its author saved it.
+   * @param {Object} quiz - Quiz with questions
+   * @param {Object} options - Render options from parseOptions
+   * @returns {Promise<Object>} render() result plus the ids of skipped questions
+   */
+  async renderQuiz(quiz, options) {
+    const report = quizValidator.validate(quiz, { keepDuplicates: true });
+    const rendered = await this.render({ ...quiz, questions: report.questions }, options);
+    return {
+      ...rendered,
+      skipped: report.rejected.map(entry => entry.question?.id).filter(id => id !== undefined)
+    };
+  }
+
+  /**
+   * Render a worksheet or answer key
+   * @param {Object} quiz - Validated quiz with title, description and questions
+   * @param {Object} options - Render options
+   * @param {string} options.document - worksheet (default) or answer-key
+   * @param {string} options.format - html (default) or pdf
+   * @param {boolean} options.shuffleQuestions - Shuffle the question order
+   * @param {boolean} options.shuffleOptions - Shuffle options, matching prompts and ordering items
+   * @param {string|number} options.seed - Variant seed for shuffling; random when omitted
+   * @param {boolean} options.nameField - Print a name line (default true)
+   * @param {boolean} options.dateField - Print a date line (default true)
+   * @param {string} options.date - Date printed on the date line instead of leaving it blank
+   * @param {string} options.instructions - Instructions printed under the header
+   * @param {number} options.answerLines - Writing lines under each short-answer question
+   * @param {string} options.pageSize - PDF page size, A4 or LETTER
+   * @returns {Promise<Object>} File body, filename, content type and variant seed (null when unshuffled)
+   */
+  async render(quiz, options = {}) {
+    const { document = 'worksheet', format = 'html', pageSize = DEFAULT_PAGE_SIZE } = options;
+
+    if (!RENDER_DOCUMENTS.includes(document)) {
+      throw new Error(`Unsupported document: ${document}`);
+    }
+
+    const layout = this.layout(quiz, options);
+    const baseName = `${slugify(quiz.title)}-${document}${layout.variant ? `-${slugify(layout.variant)}` : ''}`;
+    const isKey = document === 'answer-key';
+
+    switch (format) {
+      case 'html':
+        return {
+          body: this.toHTML(layout, isKey),
+          filename: `${baseName}.html`,
+          contentType: 'text/html; charset=utf-8',
+          variant: layout.variant
+        };
+      case 'pdf':
+        return {
+          body: await this.toPDF(layout, isKey, pageSize),
+          filename: `${baseName}.pdf`,
+          contentType: 'application/pdf',
+          variant: layout.variant
+        };
+      default:
+        throw new Error(`Unsupported render format: ${format}`);
+    }
+  }
+
+  /**
+   * Put a quiz into print order: numbered questions with lettered options
+   * and the answer key in the same letters
+   * @param {Object} quiz - Quiz
+   * @param {Object} options - Render options (see render)
+   * @returns {Object} { title, description, language, variant, header, questions }
+   */
+  layout(quiz, options) {
+    const { shuffleQuestions = false, shuffleOptions = false } = options;
+    const variant = shuffleQuestions || shuffleOptions
+      ? String(options.seed ?? crypto.randomInt(100000, 1000000))
+      : null;
+    const random = createRandom(variant ?? '');
+    const questions = shuffleQuestions ? shuffle(quiz.questions, random) : quiz.questions;
+
+    return {
+      title: quiz.title || 'Quiz',
+      description: quiz.description || null,
+      language: quiz.metadata?.language?.code || null,
+      variant,
+      header: {
+        nameField: options.nameField !== false,
+        dateField: options.dateField !== false,
+        date: options.date || null,
+        instructions: options.instructions || null
+      },
+      questions: questions.map((question, index) =>
+        this.layoutQuestion(question, index + 1, shuffleOptions ? random : null, options))
+    };
+  }
+
+  /**
+   * Lay out one question for its type
+   * @param {Object} question - Validated question
+   * @param {number} number - Printed question number
+   * @param {Function|null} random - Shuffles the options when set
+   * @param {Object} options - Render options (see render)
+   * @returns {Object} Printable question: stem, layout, choices, prompts and answer lines
+   */
+  layoutQuestion(question, number, random, options) {
+    const item = {
+      number,
+      id: question.id,
+      type: question.type,
+      text: question.question,
+      layout: 'lines',
+      hint: null,
+      points: null,
+      choices: [],
+      prompts: [],
+      lines: 0,
+      answer: [],
+      rubric: [],
+      explanation: question.explanation || null
+    };
+    const lettered = (texts) => texts.map((text, index) => ({ label: letter(index), text }));
+    const labelOf = (text) => item.choices.find(choice => choice.text === text).label;
+
+    switch (question.type) {
+      case 'multiple-choice':
+      case 'topic-specific':
+        item.layout = 'choices';
+        item.choices = lettered(random ? this.shuffleChoices(question.options, random) : question.options);
+        item.answer = [`${labelOf(question.correctAnswer)}. ${question.correctAnswer}`];
+        break;
+      case 'multi-select':
+        item.layout = 'checkboxes';
+        item.hint = /select all/i.test(question.question) ? null : 'Select all that apply.';
+        item.choices = lettered(random ? this.shuffleChoices(question.options, random) : question.options);
+        item.answer = item.choices
+          .filter(choice => question.correctAnswer.includes(choice.text))
+          .map(choice => `${choice.label}. ${choice.text}`);
+        break;
+      case 'true-false':
+        item.layout = 'choices';
+        item.choices = [{ label: null, text: 'True' }, { label: null, text: 'False' }];
+        item.answer = [question.correctAnswer ? 'True' : 'False'];
+        break;
+      case 'fill-in-blank':
+        item.layout = 'blank';
+        item.answer = [
+          question.acceptedAnswers && question.acceptedAnswers.length > 0
+            ? `${question.correctAnswer} (also accept: ${question.acceptedAnswers.join(', ')})`
+            : question.correctAnswer
+        ];
+        break;
+      case 'matching':
+        item.layout = 'matching';
+        item.hint = 'Write the letter of the matching answer next to each item.';
+        item.prompts = (random ? shuffle(question.prompts, random) : question.prompts)
+          .map((text, index) => ({ label: String(index + 1), text }));
+        item.choices = lettered(random ? shuffle(question.options, random) : question.options);
+        item.answer = item.prompts.map(prompt => {
+          const match = question.correctAnswer[prompt.text];
+          return `${prompt.label}. ${prompt.text} — ${labelOf(match)}. ${match}`;
+        });
+        break;
+      case 'ordering': {
+        item.layout = 'ordering';
+        item.hint = 'Number the items in the correct order, starting from 1.';
+        const items = random ? shuffle(question.options, random) : [...question.options];
+        // A shuffle that lands on the answer would give it away
+        if (items.every((text, index) => text === question.correctAnswer[index])) {
+          items.push(items.shift());
+        }
+        item.choices = lettered(items);
+        item.answer = item.choices.map(choice => `${choice.label}. ${choice.text} — ${question.correctAnswer.indexOf(choice.text) + 1}`);
+        break;
+      }
+      case 'numeric':
+        item.layout = 'numeric';
+        item.unit = question.unit || null;
+        item.answer = [
+          `${question.correctAnswer}${question.unit ? ` ${question.unit}` : ''}` +
+          `${question.tolerance > 0 ? ` (± ${question.tolerance})` : ''}`
+        ];
+        break;
+      case 'short-answer':
+        item.lines = options.answerLines ?? DEFAULT_ANSWER_LINES;
+        item.points = question.maxPoints || null;
+        item.answer = [question.correctAnswer];
+        item.rubric = (question.rubric || []).map(entry => `${entry.criterion} (${pointsLabel(entry.points)})`);
+        break;
+      default:
+        item.lines = options.answerLines ?? DEFAULT_ANSWER_LINES;
+        item.answer = [String(question.correctAnswer ?? '')];
+    }
+
+    return item;
+  }
+
+  /**
+   * Shuffle answer options, keeping "all/none of the above" style options last
+   * @param {string[]} options - Option texts
+   * @param {Function} random - Random number generator
+   * @returns {string[]} Shuffled options
+   */
+  shuffleChoices(options, random) {
+    const pinned = options.filter(option => PINNED_OPTION.test(option));
+    return [...shuffle(options.filter(option => !PINNED_OPTION.test(option)), random), ...pinned];
+  }
+
+  /**
+   * Standalone HTML page with print styles
+   * @param {Object} layout - Result of layout()
+   * @param {boolean} isKey - Render the answer key instead of the worksheet
+   * @returns {string} HTML document
+   */
+  toHTML(layout, isKey) {
+    const { header } = layout;
+    const fields = [
+      header.nameField ? '<span class="field">Name: <span class="line"></span></span>' : '',
+      header.dateField
+        ? `<span class="field">Date: <span class="line">${escapeHtml(header.date || '')}</span></span>`
+        : ''
+    ].join('');
+
+    const headerHtml = [
+      `<h1>${escapeHtml(layout.title)}${isKey ? ' — Answer key' : ''}</h1>`,
+      layout.variant ? `<p class="variant">Variant ${escapeHtml(layout.variant)}</p>` : '',
+      !isKey && fields ? `<div class="fields">${fields}</div>` : '',
+      !isKey && layout.description ? `<p class="description">${escapeHtml(layout.description)}</p>` : '',
+      !isKey && header.instructions ? `<p class="instructions">${escapeHtml(header.instructions)}</p>` : ''
+    ].filter(Boolean).join('\n    ');
+
+    const questions = layout.questions
+      .map(item => (isKey ? this.htmlKeyItem(item) : this.htmlQuestion(item)))
+      .join('\n');
+
+    return `<!DOCTYPE html>
+<html${layout.language ? ` lang="${escapeHtml(layout.language)}"` : ''}>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(layout.title)}${isKey ? ' — Answer key' : ''}</title>
+  <style>
+    @page { margin: 2cm; }
+    body { font-family: Georgia, 'Times New Roman', serif; font-size: 12pt; line-height: 1.4; color: #000; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; }
+    h1 { font-size: 18pt; margin: 0 0 0.25rem; }
+    .variant { margin: 0; font-size: 10pt; color: #444; }
+    .fields { display: flex; gap: 2rem; margin: 1rem 0; }
+    .field { flex: 1; display: flex; align-items: flex-end; gap: 0.5rem; white-space: nowrap; }
+    .line { flex: 1; display: inline-block; min-width: 8rem; border-bottom: 1px solid #000; min-height: 1.2em; }
+    .instructions { font-style: italic; }
+    .question { break-inside: avoid; page-break-inside: avoid; margin: 1.25rem 0; }
+    .stem { margin: 0 0 0.4rem; }
+    .number { font-weight: bold; margin-right: 0.25rem; }
+    .points { font-size: 10pt; color: #444; }
+    .hint { margin: 0 0 0.4rem; font-size: 10pt; font-style: italic; color: #444; }
+    .blank { display: inline-block; min-width: 8rem; border-bottom: 1px solid #000; }
+    .choices { list-style: none; margin: 0; padding-left: 1.5rem; }
+    .choices li { margin: 0.2rem 0; }
+    .mark { display: inline-block; width: 1.5rem; }
+    .write-in { display: inline-block; width: 2.5rem; border-bottom: 1px solid #000; margin-right: 0.5rem; }
+    .matching { border-collapse: collapse; margin-left: 1.5rem; }
+    .matching td { padding: 0.2rem 2rem 0.2rem 0; vertical-align: top; }
+    .response { margin-left: 1.5rem; }
+    .response .line { width: 12rem; flex: none; }
+    .writing-line { border-bottom: 1px solid #999; height: 2rem; margin-left: 1.5rem; }
+    .answer { margin: 0 0 0.3rem 1.5rem; }
+    .answer ul, .rubric { margin: 0.2rem 0; }
+    .explanation { margin: 0 0 0 1.5rem; font-size: 10pt; color: #333; }
+  </style>
+</head>
+<body>
+  <header>
+    ${headerHtml}
+  </header>
+  <main>
+${questions}
+  </main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Question stem with its number, blanks drawn as lines
+   * @param {Object} item - Printable question
+   * @returns {string} HTML
+   */
+  htmlStem(item) {
+    const text = escapeHtml(item.text).replace(BLANK_PATTERN, '<span class="blank"></span>');
+    const points = item.points ? ` <span class="points">(${pointsLabel(item.points)})</span>` : '';
+    return `<p class="stem"><span class="number">${item.number}.</span> ${text}${points}</p>`;
+  }
+
+  /**
+   * One worksheet question, laid out for its type
+   * @param {Object} item - Printable question
+   * @returns {string} HTML
+   */
+  htmlQuestion(item) {
+    const parts = [this.htmlStem(item)];
+    if (item.hint) parts.push(`<p class="hint">${escapeHtml(item.hint)}</p>`);
+    const option = (choice, mark) =>
+      `<li><span class="mark">${mark}</span>${choice.label ? `${choice.label}. ` : ''}${escapeHtml(choice.text)}</li>`;
+
+    switch (item.layout) {
+      case 'choices':
+        parts.push(`<ul class="choices">${item.choices.map(choice => option(choice, '○')).join('')}</ul>`);
+        break;
+      case 'checkboxes':
+        parts.push(`<ul class="choices">${item.choices.map(choice => option(choice, '☐')).join('')}</ul>`);
+        break;
+      case 'ordering':
+        parts.push(`<ul class="choices">${item.choices
+          .map(choice => `<li><span class="write-in"></span>${choice.label}. ${escapeHtml(choice.text)}</li>`)
+          .join('')}</ul>`);
+        break;
+      case 'matching': {
+        const rows = Array.from({ length: Math.max(item.prompts.length, item.choices.length) }, (_, index) => {
+          const prompt = item.prompts[index];
+          const choice = item.choices[index];
+          return '<tr>' +
+            `<td>${prompt ? `<span class="write-in"></span>${prompt.label}. ${escapeHtml(prompt.text)}` : ''}</td>` +
+            `<td>${choice ? `${choice.label}. ${escapeHtml(choice.text)}` : ''}</td>` +
+            '</tr>';
+        });
+        parts.push(`<table class="matching">${rows.join('')}</table>`);
+        break;
+      }
+      case 'numeric':
+        parts.push(`<p class="response">Answer: <span class="line"></span>${item.unit ? ` ${escapeHtml(item.unit)}` : ''}</p>`);
+        break;
+      case 'lines':
+        parts.push('<div class="writing-line"></div>'.repeat(item.lines));
+        break;
+      default:
+        break;
+    }
+
+    return `    <section class="question">\n      ${parts.join('\n      ')}\n    </section>`;
+  }
+
+  /**
+   * One answer key entry: the question, its answer, rubric and explanation
+   * @param {Object} item - Printable question
+   * @returns {string} HTML
+   */
+  htmlKeyItem(item) {
+    const parts = [this.htmlStem(item)];
+    parts.push(item.answer.length === 1
+      ? `<p class="answer"><strong>Answer:</strong> ${escapeHtml(item.answer[0])}</p>`
+      : `<div class="answer"><strong>Answer:</strong><ul>${item.answer.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul></div>`);
+    if (item.rubric.length > 0) {
+      parts.push(`<div class="answer"><strong>Rubric:</strong><ul class="rubric">${item.rubric
+        .map(line => `<li>${escapeHtml(line)}</li>`)
+        .join('')}</ul></div>`);
+    }
+    if (item.explanation) {
+      parts.push(`<p class="explanation"><strong>Explanation:</strong> ${escapeHtml(item.explanation)}</p>`);
+    }
+
+    return `    <section class="question">\n      ${parts.join('\n      ')}\n    </section>`;
+  }
+
+  /**
+   * PDF file, with each question kept on one page where it fits
+   * @param {Object} layout - Result of layout()
+   * @param {boolean} isKey - Render the answer key instead of the worksheet
+   * @param {string} pageSize - A4 or LETTER
+   * @returns {Promise<Buffer>} PDF
+   */
+  toPDF(layout, isKey, pageSize) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: pageSize,
+        margin: 56,
+        bufferPages: true,
+        info: { Title: `${layout.title}${isKey ? ' — Answer key' : ''}` }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        const x = doc.page.margins.left;
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const { header } = layout;
+
+        const headerBlocks = [
+          { kind: 'text', font: 'bold', size: 18, text: `${layout.title}${isKey ? ' — Answer key' : ''}`, gap: 2 },
+          layout.variant ? { kind: 'text', size: 10, color: '#444444', text: `Variant ${layout.variant}` } : null,
+          !isKey && (header.nameField || header.dateField)
+            ? {
+              kind: 'text',
+              text: [
+                header.nameField ? 'Name: ________________________________' : '',
+                header.dateField ? `Date: ${header.date || '________________'}` : ''
+              ].filter(Boolean).join('        '),
+              gap: 10,
+              before: 10
+            }
+            : null,
+          !isKey && layout.description ? { kind: 'text', text: layout.description } : null,
+          !isKey && header.instructions ? { kind: 'text', size: 11, color: '#333333', text: header.instructions } : null
+        ].filter(Boolean);
+        headerBlocks.forEach(block => this.drawPDFBlock(doc, block, x, width));
+        doc.y += 12;
+
+        layout.questions.forEach(item => {
+          const blocks = isKey ? this.pdfKeyBlocks(item) : this.pdfQuestionBlocks(item);
+          const height = blocks.reduce((sum, block) => sum + this.drawPDFBlock(doc, block, x, width, true), 0);
+          const bottom = doc.page.height - doc.page.margins.bottom;
+          if (doc.y + height > bottom && doc.y > doc.page.margins.top) {
+            doc.addPage();
+          }
+          blocks.forEach(block => this.drawPDFBlock(doc, block, x, width));
+          doc.y += 14;
+        });
+
+        // Footer on every page; lifting the bottom margin stops pdfkit adding a page for it
+        const { start, count } = doc.bufferedPageRange();
+        for (let index = start; index < start + count; index++) {
+          doc.switchToPage(index);
+          const bottomMargin = doc.page.margins.bottom;
+          doc.page.margins.bottom = 0;
+          doc.font(PDF_FONT).fontSize(9).fillColor('#666666').text(
+            `${layout.title}${layout.variant ? ` · Variant ${layout.variant}` : ''} · Page ${index + 1} of ${count}`,
+            x,
+            doc.page.height - bottomMargin + 20,
+            { width, align: 'center', lineBreak: false }
+          );
+          doc.page.margins.bottom = bottomMargin;
+        }
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * PDF blocks of one worksheet question
+   * @param {Object} item - Printable question
+   * @returns {Array<Object>} Blocks for drawPDFBlock
+   */
+  pdfQuestionBlocks(item) {
+    const blocks = [this.pdfStem(item)];
+    if (item.hint) blocks.push({ kind: 'text', size: 10, color: '#444444', text: item.hint, indent: 18 });
+
+    switch (item.layout) {
+      case 'choices':
+      case 'checkboxes':
+        item.choices.forEach(choice => blocks.push({
+          kind: 'choice',
+          mark: item.layout === 'choices' ? 'circle' : 'box',
+          text: `${choice.label ? `${choice.label}. ` : ''}${choice.text}`
+        }));
+        break;
+      case 'ordering':
+        item.choices.forEach(choice => blocks.push({ kind: 'choice', text: `______  ${choice.label}. ${choice.text}` }));
+        break;
+      case 'matching':
+        for (let index = 0; index < Math.max(item.prompts.length, item.choices.length); index++) {
+          const prompt = item.prompts[index];
+          const choice = item.choices[index];
+          blocks.push({
+            kind: 'row',
+            left: prompt ? `______  ${prompt.label}. ${prompt.text}` : '',
+            right: choice ? `${choice.label}. ${choice.text}` : ''
+          });
+        }
+        break;
+      case 'numeric':
+        blocks.push({ kind: 'choice', text: `Answer: ______________________${item.unit ? ` ${item.unit}` : ''}` });
+        break;
+      case 'lines':
+        for (let index = 0; index < item.lines; index++) blocks.push({ kind: 'rule' });
+        break;
+      default:
+        break;
+    }
+
+    return blocks;
+  }
+
+  /**
+   * PDF blocks of one answer key entry
+   * @param {Object} item - Printable question
+   * @returns {Array<Object>} Blocks for drawPDFBlock
+   */
+  pdfKeyBlocks(item) {
+    const blocks = [this.pdfStem(item)];
+    if (item.answer.length === 1) {
+      blocks.push({ kind: 'label', label: 'Answer: ', text: item.answer[0] });
+    } else {
+      blocks.push({ kind: 'label', label: 'Answer:', text: '' });
+      item.answer.forEach(line => blocks.push({ kind: 'choice', text: `•  ${line}`, indent: 30 }));
+    }
+    if (item.rubric.length > 0) {
+      blocks.push({ kind: 'label', label: 'Rubric:', text: '' });
+      item.rubric.forEach(line => blocks.push({ kind: 'choice', text: `•  ${line}`, indent: 30 }));
+    }
+    if (item.explanation) {
+      blocks.push({ kind: 'label', label: 'Explanation: ', text: item.explanation, size: 10, color: '#333333' });
+    }
+    return blocks;
+  }
+
+  /**
+   * PDF block of a question stem with its number
+   * @param {Object} item - Printable question
+   * @returns {Object} Block
+   */
+  pdfStem(item) {
+    const text = item.text.replace(BLANK_PATTERN, PDF_BLANK);
+    return {
+      kind: 'label',
+      label: `${item.number}. `,
+      text: `${text}${item.points ? ` (${pointsLabel(item.points)})` : ''}`,
+      indent: 0,
+      gap: 5
+    };
+  }
+
+  /**
+   * Draw one block at the current position, or only measure it
+   * @param {Object} doc - pdfkit document
+   * @param {Object} block - { kind: text|label|choice|row|rule, text, font, size, color, indent, gap, before }
+   * @param {number} x - Left edge of the text area
+   * @param {number} width - Width of the text area
+   * @param {boolean} measureOnly - Return the height without drawing
+   * @returns {number} Height the block takes
+   */
+  drawPDFBlock(doc, block, x, width, measureOnly = false) {
+    const size = block.size || 12;
+    const gap = block.gap ?? 3;
+    const before = block.before || 0;
+    const indent = block.indent ?? 18;
+    const font = block.font === 'bold' ? PDF_BOLD_FONT : PDF_FONT;
+    doc.font(font).fontSize(size).fillColor(block.color || '#000000');
+
+    switch (block.kind) {
+      case 'rule': {
+        const height = 24;
+        if (!measureOnly) {
+          const y = doc.y + height - 4;
+          doc.moveTo(x + indent, y).lineTo(x + width, y).lineWidth(0.5).strokeColor('#999999').stroke();
+          doc.y += height;
+        }
+        return height;
+      }
+      case 'row': {
+        const half = (width - indent - 16) / 2;
+        const height = Math.max(
+          doc.heightOfString(block.left || ' ', { width: half }),
+          doc.heightOfString(block.right || ' ', { width: half })
+        ) + gap;
+        if (!measureOnly) {
+          const y = doc.y;
+          doc.text(block.left, x + indent, y, { width: half });
+          doc.text(block.right, x + indent + half + 16, y, { width: half });
+          doc.y = y + height;
+        }
+        return height;
+      }
+      case 'choice': {
+        const markWidth = block.mark ? 18 : 0;
+        const textWidth = width - indent - markWidth;
+        const height = doc.heightOfString(block.text, { width: textWidth }) + gap;
+        if (!measureOnly) {
+          const y = doc.y;
+          const middle = y + size * 0.45;
+          if (block.mark === 'circle') {
+            doc.circle(x + indent + 5, middle, 4.5).lineWidth(0.8).strokeColor('#000000').stroke();
+          } else if (block.mark === 'box') {
+            doc.rect(x + indent + 0.5, middle - 4.5, 9, 9).lineWidth(0.8).strokeColor('#000000').stroke();
+          }
+          doc.text(block.text, x + indent + markWidth, y, { width: textWidth });
+          doc.y = y + height;
+        }
+        return height;
+      }
+      case 'label': {
+        const height = doc.font(PDF_BOLD_FONT).heightOfString(`${block.label}${block.text}`, { width: width - indent }) + gap;
+        if (!measureOnly) {
+          const y = doc.y;
+          doc.text(block.label, x + indent, y, { width: width - indent, continued: Boolean(block.text) });
+          if (block.text) doc.font(PDF_FONT).text(block.text);
+          doc.y = y + height;
+        }
+        return height;
+      }
+      default: {
+        const height = before + doc.heightOfString(block.text, { width: width - (block.indent || 0) }) + gap;
+        if (!measureOnly) {
+          const y = doc.y + before;
+          doc.text(block.text, x + (block.indent || 0), y, { width: width - (block.indent || 0) });
+          doc.y = y + height - before;
+        }
+        return height;
+      }
+    }
+  }
+}
+
+module.exports = new WorksheetRenderer();
+module.exports.RENDER_DOCUMENTS = RENDER_DOCUMENTS;
+module.exports.RENDER_FORMATS = RENDER_FORMATS;
+module.exports.PAGE_SIZES = PAGE_SIZES;
+module.exports.MAX_ANSWER_LINES = MAX_ANSWER_LINES;
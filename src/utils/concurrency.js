@@ -0,0 +1,25 @@
+/**
+ * Map over items with at most `limit` promises in flight, preserving order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {Function} task - Async function called with each item
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
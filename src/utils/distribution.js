@@ -0,0 +1,98 @@
+/**
+ * Helpers for turning requested proportions (e.g. 30% easy, 50% medium,
+ * 20% hard) into whole question counts and question-by-question plans.
+ */
+
+/**
+ * Split a whole number across weighted keys with largest-remainder rounding,
+ * so the counts always add up to the total
+ * @param {Object} weights - Non-negative weight per key, in any scale
+ * @param {number} total - Number to split
+ * @returns {Object} Count per key
+ */
+function allocate(weights, total) {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const sum = entries.reduce((acc, [, weight]) => acc + weight, 0);
+  const counts = Object.fromEntries(Object.keys(weights).map(key => [key, 0]));
+  if (sum === 0 || total <= 0) return counts;
+
+  const shares = entries.map(([key, weight], order) => {
+    const exact = (total * weight) / sum;
+    return { key, order, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let leftover = total - shares.reduce((acc, share) => acc + share.count, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder || a.order - b.order)
+    .forEach(share => {
+      if (leftover > 0) {
+        share.count++;
+        leftover--;
+      }
+    });
+
+  shares.forEach(share => {
+    counts[share.key] = share.count;
+  });
+  return counts;
+}
+
+/**
+ * Expand counts into a sequence that spreads every key evenly, e.g.
+ * { a: 2, b: 1 } becomes ["a", "b", "a"], so any slice of the sequence gets
+ * roughly the same mix as the whole
+ * @param {Object} counts - Count per key
+ * @param {Function} tieBreak - Optional (key, index, sequenceSoFar) => number; among
+ * keys equally far behind, the lowest value goes next
+ * @returns {string[]} Keys, one entry per unit counted
+ */
+function interleave(counts, tieBreak = () => 0) {
+  const entries = Object.entries(counts).filter(([, count]) => count > 0);
+  const total = entries.reduce((sum, [, count]) => sum + count, 0);
+  const used = new Map(entries.map(([key]) => [key, 0]));
+  const sequence = [];
+
+  for (let position = 1; position <= total; position++) {
+    // The key furthest behind its even share so far goes next
+    let best = null;
+    let bestDeficit = -Infinity;
+    let bestTie = Infinity;
+    entries.forEach(([key, count]) => {
+      if (used.get(key) >= count) return;
+      const deficit = (count * position) / total - used.get(key);
+      const tied = Math.abs(deficit - bestDeficit) < 1e-9;
+      const score = tieBreak(key, position - 1, sequence);
+      if ((!tied && deficit > bestDeficit) || (tied && score < bestTie)) {
+        best = key;
+        bestDeficit = deficit;
+        bestTie = score;
+      }
+    });
+    used.set(best, used.get(best) + 1);
+    sequence.push(best);
+  }
+
+  return sequence;
+}
+
+/**
+ * Count how often each value of a field occurs
+ * @param {Array<Object>} items - Items to count
+ * @param {string} field - Field name
+ * @param {string[]} keys - Keys always present in the result, even at zero
+ * @returns {Object} Count per value
+ */
+function tally(items, field, keys = []) {
+  const counts = Object.fromEntries(keys.map(key => [key, 0]));
+  items.forEach(item => {
+    const value = item[field];
+    if (value !== undefined && value !== null) counts[value] = (counts[value] || 0) + 1;
+  });
+  return counts;
+}
+
+module.exports = {
+  allocate,
+  interleave,
+  tally
+};
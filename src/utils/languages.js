@@ -0,0 +1,170 @@
+/**
+ * Languages supported for OCR and for quiz/tutor output. `tesseract` is the
+ * Tesseract traineddata name, `script` the Tesseract OSD script name and
+ * `stopwords` a few very common words used to tell languages of the same
+ * script apart.
+ */
+const LANGUAGES = [
+  { code: 'en', name: 'English', nativeName: 'English', tesseract: 'eng', script: 'Latin', stopwords: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'with', 'are', 'for', 'this', 'was', 'which'] },
+  { code: 'fr', name: 'French', nativeName: 'Français', tesseract: 'fra', script: 'Latin', stopwords: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'du', 'dans', 'que', 'qui', 'pour', 'sont', 'avec'] },
+  { code: 'es', name: 'Spanish', nativeName: 'Español', tesseract: 'spa', script: 'Latin', stopwords: ['el', 'la', 'los', 'las', 'y', 'de', 'que', 'es', 'en', 'una', 'por', 'con', 'para', 'del'] },
+  { code: 'de', name: 'German', nativeName: 'Deutsch', tesseract: 'deu', script: 'Latin', stopwords: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'ein', 'eine', 'den', 'von', 'zu', 'sich', 'auf'] },
+  { code: 'it', name: 'Italian', nativeName: 'Italiano', tesseract: 'ita', script: 'Latin', stopwords: ['il', 'lo', 'gli', 'e', 'di', 'che', 'è', 'per', 'una', 'sono', 'della', 'con', 'non', 'nel'] },
+  { code: 'pt', name: 'Portuguese', nativeName: 'Português', tesseract: 'por', script: 'Latin', stopwords: ['o', 'os', 'as', 'e', 'de', 'que', 'é', 'em', 'um', 'uma', 'para', 'com', 'não', 'dos'] },
+  { code: 'nl', name: 'Dutch', nativeName: 'Nederlands', tesseract: 'nld', script: 'Latin', stopwords: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'op', 'te', 'zijn', 'niet', 'met', 'voor', 'ook'] },
+  { code: 'pl', name: 'Polish', nativeName: 'Polski', tesseract: 'pol', script: 'Latin', stopwords: ['i', 'w', 'nie', 'na', 'się', 'jest', 'z', 'do', 'to', 'że', 'jak', 'oraz', 'są', 'od'] },
+  { code: 'tr', name: 'Turkish', nativeName: 'Türkçe', tesseract: 'tur', script: 'Latin', stopwords: ['ve', 'bir', 'bu', 'da', 'de', 'için', 'ile', 'olan', 'olarak', 'çok', 'daha', 'gibi', 'en', 'ne'] },
+  { code: 'sv', name: 'Swedish', nativeName: 'Svenska', tesseract: 'swe', script: 'Latin', stopwords: ['och', 'att', 'det', 'som', 'en', 'är', 'av', 'för', 'med', 'till', 'den', 'på', 'inte', 'har'] },
+  { code: 'ru', name: 'Russian', nativeName: 'Русский', tesseract: 'rus', script: 'Cyrillic', stopwords: ['и', 'в', 'не', 'на', 'что', 'это', 'с', 'как', 'по', 'он', 'из', 'для', 'она', 'был'] },
+  { code: 'uk', name: 'Ukrainian', nativeName: 'Українська', tesseract: 'ukr', script: 'Cyrillic', stopwords: ['і', 'в', 'не', 'на', 'що', 'це', 'з', 'як', 'до', 'та', 'для', 'він', 'від', 'є'] },
+  { code: 'el', name: 'Greek', nativeName: 'Ελληνικά', tesseract: 'ell', script: 'Greek', stopwords: [] },
+  { code: 'ar', name: 'Arabic', nativeName: 'العربية', tesseract: 'ara', script: 'Arabic', stopwords: [] },
+  { code: 'he', name: 'Hebrew', nativeName: 'עברית', tesseract: 'heb', script: 'Hebrew', stopwords: [] },
+  { code: 'hi', name: 'Hindi', nativeName: 'हिन्दी', tesseract: 'hin', script: 'Devanagari', stopwords: [] },
+  { code: 'th', name: 'Thai', nativeName: 'ไทย', tesseract: 'tha', script: 'Thai', stopwords: [] },
+  { code: 'zh', name: 'Chinese', nativeName: '中文', tesseract: 'chi_sim', script: 'Han', stopwords: [] },
+  { code: 'ja', name: 'Japanese', nativeName: '日本語', tesseract: 'jpn', script: 'Japanese', stopwords: [] },
+  { code: 'ko', name: 'Korean', nativeName: '한국어', tesseract: 'kor', script: 'Hangul', stopwords: [] }
+];
+
+// Unicode ranges checked in order; kana is tested before Han so Japanese text is not read as Chinese
+const SCRIPT_RANGES = [
+  { script: 'Japanese', pattern: /[\u3040-\u30FF]/g },
+  { script: 'Hangul', pattern: /[\uAC00-\uD7AF\u1100-\u11FF]/g },
+  { script: 'Han', pattern: /[\u4E00-\u9FFF]/g },
+  { script: 'Cyrillic', pattern: /[\u0400-\u04FF]/g },
+  { script: 'Greek', pattern: /[\u0370-\u03FF]/g },
+  { script: 'Arabic', pattern: /[\u0600-\u06FF]/g },
+  { script: 'Hebrew', pattern: /[\u0590-\u05FF]/g },
+  { script: 'Devanagari', pattern: /[\u0900-\u097F]/g },
+  { script: 'Thai', pattern: /[\u0E00-\u0E7F]/g },
+  { script: 'Latin', pattern: /[a-zA-Z\u00C0-\u024F]/g }
+];
+
+const DETECTION_SAMPLE_CHARS = 5000;
+
+/**
+ * Find a supported language by ISO 639-1 code (optionally with a region,
+ * e.g. "fr-CA"), Tesseract code or English/native name
+ * @param {string} value - Language identifier
+ * @returns {Object|null} Language entry
+ */
+function findLanguage(value) {
+  if (typeof value !== 'string' || value.trim().length === 0) return null;
+  const key = value.trim().toLowerCase();
+  const baseCode = key.split(/[-_]/)[0];
+
+  return LANGUAGES.find(language =>
+    language.code === key ||
+    language.tesseract === key ||
+    language.name.toLowerCase() === key ||
+    language.nativeName.toLowerCase() === key
+  ) || LANGUAGES.find(language => language.code === baseCode) || null;
+}
+
+/**
+ * Guess the dominant script of a text from its characters
+ * @param {string} text - Text sample
+ * @returns {string|null} Script name
+ */
+function detectScript(text) {
+  let best = null;
+  let bestCount = 0;
+
+  SCRIPT_RANGES.forEach(({ script, pattern }) => {
+    const count = (text.match(pattern) || []).length;
+    // Japanese text is mostly Han characters with some kana; any kana decides it
+    const weighted = script === 'Japanese' ? count * 4 : count;
+    if (weighted > bestCount) {
+      best = script;
+      bestCount = weighted;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Detect the language of a text: script first, then the most frequent
+ * stopwords among the languages written in that script
+ * @param {string} text - Text to inspect
+ * @returns {Object|null} Language entry, or null when there is too little text
+ */
+function detectLanguage(text) {
+  const sample = String(text || '').slice(0, DETECTION_SAMPLE_CHARS);
+  const script = detectScript(sample);
+  if (!script) return null;
+
+  const candidates = LANGUAGES.filter(language => language.script === script);
+  if (candidates.length === 1) return candidates[0];
+
+  const words = sample.toLowerCase().match(/[\p{L}']+/gu) || [];
+  if (words.length < 3) return null;
+
+  const counts = new Map();
+  words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+  let best = null;
+  let bestScore = 0;
+  candidates.forEach(language => {
+    const score = language.stopwords.reduce((sum, word) => sum + (counts.get(word) || 0), 0);
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Supported languages written in a script, e.g. for OCR after script detection
+ * @param {string} script - Tesseract OSD script name
+ * @returns {Array<Object>} Language entries
+ */
+function getLanguagesForScript(script) {
+  // OSD reports Japanese kana as Katakana/Hiragana and Korean as Korean on some models
+  const aliases = { Katakana: 'Japanese', Hiragana: 'Japanese', Korean: 'Hangul', HanS: 'Han', HanT: 'Han' };
+  const normalized = aliases[script] || script;
+  return LANGUAGES.filter(language => language.script === normalized);
+}
+
+/**
+ * Validate an optional output language
+ * @param {string} value - Language code or name from the request body
+ * @returns {Object} { language } (code, or undefined to follow the source) or { status, error }
+ */
+function parseLanguage(value) {
+  if (value === undefined || value === null || value === '') {
+    return { language: undefined };
+  }
+
+  const language = findLanguage(value);
+  if (!language) {
+    return {
+      status: 400,
+      error: `Unsupported language: ${value}. Supported: ${LANGUAGES.map(entry => entry.code).join(', ')}`
+    };
+  }
+
+  return { language: language.code };
+}
+
+/**
+ * Public view of a language entry
+ * @param {Object} language - Language entry
+ * @returns {Object|null} { code, name }
+ */
+function describeLanguage(language) {
+  return language ? { code: language.code, name: language.name } : null;
+}
+
+module.exports = {
+  LANGUAGES,
+  findLanguage,
+  detectScript,
+  detectLanguage,
+  getLanguagesForScript,
+  describeLanguage,
+  parseLanguage
+};
@@ -0,0 +1,284 @@
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+  middot: '·',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  deg: '°',
+  times: '×',
+  divide: '÷',
+  plusmn: '±',
+  le: '≤',
+  ge: '≥',
+  ne: '≠',
+  rarr: '→',
+  larr: '←'
+};
+
+const HEADING_TAG = /^h([1-6])$/;
+
+// Blocks separated from their neighbours by an empty line
+const PARAGRAPH_TAGS = new Set([
+  'p', 'blockquote', 'section', 'article', 'aside', 'header', 'footer',
+  'main', 'nav', 'figure', 'table', 'dl', 'hr', 'address', 'form'
+]);
+
+// Blocks that only need to start on a new line
+const LINE_TAGS = new Set([
+  'div', 'dt', 'dd', 'figcaption', 'caption', 'tbody', 'thead', 'tfoot', 'body', 'li', 'tr'
+]);
+
+// Elements whose content is never readable text
+const HIDDEN_ELEMENTS = /<(script|style|head|noscript|template|svg|math)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+/**
+ * Decode HTML/XML character references
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Read an attribute from a single start tag
+ * @param {string} tag - Start tag source, e.g. <a:pPr lvl="1">
+ * @param {string} name - Attribute name, including any namespace prefix
+ * @returns {string|null} Decoded attribute value
+ */
+function getAttribute(tag, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = tag.match(new RegExp(`\\s${escaped}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  return match ? decodeEntities(match[1] !== undefined ? match[1] : match[2]) : null;
+}
+
+/**
+ * Convert HTML to plain text that keeps the document structure: headings
+ * become Markdown "#" lines, list items become "-" or "1." lines (indented
+ * when nested), table rows become "cell | cell" lines and paragraphs are
+ * separated by blank lines.
+ * @param {string} html - HTML or XHTML source
+ * @returns {string} Structured plain text
+ */
+function htmlToText(html) {
+  const source = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(HIDDEN_ELEMENTS, '');
+
+  const lines = [];
+  const lists = [];
+  let line = '';
+  let marker = '';
+  let row = null;
+  let preformatted = false;
+
+  const endLine = (blank = false) => {
+    const text = preformatted ? line.replace(/\s+$/, '') : line.replace(/\s+/g, ' ').trim();
+    if (text) lines.push(marker + text);
+    line = '';
+    marker = '';
+    if (blank && lines.length > 0 && lines[lines.length - 1] !== '') lines.push('');
+  };
+
+  const appendText = (text) => {
+    if (row) {
+      if (row.length === 0) row.push('');
+      row[row.length - 1] += text;
+    } else if (preformatted) {
+      const [first, ...rest] = text.split('\n');
+      line += first;
+      rest.forEach(part => {
+        lines.push(line.replace(/\s+$/, ''));
+        line = part;
+      });
+    } else {
+      line += text;
+    }
+  };
+
+  const tokenPattern = /<(\/?)([a-zA-Z][\w:.-]*)([^>]*?)(\/?)>|([^<]+)/g;
+  let token;
+
+  while ((token = tokenPattern.exec(source)) !== null) {
+    const [, closing, rawName, , selfClosing, text] = token;
+
+    if (text !== undefined) {
+      appendText(decodeEntities(text));
+      continue;
+    }
+
+    const name = rawName.toLowerCase().replace(/^.*:/, '');
+    const heading = name.match(HEADING_TAG);
+
+    // Inside a table row only cell boundaries matter
+    if (row && !['tr', 'td', 'th', 'table'].includes(name)) {
+      appendText(' ');
+      continue;
+    }
+
+    if (name === 'tr') {
+      if (closing) {
+        const cells = (row || []).map(cell => cell.replace(/\s+/g, ' ').trim());
+        if (cells.some(Boolean)) lines.push(cells.join(' | '));
+        row = null;
+      } else {
+        endLine();
+        row = [];
+      }
+    } else if (name === 'td' || name === 'th') {
+      if (!closing && row) row.push('');
+    } else if (heading) {
+      endLine(true);
+      if (!closing) marker = `${'#'.repeat(parseInt(heading[1]))} `;
+    } else if (name === 'ul' || name === 'ol') {
+      endLine(lists.length === 0);
+      if (closing) {
+        lists.pop();
+        if (lists.length === 0) endLine(true);
+      } else if (!selfClosing) {
+        lists.push({ ordered: name === 'ol', counter: 0 });
+      }
+    } else if (name === 'li') {
+      endLine();
+      if (!closing) {
+        const list = lists[lists.length - 1];
+        const indent = '  '.repeat(Math.max(lists.length - 1, 0));
+        marker = indent + (list && list.ordered ? `${++list.counter}. ` : '- ');
+      }
+    } else if (name === 'pre') {
+      endLine(true);
+      preformatted = !closing;
+    } else if (name === 'br') {
+      if (preformatted) appendText('\n');
+      else endLine();
+    } else if (PARAGRAPH_TAGS.has(name)) {
+      endLine(true);
+    } else if (LINE_TAGS.has(name)) {
+      endLine();
+    } else if (name === 'img' && !closing) {
+      const alt = getAttribute(token[0], 'alt');
+      if (alt) appendText(` ${alt} `);
+    }
+  }
+
+  if (row) {
+    const cells = row.map(cell => cell.replace(/\s+/g, ' ').trim());
+    if (cells.some(Boolean)) lines.push(cells.join(' | '));
+  }
+  endLine();
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Reduce Markdown to plain text while keeping headings, lists and tables.
+ * Front matter, link targets, images, emphasis markers and code fences are removed.
+ * @param {string} markdown - Markdown source
+ * @returns {string} Structured plain text
+ */
+function markdownToText(markdown) {
+  const lines = String(markdown || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/^---\n[\s\S]*?\n(?:---|\.\.\.)\n/, '')
+    .split('\n');
+
+  const output = [];
+  let inFence = false;
+
+  lines.forEach(rawLine => {
+    if (/^\s*(```|~~~)/.test(rawLine)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      output.push(rawLine);
+      return;
+    }
+
+    // Setext headings: a line of === or --- under the heading text
+    const previous = output[output.length - 1];
+    const setext = rawLine.match(/^\s*(=+|-+)\s*$/);
+    if (setext && previous && previous.trim() && !/^\s*([-*+]|\d+[.)]|#|>)/.test(previous)) {
+      output[output.length - 1] = `${setext[1][0] === '=' ? '#' : '##'} ${previous.trim()}`;
+      return;
+    }
+
+    // Table separator rows carry no text; horizontal rules end a paragraph
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(rawLine) && rawLine.includes('|')) return;
+    if (/^\s*([*_-])(\s*\1){2,}\s*$/.test(rawLine)) {
+      output.push('');
+      return;
+    }
+
+    let line = rawLine
+      .replace(/^(\s*)>\s?/, '$1')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+      .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\w)/g, '$1$2')
+      .replace(/(^|\W)_(?=\S)([^_]*?\S)_(?!\w)/g, '$1$2')
+      .replace(/~~(.+?)~~/g, '$1')
+      .replace(/<[^>]+>/g, '')
+      .replace(/\s+#+\s*$/, '');
+
+    // Link reference definitions are not content
+    if (/^\s*\[[^\]]+\]:\s*\S+/.test(rawLine)) return;
+
+    // Table rows: drop the outer pipes
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      line = line.trim().replace(/^\|/, '').replace(/\|$/, '')
+        .split('|').map(cell => cell.trim()).join(' | ');
+    }
+
+    output.push(decodeEntities(line));
+  });
+
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+module.exports = {
+  decodeEntities,
+  escapeHtml,
+  getAttribute,
+  htmlToText,
+  markdownToText
+};
@@ -0,0 +1,54 @@
+/**
+ * Reproducible randomness: the same seed always gives the same sequence, so
+ * a shuffled exam variant and its answer key can be produced separately.
+ */
+
+/**
+ * Hash a seed of any type to a 32-bit integer (FNV-1a)
+ * @param {string|number} seed - Seed
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {string|number} seed - Seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffled copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number generator from createRandom
+ * @returns {Array} New array
+ */
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+module.exports = {
+  createRandom,
+  shuffle
+};
@@ -0,0 +1,68 @@
+/**
+ * SM-2 spaced repetition (Wozniak, 1990). Each item keeps an easiness
+ * factor, the number of successful reviews in a row and the current interval
+ * in days. Answers are graded 0-5; 3 or more counts as a successful recall.
+ */
+const MIN_EASINESS = 1.3;
+const INITIAL_EASINESS = 2.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Initial state for an item that has never been reviewed
+ * @returns {Object} { easiness, repetitions, interval }
+ */
+function initialState() {
+  return { easiness: INITIAL_EASINESS, repetitions: 0, interval: 0 };
+}
+
+/**
+ * Apply one review
+ * @param {Object} state - { easiness, repetitions, interval }
+ * @param {number} quality - Recall quality, 0 (blackout) to 5 (perfect)
+ * @param {Date} now - Review time
+ * @returns {Object} New state with reviewedAt and dueAt
+ */
+function review(state, quality, now = new Date()) {
+  const { easiness = INITIAL_EASINESS, repetitions = 0, interval = 0 } = state || {};
+  const q = Math.min(Math.max(Math.round(quality), 0), 5);
+
+  let nextRepetitions;
+  let nextInterval;
+  if (q >= 3) {
+    nextRepetitions = repetitions + 1;
+    if (nextRepetitions === 1) nextInterval = 1;
+    else if (nextRepetitions === 2) nextInterval = 6;
+    else nextInterval = Math.round(interval * easiness);
+  } else {
+    // A failed recall starts the item over, but keeps its (lowered) easiness
+    nextRepetitions = 0;
+    nextInterval = 1;
+  }
+
+  const nextEasiness = Math.max(MIN_EASINESS, easiness + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  return {
+    easiness: Math.round(nextEasiness * 100) / 100,
+    repetitions: nextRepetitions,
+    interval: nextInterval,
+    reviewedAt: now.toISOString(),
+    dueAt: new Date(now.getTime() + nextInterval * DAY_MS).toISOString()
+  };
+}
+
+/**
+ * Recall quality from the share of correct answers in one review
+ * @param {number} correct - Correct answers
+ * @param {number} total - Answers given
+ * @returns {number} Quality 0-5
+ */
+function qualityFromScore(correct, total) {
+  if (total === 0) return 0;
+  return Math.round((correct / total) * 5);
+}
+
+module.exports = {
+  initialState,
+  review,
+  qualityFromScore
+};
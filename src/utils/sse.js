@@ -0,0 +1,46 @@
+/**
+ * Switch the response to Server-Sent Events. Events are named; errors are sent
+ * as an "error" event with { error, code } and end the stream. The returned
+ * signal aborts when the client disconnects.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} send(event, data), fail(error, code), end() and signal
+ */
+function openEventStream(req, res) {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  return {
+    send,
+    signal: controller.signal,
+    fail(error, code) {
+      console.error('Stream error:', error);
+      send('error', { success: false, error: error.message || 'Internal server error', code });
+      res.end();
+    },
+    end() {
+      send('done', {});
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};
@@ -0,0 +1,55 @@
+/**
+ * Mustache-style text templates, as used by the prompt files:
+ * {{name}} inserts a variable (dotted paths reach into objects, lists are
+ * joined with commas), {{#name}}...{{/name}} keeps its body only when the
+ * variable is set (true, a number, an object, or a non-empty string or list)
+ * and {{^name}}...{{/name}} only when it is not. A section tag on a line of
+ * its own takes the whole line with it, so sections leave no blank lines.
+ */
+const SECTION = /\{\{([#^])\s*([\w.-]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/;
+const STANDALONE_TAG = /^[ \t]*(\{\{[#^/]\s*[\w.-]+\s*\}\})[ \t]*\r?\n/gm;
+const VARIABLE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+function lookup(variables, name) {
+  return name.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    variables
+  );
+}
+
+function isSet(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+/**
+ * Fill in a template. Inserted values are not themselves treated as
+ * template text, so content containing braces is safe.
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by name; null and false insert nothing
+ * @returns {string} Rendered text, trimmed
+ * @throws {Error} When the template inserts a variable that was not provided
+ */
+function renderTemplate(template, variables) {
+  let text = String(template).replace(STANDALONE_TAG, '$1');
+
+  let match;
+  while ((match = SECTION.exec(text)) !== null) {
+    const [whole, kind, name, body] = match;
+    const keep = isSet(lookup(variables, name)) === (kind === '#');
+    text = text.slice(0, match.index) + (keep ? body : '') + text.slice(match.index + whole.length);
+  }
+
+  return text.replace(VARIABLE, (tag, name) => {
+    const value = lookup(variables, name);
+    if (value === undefined) {
+      throw new Error(`Unknown template variable: ${name}`);
+    }
+    if (value === null || value === false) return '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  }).trim();
+}
+
+module.exports = {
+  renderTemplate
+};
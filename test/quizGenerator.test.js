@@ -0,0 +1,47 @@
+process.env.LLM_PROVIDER = 'mock';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const quizGenerator = require('../src/services/quizGenerator');
+const quizGrader = require('../src/services/quizGrader');
+
+const RUSSIAN_CONTENT = [
+  'Фотосинтез — это процесс, при котором растения превращают свет в химическую энергию.',
+  'Хлорофилл поглощает солнечный свет в зелёных листьях растения.',
+  'Кислород выделяется как побочный продукт фотосинтеза в листьях.',
+  'Цикл Кальвина связывает углекислый газ и превращает его в сахара.',
+  'Вода поступает в растение через корни и поднимается к листьям.',
+  'Устьица на поверхности листьев пропускают углекислый газ внутрь.'
+].join(' ');
+
+const CYRILLIC = /[Ѐ-ӿ]/;
+
+describe('quizGenerator', () => {
+  describe('non-Latin output', () => {
+    it('generates and grades a Russian quiz with every requested question', async () => {
+      const result = await quizGenerator.generateQuiz({
+        content: RUSSIAN_CONTENT,
+        numberOfQuestions: 6,
+        difficulty: 'medium',
+        questionTypes: ['multiple-choice', 'true-false', 'multi-select', 'ordering'],
+        specificTopics: [],
+        prioritizeImportant: true,
+        language: 'ru'
+      });
+      const { questions } = result.quiz;
+
+      assert.equal(questions.length, 6);
+      assert.deepEqual(result.metadata.language, { code: 'ru', name: 'Russian' });
+      assert.equal(new Set(questions.map(question => question.question)).size, 6);
+
+      questions.filter(question => question.type === 'multiple-choice').forEach(question => {
+        assert.ok(question.options.every(option => CYRILLIC.test(option)), question.options.join(', '));
+        assert.ok(question.options.includes(question.correctAnswer));
+      });
+
+      const answers = Object.fromEntries(questions.map(question => [question.id, question.correctAnswer]));
+      const { score } = quizGrader.grade(result.quiz, answers);
+      assert.equal(score.correct, 6);
+    });
+  });
+});
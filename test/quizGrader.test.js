@@ -0,0 +1,201 @@
+process.env.LLM_PROVIDER = 'mock';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const quizGrader = require('../src/services/quizGrader');
+
+describe('quizGrader', () => {
+  describe('multiple choice', () => {
+    const question = { type: 'multiple-choice', options: ['Paris', 'Rome', 'Madrid', 'Berlin'], correctAnswer: 'Rome' };
+
+    it('accepts the option text, its letter or its index', () => {
+      assert.equal(quizGrader.gradeQuestion(question, 'Rome').correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, 'B').correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, 1).correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, 'rome').correct, true);
+    });
+
+    it('rejects another option', () => {
+      assert.equal(quizGrader.gradeQuestion(question, 'Paris').correct, false);
+      assert.equal(quizGrader.gradeQuestion(question, 0).correct, false);
+    });
+
+    it('reads a number as option text when the options are numbers', () => {
+      const numbers = { type: 'multiple-choice', options: ['1', '2', '3', '4'], correctAnswer: '1' };
+
+      assert.equal(quizGrader.gradeQuestion(numbers, 1).correct, true);
+      assert.equal(quizGrader.gradeQuestion(numbers, '1').correct, true);
+      assert.equal(quizGrader.gradeQuestion(numbers, 2).correct, false);
+    });
+  });
+
+  describe('true/false', () => {
+    const question = { type: 'true-false', correctAnswer: true };
+
+    it('accepts booleans and common spellings', () => {
+      assert.equal(quizGrader.gradeQuestion(question, true).correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, 'True').correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, 'false').correct, false);
+    });
+  });
+
+  describe('fill in the blank', () => {
+    const question = {
+      type: 'fill-in-blank',
+      correctAnswer: 'Photosynthesis',
+      acceptedAnswers: ['carbon fixation']
+    };
+
+    it('matches exactly, normalized, by synonym and with small typos', () => {
+      assert.deepEqual(quizGrader.gradeQuestion(question, 'Photosynthesis'), { correct: true, matchType: 'exact' });
+      assert.deepEqual(quizGrader.gradeQuestion(question, ' the photosynthesis. '), { correct: true, matchType: 'normalized' });
+      assert.deepEqual(quizGrader.gradeQuestion(question, 'Carbon fixation'), { correct: true, matchType: 'synonym' });
+      assert.deepEqual(quizGrader.gradeQuestion(question, 'photosynthesys'), { correct: true, matchType: 'typo' });
+    });
+
+    it('rejects answers beyond the typo allowance', () => {
+      assert.equal(quizGrader.gradeQuestion(question, 'respiration').correct, false);
+    });
+
+    it('never forgives a typo in a number', () => {
+      const year = { type: 'fill-in-blank', correctAnswer: '1945' };
+      const labelled = { type: 'fill-in-blank', correctAnswer: 'World War 2' };
+
+      assert.equal(quizGrader.gradeQuestion(year, '1946').correct, false);
+      assert.equal(quizGrader.gradeQuestion(year, '1945').correct, true);
+      assert.equal(quizGrader.gradeQuestion(labelled, 'World War 3').correct, false);
+      assert.deepEqual(quizGrader.gradeQuestion(labelled, 'Wrld War 2'), { correct: true, matchType: 'typo' });
+    });
+  });
+
+  describe('multi-select', () => {
+    const question = { type: 'multi-select', options: ['A1', 'B2', 'C3', 'D4'], correctAnswer: ['A1', 'C3'] };
+
+    it('needs every correct option and nothing else', () => {
+      assert.equal(quizGrader.gradeQuestion(question, ['C3', 'A1']).correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, 'A, C').correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, ['A1']).correct, false);
+      assert.equal(quizGrader.gradeQuestion(question, ['A1', 'B2', 'C3']).correct, false);
+    });
+  });
+
+  describe('matching', () => {
+    const question = {
+      type: 'matching',
+      prompts: ['H2O', 'NaCl'],
+      options: ['Water', 'Salt'],
+      correctAnswer: { H2O: 'Water', NaCl: 'Salt' }
+    };
+
+    it('accepts an answer key or a list of pairs', () => {
+      assert.equal(quizGrader.gradeQuestion(question, { H2O: 'Water', NaCl: 'Salt' }).correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, [
+        { prompt: 'H2O', option: 'Water' },
+        { prompt: 'NaCl', option: 'Salt' }
+      ]).correct, true);
+    });
+
+    it('rejects a wrong or missing match', () => {
+      assert.equal(quizGrader.gradeQuestion(question, { H2O: 'Salt', NaCl: 'Water' }).correct, false);
+      assert.equal(quizGrader.gradeQuestion(question, { H2O: 'Water' }).correct, false);
+    });
+  });
+
+  describe('ordering', () => {
+    const question = { type: 'ordering', options: ['Third', 'First', 'Second'], correctAnswer: ['First', 'Second', 'Third'] };
+
+    it('needs the items in the correct order', () => {
+      assert.equal(quizGrader.gradeQuestion(question, ['First', 'Second', 'Third']).correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, ['Second', 'First', 'Third']).correct, false);
+      assert.equal(quizGrader.gradeQuestion(question, ['First', 'Second']).correct, false);
+    });
+  });
+
+  describe('numeric', () => {
+    const question = { type: 'numeric', correctAnswer: 9.8, tolerance: 0.1, unit: 'm/s²' };
+
+    it('accepts values within the tolerance', () => {
+      assert.deepEqual(quizGrader.gradeQuestion(question, 9.8), { correct: true, matchType: 'exact' });
+      assert.deepEqual(quizGrader.gradeQuestion(question, '9.75 m/s²'), { correct: true, matchType: 'tolerance' });
+      assert.equal(quizGrader.gradeQuestion(question, 10).correct, false);
+    });
+
+    it('rejects a different unit', () => {
+      assert.deepEqual(quizGrader.gradeQuestion(question, '9.8 km'), { correct: false, matchType: 'unit-mismatch' });
+    });
+  });
+
+  describe('short answer', () => {
+    const question = { type: 'short-answer', correctAnswer: 'Plants make sugar from light.' };
+
+    it('settles only answers that match the model answer', () => {
+      assert.deepEqual(quizGrader.gradeQuestion(question, 'plants make sugar from light'), { correct: true, matchType: 'normalized' });
+      assert.deepEqual(quizGrader.gradeQuestion(question, 'Something else'), { correct: null, matchType: 'needs-grading' });
+    });
+  });
+
+  describe('non-Latin options', () => {
+    it('grades multiple choice by the option the answer names', () => {
+      const question = { type: 'multiple-choice', options: ['Берлин', 'Мадрид', 'Париж', 'Рим'], correctAnswer: 'Берлин' };
+
+      assert.equal(quizGrader.gradeQuestion(question, 'берлин').correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, 'Берлин.').correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, 'париж').correct, false);
+      assert.equal(quizGrader.gradeQuestion(question, 'Лондон').correct, false);
+    });
+
+    it('grades multi-select', () => {
+      const question = { type: 'multi-select', options: ['红', '绿', '蓝', '黄'], correctAnswer: ['红', '蓝'] };
+
+      assert.equal(quizGrader.gradeQuestion(question, ['蓝', '红']).correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, ['红', '绿']).correct, false);
+      assert.equal(quizGrader.gradeQuestion(question, ['红']).correct, false);
+    });
+
+    it('grades matching', () => {
+      const question = {
+        type: 'matching',
+        prompts: ['Вода', 'Соль'],
+        options: ['H2O', 'NaCl'],
+        correctAnswer: { 'Вода': 'H2O', 'Соль': 'NaCl' }
+      };
+
+      assert.equal(quizGrader.gradeQuestion(question, { 'вода': 'H2O', 'соль': 'NaCl' }).correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, { 'Вода': 'NaCl', 'Соль': 'H2O' }).correct, false);
+      assert.equal(quizGrader.gradeQuestion(question, { 'Огонь': 'H2O', 'Соль': 'NaCl' }).correct, false);
+    });
+
+    it('grades ordering', () => {
+      const question = {
+        type: 'ordering',
+        options: ['Γ', 'Α', 'Β'],
+        correctAnswer: ['Α', 'Β', 'Γ']
+      };
+
+      assert.equal(quizGrader.gradeQuestion(question, ['α', 'β', 'γ']).correct, true);
+      assert.equal(quizGrader.gradeQuestion(question, ['Β', 'Α', 'Γ']).correct, false);
+    });
+  });
+
+  describe('grade', () => {
+    it('scores a quiz, counting unanswered and pending questions', () => {
+      const quiz = {
+        questions: [
+          { id: 1, type: 'true-false', topic: 'Plants', correctAnswer: true },
+          { id: 2, type: 'fill-in-blank', topic: 'Plants', correctAnswer: 'chlorophyll' },
+          { id: 3, type: 'short-answer', topic: 'Light', correctAnswer: 'It is absorbed.' },
+          { id: 4, type: 'numeric', topic: 'Light', correctAnswer: 3, tolerance: 0 }
+        ]
+      };
+
+      const { results, score, byTopic } = quizGrader.grade(quiz, { 1: 'true', 2: '', 3: 'It bounces.' });
+
+      assert.deepEqual(results.map(result => result.matchType), ['exact', 'unanswered', 'needs-grading', 'unanswered']);
+      assert.deepEqual(score, { correct: 1, total: 4, pending: 1, percentage: 25 });
+      assert.deepEqual(byTopic.map(({ topic, correct }) => ({ topic, correct })), [
+        { topic: 'Plants', correct: 1 },
+        { topic: 'Light', correct: 0 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const quizValidator = require('../src/services/quizValidator');
+
+const trueFalse = (id, question, correctAnswer) => ({
+  id,
+  type: 'true-false',
+  difficulty: 'easy',
+  topic: 'География',
+  question,
+  correctAnswer,
+  explanation: 'См. текст.'
+});
+
+describe('quizValidator', () => {
+  describe('normalizeText', () => {
+    it('keeps letters and digits of every script', () => {
+      assert.equal(quizValidator.normalizeText('Париж — столица!'), 'париж столица');
+      assert.equal(quizValidator.normalizeText('巴黎。'), '巴黎');
+      assert.equal(quizValidator.normalizeText('Αθήνα, 2004'), 'αθήνα 2004');
+      assert.equal(quizValidator.normalizeText('  Hello, World  '), 'hello world');
+    });
+  });
+
+  describe('validate', () => {
+    it('keeps distinct non-Latin questions', () => {
+      const report = quizValidator.validate({
+        questions: [
+          trueFalse(1, 'Москва — столица России.', true),
+          trueFalse(2, 'Париж — столица Германии.', false),
+          trueFalse(3, '巴黎是法国的首都。', true)
+        ]
+      });
+
+      assert.equal(report.questions.length, 3);
+      assert.deepEqual(report.rejected, []);
+    });
+
+    it('still rejects repeated non-Latin questions', () => {
+      const report = quizValidator.validate({
+        questions: [
+          trueFalse(1, 'Москва — столица России.', true),
+          trueFalse(2, 'москва столица россии', true)
+        ]
+      });
+
+      assert.equal(report.questions.length, 1);
+      assert.equal(report.rejected[0].issues[0].message, 'Duplicate question');
+    });
+
+    it('rejects non-Latin questions that repeat a question bank item', () => {
+      const report = quizValidator.validate(
+        { questions: [trueFalse(1, 'Москва — столица России.', true), trueFalse(2, 'Рим — столица Италии.', true)] },
+        { avoidQuestions: ['Москва — столица России?'] }
+      );
+
+      assert.deepEqual(report.questions.map(question => question.question), ['Рим — столица Италии.']);
+      assert.equal(report.rejected[0].issues[0].message, 'Repeats a question bank item');
+    });
+
+    it('resolves a non-Latin correct answer to its own option', () => {
+      const report = quizValidator.validate({
+        questions: [{
+          id: 1,
+          type: 'multiple-choice',
+          difficulty: 'easy',
+          topic: 'География',
+          question: 'Какой город — столица Франции?',
+          options: ['Берлин', 'Мадрид', 'Париж', 'Рим'],
+          correctAnswer: 'Париж.',
+          explanation: 'Париж — столица Франции.'
+        }]
+      });
+
+      assert.equal(report.questions[0].correctAnswer, 'Париж');
+    });
+  });
+
+  describe('resolveOption', () => {
+    const options = ['Берлин', 'Мадрид', 'Париж', 'Рим'];
+
+    it('matches non-Latin answers by normalized text', () => {
+      assert.equal(quizValidator.resolveOption('париж', options), 'Париж');
+      assert.equal(quizValidator.resolveOption(' РИМ. ', options), 'Рим');
+      assert.equal(quizValidator.resolveOption('巴黎', ['柏林', '巴黎']), '巴黎');
+    });
+
+    it('returns null for an answer that matches no option', () => {
+      assert.equal(quizValidator.resolveOption('Лондон', options), null);
+      assert.equal(quizValidator.resolveOption('!!!', options), null);
+    });
+  });
+
+  describe('lookupKey', () => {
+    it('finds non-Latin keys regardless of case and punctuation', () => {
+      assert.equal(quizValidator.lookupKey({ 'Вода': 'H2O' }, 'вода.'), 'H2O');
+      assert.equal(quizValidator.lookupKey({ 'Вода': 'H2O' }, 'Соль'), undefined);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+process.env.LLM_PROVIDER = 'mock';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const studyMaterialGenerator = require('../src/services/studyMaterialGenerator');
+
+const RUSSIAN_CONTENT = [
+  'Фотосинтез — это процесс, при котором растения превращают свет в химическую энергию.',
+  'Хлорофилл поглощает солнечный свет в зелёных листьях растения.',
+  'Кислород выделяется как побочный продукт фотосинтеза в листьях.',
+  'Цикл Кальвина связывает углекислый газ и превращает его в сахара.'
+].join(' ');
+
+describe('studyMaterialGenerator', () => {
+  describe('generateFlashcards', () => {
+    it('keeps every distinct card of a non-Latin deck', async () => {
+      const { deck } = await studyMaterialGenerator.generateFlashcards({
+        content: RUSSIAN_CONTENT,
+        numberOfCards: 4,
+        specificTopics: [],
+        language: 'ru',
+        bypassCache: true
+      });
+
+      assert.equal(deck.cards.length, 4);
+      assert.equal(new Set(deck.cards.map(card => card.front)).size, 4);
+    });
+  });
+});
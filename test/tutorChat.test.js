@@ -0,0 +1,64 @@
+process.env.LLM_PROVIDER = 'mock';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tutor-chat-'));
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const tutorChat = require('../src/services/tutorChat');
+const chatSessionStore = require('../src/services/chatSessionStore');
+
+const QUESTION = {
+  question: 'What does chlorophyll absorb?',
+  correctAnswer: 'Light'
+};
+
+describe('tutorChat', () => {
+  after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+  describe('parseRequest', () => {
+    it('requires the user message to be text', () => {
+      assert.equal(tutorChat.parseRequest({ ...QUESTION, userMessage: { text: 'Why?' } }).status, 400);
+      assert.equal(tutorChat.parseRequest({ ...QUESTION, userMessage: ['Why?'] }).status, 400);
+      assert.equal(tutorChat.parseRequest({ ...QUESTION, userMessage: '   ' }).status, 400);
+    });
+
+    it('limits the length of the user message', () => {
+      const request = tutorChat.parseRequest({ ...QUESTION, userMessage: 'a'.repeat(5001) });
+
+      assert.equal(request.status, 400);
+      assert.match(request.error, /at most/);
+    });
+
+    it('accepts a text message', () => {
+      const { chatOptions } = tutorChat.parseRequest({ ...QUESTION, userMessage: 'Why light?' });
+
+      assert.equal(chatOptions.userMessage, 'Why light?');
+      assert.deepEqual(chatOptions.chatHistory, []);
+    });
+  });
+
+  describe('replyInSession', () => {
+    it('stores the turn in the session', async () => {
+      const session = await chatSessionStore.create({ question: QUESTION, language: null, prompt: null });
+      const claim = tutorChat.claimSession(session.id, { message: 'Why light?' });
+
+      const reply = await tutorChat.replyInSession(claim.session, claim.message);
+
+      assert.equal(reply.messageCount, 2);
+      assert.equal(tutorChat.busySessions.has(session.id), false);
+    });
+
+    it('reports a session deleted while the reply was written', async () => {
+      const session = await chatSessionStore.create({ question: QUESTION, language: null, prompt: null });
+      const claim = tutorChat.claimSession(session.id, { message: 'Why light?' });
+      await chatSessionStore.remove(session.id);
+
+      await assert.rejects(tutorChat.replyInSession(claim.session, claim.message), { status: 404, code: 'SESSION_DELETED' });
+      assert.equal(tutorChat.busySessions.has(session.id), false);
+    });
+  });
+});
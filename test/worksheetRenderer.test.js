@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const worksheetRenderer = require('../src/services/worksheetRenderer');
+
+const trueFalse = (id, question) => ({
+  id,
+  type: 'true-false',
+  difficulty: 'easy',
+  topic: 'География',
+  question,
+  correctAnswer: true,
+  explanation: 'См. текст.'
+});
+
+describe('worksheetRenderer', () => {
+  describe('renderQuiz', () => {
+    it('prints every question of a saved non-Latin quiz, repeats included', async () => {
+      const quiz = {
+        title: 'География',
+        questions: [
+          trueFalse(1, 'Москва — столица России.'),
+          trueFalse(2, 'Рим — столица Италии.'),
+          trueFalse(3, 'Москва — столица России.')
+        ]
+      };
+
+      const rendered = await worksheetRenderer.renderQuiz(quiz, { document: 'worksheet', format: 'html' });
+
+      assert.deepEqual(rendered.skipped, []);
+      assert.equal(rendered.body.split('Москва — столица России.').length - 1, 2);
+      assert.ok(rendered.body.includes('Рим — столица Италии.'));
+    });
+
+    it('skips questions that fail validation', async () => {
+      const quiz = {
+        title: 'Quiz',
+        questions: [trueFalse(1, 'Москва — столица России.'), { id: 2, type: 'multiple-choice', question: 'Без вариантов?' }]
+      };
+
+      const rendered = await worksheetRenderer.renderQuiz(quiz, { document: 'answer-key', format: 'html' });
+
+      assert.deepEqual(rendered.skipped, [2]);
+    });
+  });
+});